@@ -0,0 +1,332 @@
+/* =============================================
+   Amria Mall - Events
+   Events from data/events.json: recurring dates,
+   upcoming / ongoing / past status and RFC 5545
+   (.ics) calendars. Also used by the server for the
+   /api/events.ics feed (server/routes/events.js).
+   Labels come from js/i18n.js (Arabic on the server).
+   ============================================= */
+
+'use strict';
+
+const AmriaEvents = (function () {
+
+    // Browsers load js/i18n.js first; Node requires it
+    const i18n = typeof AmriaI18n !== 'undefined' ? AmriaI18n : require('./i18n');
+
+    const DATA_URL = 'data/events.json';
+    const FEED_URL = '/api/events.ics';
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // A series never expands past this many dates, whatever its rule says
+    const MAX_OCCURRENCES = 500;
+
+    const FREQUENCIES = Object.freeze(['daily', 'weekly', 'monthly']);
+
+    const STATUSES = Object.freeze(['upcoming', 'ongoing', 'past']);
+
+    let _dataPromise = null;
+
+    /**
+     * Load the events once per page
+     * @returns {Promise<Object>}
+     */
+    function load() {
+        if (!_dataPromise) {
+            _dataPromise = fetch(DATA_URL, { credentials: 'same-origin' })
+                .then(response => {
+                    if (!response.ok) throw new Error(`Events data failed to load (${response.status})`);
+                    return response.json();
+                })
+                .then(i18n.localize);
+            _dataPromise.catch(() => { _dataPromise = null; });
+        }
+        return _dataPromise;
+    }
+
+    // ===== Recurrence =====
+
+    /**
+     * UTC offset written in an ISO timestamp ("...+03:00" → 180).
+     * Repeats keep the wall-clock time of the first date in that offset,
+     * which is exact for Baghdad (no daylight saving since 2008).
+     */
+    function offsetMinutes(iso) {
+        const match = /([+-])(\d{2}):?(\d{2})$/.exec(iso);
+        if (!match) return 0;
+        return (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3]));
+    }
+
+    /**
+     * Start of the nth repeat of a series
+     */
+    function nthStart(first, recurrence, n, offset) {
+        const interval = recurrence.interval || 1;
+
+        if (recurrence.freq === 'monthly') {
+            // Wall-clock month arithmetic; months without the day are skipped (null)
+            const wall = new Date(first.getTime() + offset * 60000);
+            const day = wall.getUTCDate();
+            wall.setUTCDate(1);
+            wall.setUTCMonth(wall.getUTCMonth() + n * interval);
+            const daysInMonth = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth() + 1, 0)).getUTCDate();
+            if (day > daysInMonth) return null;
+            wall.setUTCDate(day);
+            return new Date(wall.getTime() - offset * 60000);
+        }
+
+        const step = recurrence.freq === 'weekly' ? 7 * DAY_MS : DAY_MS;
+        return new Date(first.getTime() + n * interval * step);
+    }
+
+    /**
+     * Dates of an event, in order
+     * @param {Object} event - An entry of data.events
+     * @param {Object} options
+     * @param {Date} options.from - Skip dates that ended before this
+     * @param {Date} options.to - Stop at dates starting after this
+     * @param {number} options.limit - Most dates to return
+     * @returns {Array<{event, start: Date, end: Date}>}
+     */
+    function occurrences(event, { from = null, to = null, limit = MAX_OCCURRENCES } = {}) {
+        const first = new Date(event.starts);
+        const duration = new Date(event.ends) - first;
+        const recurrence = event.recurrence;
+        const result = [];
+
+        if (!recurrence) {
+            const end = new Date(event.ends);
+            if ((!from || end > from) && (!to || first <= to)) result.push({ event, start: first, end });
+            return result;
+        }
+
+        if (!FREQUENCIES.includes(recurrence.freq)) {
+            throw new Error(`Unknown recurrence "${recurrence.freq}" for event "${event.id}"`);
+        }
+
+        const offset = offsetMinutes(event.starts);
+        const until = recurrence.until ? new Date(recurrence.until) : null;
+        const except = new Set(recurrence.except || []);
+        const count = recurrence.count || MAX_OCCURRENCES;
+
+        for (let n = 0; n < count && result.length < limit; n++) {
+            const start = nthStart(first, recurrence, n, offset);
+            if (!start) continue;
+            if ((until && start > until) || (to && start > to)) break;
+
+            const end = new Date(start.getTime() + duration);
+            const wallDate = new Date(start.getTime() + offset * 60000).toISOString().slice(0, 10);
+            if (except.has(wallDate) || (from && end <= from)) continue;
+
+            result.push({ event, start, end });
+        }
+
+        return result;
+    }
+
+    /**
+     * @returns {'upcoming'|'ongoing'|'past'}
+     */
+    function statusOf(occurrence, at = new Date()) {
+        if (at < occurrence.start) return 'upcoming';
+        if (at < occurrence.end) return 'ongoing';
+        return 'past';
+    }
+
+    /**
+     * Where an event stands now: its running or next date, or its last one
+     * @returns {{event, status: string, occurrence: Object|null}}
+     */
+    function current(event, at = new Date()) {
+        const [next] = occurrences(event, { from: at, limit: 1 });
+        if (next) return { event, status: statusOf(next, at), occurrence: next };
+
+        const all = occurrences(event, { to: at });
+        return { event, status: 'past', occurrence: all[all.length - 1] || null };
+    }
+
+    /**
+     * Every event with its status: running first, then soonest upcoming,
+     * then past events, most recent first
+     */
+    function timeline(data, at = new Date()) {
+        const rank = { ongoing: 0, upcoming: 1, past: 2 };
+        return data.events
+            .map(event => current(event, at))
+            .filter(entry => entry.occurrence)
+            .sort((a, b) => rank[a.status] - rank[b.status] ||
+                (a.status === 'past' ? b.occurrence.start - a.occurrence.start : a.occurrence.start - b.occurrence.start));
+    }
+
+    /**
+     * Dates of all events between two instants, by start
+     */
+    function between(data, from, to) {
+        return data.events
+            .flatMap(event => occurrences(event, { from, to }))
+            .sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * "أسبوعياً يوم الجمعة", "يوم السبت كل أسبوعين", "شهرياً" - empty for one-off events
+     * @param {Array<string>} dayNames - Weekday names, Sunday first (defaults to the visitor's language)
+     */
+    function recurrenceLabel(event, dayNames = i18n.dayNames()) {
+        const recurrence = event.recurrence;
+        if (!recurrence) return '';
+        const interval = recurrence.interval || 1;
+
+        if (recurrence.freq === 'daily') return interval === 1 ? i18n.t('events.daily') : i18n.t('events.everyDays', { count: interval });
+        if (recurrence.freq === 'monthly') return interval === 1 ? i18n.t('events.monthly') : i18n.t('events.everyMonths', { count: interval });
+
+        const wall = new Date(new Date(event.starts).getTime() + offsetMinutes(event.starts) * 60000);
+        const day = dayNames[wall.getUTCDay()];
+        if (interval === 1) return i18n.t('events.weekly', { day });
+        return interval === 2 ? i18n.t('events.fortnightly', { day }) : i18n.t('events.everyWeeks', { day, count: interval });
+    }
+
+    // ===== iCalendar (RFC 5545) =====
+
+    /**
+     * TEXT value escaping (section 3.3.11)
+     */
+    function escapeText(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Lines longer than 75 octets continue on the next line after a space
+     * (section 3.1), never splitting a UTF-8 character
+     */
+    function foldLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let currentPart = '';
+        let size = 0;
+        let limit = 75;
+
+        for (const char of line) {
+            const bytes = encoder.encode(char).length;
+            if (size + bytes > limit) {
+                parts.push(currentPart);
+                currentPart = '';
+                size = 0;
+                limit = 74; // the leading space counts
+            }
+            currentPart += char;
+            size += bytes;
+        }
+        parts.push(currentPart);
+
+        return parts.join('\r\n ');
+    }
+
+    /**
+     * 2026-10-23T17:00:00+03:00 → 20261023T140000Z
+     */
+    function formatUTC(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    function formatRule(recurrence) {
+        const parts = [`FREQ=${recurrence.freq.toUpperCase()}`];
+        if (recurrence.interval && recurrence.interval > 1) parts.push(`INTERVAL=${recurrence.interval}`);
+        if (recurrence.count) parts.push(`COUNT=${recurrence.count}`);
+        else if (recurrence.until) parts.push(`UNTIL=${formatUTC(new Date(recurrence.until))}`);
+        return parts.join(';');
+    }
+
+    function eventLines(event, { baseUrl, stamp }) {
+        const start = new Date(event.starts);
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${event.id}@amria-mall`,
+            `DTSTAMP:${formatUTC(stamp)}`,
+            `DTSTART:${formatUTC(start)}`,
+            `DTEND:${formatUTC(new Date(event.ends))}`,
+            `SUMMARY:${escapeText(event.title)}`
+        ];
+
+        if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        if (event.location && event.location.name) lines.push(`LOCATION:${escapeText(event.location.name)}`);
+        if (baseUrl) lines.push(`URL:${new URL(`events.html#event-${event.id}`, baseUrl).href}`);
+
+        if (event.recurrence) {
+            lines.push(`RRULE:${formatRule(event.recurrence)}`);
+            // Skipped dates keep the series' start time
+            const offset = offsetMinutes(event.starts);
+            const time = new Date(start.getTime() + offset * 60000).toISOString().slice(11, 19);
+            (event.recurrence.except || []).forEach(day => {
+                const skipped = new Date(new Date(`${day}T${time}Z`).getTime() - offset * 60000);
+                lines.push(`EXDATE:${formatUTC(skipped)}`);
+            });
+        }
+
+        lines.push('END:VEVENT');
+        return lines;
+    }
+
+    /**
+     * A VCALENDAR with one VEVENT per event (recurring events as RRULE series)
+     * @param {Array} events - Entries of data.events
+     * @param {Object} options
+     * @param {string} options.name - Calendar name shown by calendar apps
+     * @param {string} options.baseUrl - Site address for the event links
+     * @param {Date} options.stamp - DTSTAMP, defaults to now
+     * @returns {string} CRLF-separated .ics text
+     */
+    function toICS(events, { name = i18n.t('events.calendarName'), baseUrl = '', stamp = new Date() } = {}) {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Amria Mall//Events//AR',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${escapeText(name)}`,
+            'X-WR-TIMEZONE:Asia/Baghdad',
+            ...events.flatMap(event => eventLines(event, { baseUrl, stamp })),
+            'END:VCALENDAR'
+        ];
+
+        return `${lines.map(foldLine).join('\r\n')}\r\n`;
+    }
+
+    /**
+     * Events with a date still to come (or running), for the feed
+     */
+    function upcomingEvents(data, at = new Date()) {
+        return data.events.filter(event => occurrences(event, { from: at, limit: 1 }).length > 0);
+    }
+
+    return Object.freeze({
+        DATA_URL,
+        FEED_URL,
+        // Month names in the visitor's language, January first
+        get MONTH_NAMES() {
+            return i18n.monthNames();
+        },
+        // { upcoming, ongoing, past } labels in the visitor's language
+        get STATUS_LABELS() {
+            return Object.fromEntries(STATUSES.map(status => [status, i18n.t(`events.status.${status}`)]));
+        },
+        load,
+        occurrences,
+        statusOf,
+        current,
+        timeline,
+        between,
+        recurrenceLabel,
+        upcomingEvents,
+        toICS
+    });
+})();
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AmriaEvents;
+}
@@ -0,0 +1,717 @@
+/* =============================================
+   Amria Mall - Floor Map
+   SVG floor plans drawn from data/floor-plan.json,
+   linked to data/stores.json by unit number, with
+   pan/zoom (mouse, touch, keyboard) and shortest-path
+   wayfinding over the plan's walkway graph.
+   Requires js/i18n.js for the labels and place names.
+   ============================================= */
+
+'use strict';
+
+const AmriaFloorMap = (function () {
+
+    const PLAN_URL = 'data/floor-plan.json';
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    // Zoom range relative to the whole floor
+    const MIN_ZOOM = 1;
+    const MAX_ZOOM = 5;
+
+    // Pointer travel (px) after which a press is a drag rather than a tap
+    const DRAG_THRESHOLD = 6;
+
+    // Longest store name drawn inside a unit before it is shortened
+    const MAX_LABEL_LENGTH = 12;
+
+    let _planPromise = null;
+
+    /**
+     * Load the floor plan once per page
+     * @returns {Promise<Object>}
+     */
+    function loadPlan() {
+        if (!_planPromise) {
+            _planPromise = fetch(PLAN_URL, { credentials: 'same-origin' })
+                .then(response => {
+                    if (!response.ok) throw new Error(`Floor plan failed to load (${response.status})`);
+                    return response.json();
+                })
+                .then(AmriaI18n.localize);
+            _planPromise.catch(() => { _planPromise = null; });
+        }
+        return _planPromise;
+    }
+
+    function clamp(value, min, max) {
+        return Math.min(Math.max(value, min), max);
+    }
+
+    function distance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    function getFloorPlan(plan, floorId) {
+        return plan.floors.find(floor => floor.id === Number(floorId)) || null;
+    }
+
+    /**
+     * Unit by its number (the `unit` field of a store, e.g. "1-04")
+     * @returns {{floor: Object, unit: Object}|null}
+     */
+    function findUnit(plan, unitId) {
+        for (const floor of plan.floors) {
+            const unit = floor.units.find(candidate => candidate.id === unitId);
+            if (unit) return { floor, unit };
+        }
+        return null;
+    }
+
+    /**
+     * Point on the unit's edge closest to its walkway node
+     */
+    function doorOf(unit, node) {
+        return {
+            x: clamp(node.x, unit.x, unit.x + unit.width),
+            y: clamp(node.y, unit.y, unit.y + unit.height)
+        };
+    }
+
+    // ===== Walkway graph =====
+
+    /**
+     * Weighted graph of the plan's walkways.
+     * Walkway edges cost their length; escalators and elevators join their
+     * stops on other floors at the connector's cost.
+     * @param {Object} plan
+     * @param {Object} options
+     * @param {boolean} options.stepFree - Leave out connectors that are not step-free (escalators)
+     * @returns {{nodes: Map, edges: Map}}
+     */
+    function buildGraph(plan, { stepFree = false } = {}) {
+        const nodes = new Map();
+        const edges = new Map();
+
+        function link(from, to, cost, connector = null) {
+            edges.get(from).push({ to, cost, connector });
+            edges.get(to).push({ to: from, cost, connector });
+        }
+
+        plan.floors.forEach(floor => {
+            floor.nodes.forEach(node => {
+                if (nodes.has(node.id)) {
+                    throw new Error(`Duplicate map node "${node.id}"`);
+                }
+                nodes.set(node.id, { ...node, floor: floor.id });
+                edges.set(node.id, []);
+            });
+        });
+
+        plan.floors.forEach(floor => {
+            floor.edges.forEach(([a, b]) => {
+                if (!nodes.has(a) || !nodes.has(b)) {
+                    throw new Error(`Map edge "${a}" - "${b}" uses an unknown node`);
+                }
+                link(a, b, distance(nodes.get(a), nodes.get(b)));
+            });
+        });
+
+        plan.connectors.forEach(connector => {
+            if (stepFree && !connector.stepFree) return;
+
+            const stops = Array.from(nodes.values())
+                .filter(node => node.connector === connector.id)
+                .sort((a, b) => a.floor - b.floor);
+
+            stops.forEach((from, i) => {
+                // Escalators only reach the next floor; elevators reach every floor
+                const reachable = connector.adjacentOnly ? stops.slice(i + 1, i + 2) : stops.slice(i + 1);
+                reachable.forEach(to => {
+                    const cost = (connector.baseCost || 0) + connector.costPerFloor * Math.abs(to.floor - from.floor);
+                    link(from.id, to.id, cost, connector.id);
+                });
+            });
+        });
+
+        return { nodes, edges };
+    }
+
+    /**
+     * Dijkstra over a graph from buildGraph()
+     * @returns {{path: string[], cost: number}|null} null when `to` cannot be reached
+     */
+    function shortestPath(graph, from, to) {
+        if (!graph.nodes.has(from) || !graph.nodes.has(to)) return null;
+
+        const costs = new Map([[from, 0]]);
+        const previous = new Map();
+        const visited = new Set();
+        const queue = [from];
+
+        while (queue.length > 0) {
+            // A plan has a few dozen nodes - a linear scan is plenty
+            let best = 0;
+            for (let i = 1; i < queue.length; i++) {
+                if (costs.get(queue[i]) < costs.get(queue[best])) best = i;
+            }
+            const current = queue.splice(best, 1)[0];
+
+            if (current === to) break;
+            if (visited.has(current)) continue;
+            visited.add(current);
+
+            graph.edges.get(current).forEach(edge => {
+                const cost = costs.get(current) + edge.cost;
+                if (!costs.has(edge.to) || cost < costs.get(edge.to)) {
+                    costs.set(edge.to, cost);
+                    previous.set(edge.to, current);
+                    queue.push(edge.to);
+                }
+            });
+        }
+
+        if (!costs.has(to)) return null;
+
+        const path = [to];
+        while (path[0] !== from) {
+            path.unshift(previous.get(path[0]));
+        }
+        return { path, cost: costs.get(to) };
+    }
+
+    /**
+     * Places a route can start from: entrances, escalators and elevators
+     * @returns {Array<{id, kind, floor, name}>}
+     */
+    function startPoints(plan) {
+        const connectors = new Map(plan.connectors.map(connector => [connector.id, connector]));
+        const points = [];
+
+        plan.floors.forEach(floor => {
+            floor.nodes
+                .filter(node => node.kind)
+                .forEach(node => points.push({
+                    id: node.id,
+                    kind: node.kind,
+                    floor: floor.id,
+                    name: node.name || (connectors.has(node.connector) ? connectors.get(node.connector).name : node.id)
+                }));
+        });
+
+        return points;
+    }
+
+    /**
+     * Shortest walk from a node to a store's unit.
+     * @param {Object} plan
+     * @param {string} from - Start node id (see startPoints)
+     * @param {string} unitId - Unit number of the store
+     * @param {Object} options - Same as buildGraph()
+     * @returns {Object|null} { from, unit, floor, meters, legs: [{floor, points}], steps }
+     *   steps: {type: 'start', floor, node} | {type: 'connector', connector, floor, toFloor} | {type: 'arrive', floor, unit}
+     */
+    function route(plan, from, unitId, options = {}) {
+        const target = findUnit(plan, unitId);
+        if (!target) return null;
+
+        const graph = buildGraph(plan, options);
+        const found = shortestPath(graph, from, target.unit.node);
+        if (!found) return null;
+
+        const connectors = new Map(plan.connectors.map(connector => [connector.id, connector]));
+        const nodes = found.path.map(id => graph.nodes.get(id));
+        const legs = [];
+        const steps = [{ type: 'start', floor: nodes[0].floor, node: nodes[0] }];
+
+        nodes.forEach((node, i) => {
+            const last = legs[legs.length - 1];
+            if (last && last.floor === node.floor) {
+                last.points.push({ x: node.x, y: node.y });
+            } else {
+                legs.push({ floor: node.floor, points: [{ x: node.x, y: node.y }] });
+            }
+
+            const before = nodes[i - 1];
+            if (before && before.floor !== node.floor) {
+                const step = steps[steps.length - 1];
+                // Riding the same escalator past several floors is one step
+                if (step.type === 'connector' && step.connector.id === before.connector) {
+                    step.toFloor = node.floor;
+                } else {
+                    steps.push({ type: 'connector', connector: connectors.get(before.connector), floor: before.floor, toFloor: node.floor });
+                }
+            }
+        });
+
+        legs[legs.length - 1].points.push(doorOf(target.unit, graph.nodes.get(target.unit.node)));
+        steps.push({ type: 'arrive', floor: target.floor.id, unit: target.unit });
+
+        // Walking distance only - rides on escalators and elevators are not metres walked
+        const walked = legs.reduce((total, leg) => total + leg.points.slice(1)
+            .reduce((sum, point, i) => sum + distance(leg.points[i], point), 0), 0);
+
+        return {
+            from,
+            unit: target.unit.id,
+            floor: target.floor.id,
+            meters: Math.round(walked * (plan.metersPerUnit || 1)),
+            legs,
+            steps
+        };
+    }
+
+    // ===== Rendering =====
+
+    function svgElement(name, attributes = {}) {
+        const element = document.createElementNS(SVG_NS, name);
+        Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+        return element;
+    }
+
+    function htmlElement(name, attributes = {}, text = '') {
+        const element = document.createElement(name);
+        Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+        if (text) element.textContent = text;
+        return element;
+    }
+
+    function shorten(text) {
+        return text.length > MAX_LABEL_LENGTH ? `${text.slice(0, MAX_LABEL_LENGTH - 1)}…` : text;
+    }
+
+    const NODE_ICONS = Object.freeze({
+        entrance: '🚪',
+        escalator: '↕',
+        elevator: '🛗'
+    });
+
+    /**
+     * Draw an interactive map into a container.
+     * @param {HTMLElement} container
+     * @param {Object} options
+     * @param {Object} options.plan - From loadPlan()
+     * @param {Object} options.data - From AmriaStores.load()
+     * @param {number} options.floor - Floor shown first
+     * @param {Function} options.onSelect - (store) when a store is picked on the map
+     * @param {Function} options.onFloorChange - (floorId) after another floor is shown
+     */
+    function create(container, { plan, data, floor, onSelect, onFloorChange } = {}) {
+        const storesByUnit = new Map(data.stores.map(store => [store.unit, store]));
+        const base = { x: 0, y: 0, width: plan.width, height: plan.height };
+
+        let view = { ...base };
+        let currentFloor = floor !== undefined && getFloorPlan(plan, floor) ? Number(floor) : plan.floors[0].id;
+        let selectedUnit = null;
+        let currentRoute = null;
+
+        // ----- Markup -----
+
+        container.classList.add('floor-map');
+        container.replaceChildren();
+
+        const toolbar = htmlElement('div', { class: 'floor-map-toolbar' });
+        const floorButtons = htmlElement('div', { class: 'floor-map-floors', role: 'group', 'aria-label': AmriaI18n.t('map.floors') });
+        plan.floors.forEach(floorPlan => {
+            const info = data.getFloor(floorPlan.id);
+            const button = htmlElement('button', { type: 'button', class: 'chip', 'data-floor': floorPlan.id }, info ? info.name : String(floorPlan.id));
+            floorButtons.appendChild(button);
+        });
+
+        const zoomButtons = htmlElement('div', { class: 'floor-map-zoom', role: 'group', 'aria-label': AmriaI18n.t('map.zoom') });
+        [['in', '+', 'map.zoomIn'], ['out', '−', 'map.zoomOut'], ['reset', '⟲', 'map.zoomReset']].forEach(([action, label, key]) => {
+            const title = AmriaI18n.t(key);
+            zoomButtons.appendChild(htmlElement('button', { type: 'button', class: 'chip', 'data-zoom': action, 'aria-label': title, title }, label));
+        });
+        toolbar.append(floorButtons, zoomButtons);
+
+        const svg = svgElement('svg', {
+            class: 'floor-map-canvas',
+            role: 'group',
+            tabindex: '0',
+            'aria-roledescription': AmriaI18n.t('map.roleDescription'),
+            'aria-keyshortcuts': '+ - 0 ArrowUp ArrowDown ArrowLeft ArrowRight',
+            preserveAspectRatio: 'xMidYMid meet'
+        });
+        svg.style.aspectRatio = `${base.width} / ${base.height}`;
+        const floorLayer = svgElement('g', { class: 'map-floor' });
+        const routeLayer = svgElement('g', { class: 'map-route-layer', 'aria-hidden': 'true' });
+        svg.append(floorLayer, routeLayer);
+
+        container.append(toolbar, svg);
+
+        // ----- Drawing -----
+
+        function drawUnit(unit) {
+            const store = storesByUnit.get(unit.id);
+            const group = svgElement('g', { class: 'map-unit', 'data-unit': unit.id });
+            const centerX = unit.x + unit.width / 2;
+            const centerY = unit.y + unit.height / 2;
+
+            group.appendChild(svgElement('rect', { x: unit.x, y: unit.y, width: unit.width, height: unit.height, rx: 10 }));
+
+            const name = svgElement('text', { x: centerX, y: centerY, class: 'map-unit-name' });
+            const number = svgElement('text', { x: centerX, y: centerY + 24, class: 'map-unit-number' });
+            number.textContent = unit.id;
+
+            if (store) {
+                const category = data.getCategory(store.category);
+                group.classList.add(`map-unit-${store.category}`);
+                group.setAttribute('data-store', store.id);
+                group.setAttribute('role', 'button');
+                group.setAttribute('tabindex', '0');
+                group.classList.toggle('selected', unit.id === selectedUnit);
+                group.setAttribute('aria-pressed', String(unit.id === selectedUnit));
+                const label = AmriaI18n.t('map.unitLabel', { name: store.name, nameAr: store.nameAr, unit: unit.id });
+                group.setAttribute('aria-label', category ? AmriaI18n.list([label, category.name]) : label);
+                name.textContent = shorten(store.name);
+            } else {
+                group.classList.add('vacant');
+                group.setAttribute('aria-hidden', 'true');
+                name.textContent = AmriaI18n.t('map.vacant');
+            }
+
+            group.append(name, number);
+            return group;
+        }
+
+        function drawNode(node) {
+            const group = svgElement('g', { class: `map-node map-${node.kind}`, 'data-node': node.id });
+            const title = svgElement('title');
+            const connector = plan.connectors.find(candidate => candidate.id === node.connector);
+            title.textContent = node.name || (connector ? connector.name : '');
+            group.appendChild(title);
+            group.appendChild(svgElement('circle', { cx: node.x, cy: node.y, r: 14 }));
+
+            const icon = svgElement('text', { x: node.x, y: node.y });
+            icon.textContent = NODE_ICONS[node.kind] || '';
+            group.appendChild(icon);
+            return group;
+        }
+
+        function drawFloor() {
+            const floorPlan = getFloorPlan(plan, currentFloor);
+            const info = data.getFloor(currentFloor);
+            svg.setAttribute('aria-label', AmriaI18n.t('map.floorLabel', { floor: info ? info.name : '' }));
+
+            floorLayer.replaceChildren();
+            floorLayer.appendChild(svgElement('rect', {
+                class: 'map-outline',
+                x: plan.outline.x,
+                y: plan.outline.y,
+                width: plan.outline.width,
+                height: plan.outline.height,
+                rx: 30
+            }));
+
+            (floorPlan.features || []).forEach(feature => {
+                floorLayer.appendChild(svgElement('rect', {
+                    class: `map-feature map-feature-${feature.kind}`,
+                    x: feature.x,
+                    y: feature.y,
+                    width: feature.width,
+                    height: feature.height,
+                    rx: 6
+                }));
+            });
+
+            floorPlan.units.forEach(unit => floorLayer.appendChild(drawUnit(unit)));
+            floorPlan.nodes.filter(node => node.kind).forEach(node => floorLayer.appendChild(drawNode(node)));
+
+            floorButtons.querySelectorAll('[data-floor]').forEach(button => {
+                button.setAttribute('aria-pressed', String(Number(button.dataset.floor) === currentFloor));
+            });
+
+            drawRoute();
+        }
+
+        function drawRoute() {
+            routeLayer.replaceChildren();
+            floorButtons.querySelectorAll('[data-floor]').forEach(button => {
+                button.classList.toggle('has-route', Boolean(currentRoute && currentRoute.legs.some(leg => leg.floor === Number(button.dataset.floor))));
+            });
+            if (!currentRoute) return;
+
+            currentRoute.legs.forEach((leg, i) => {
+                if (leg.floor !== currentFloor) return;
+
+                routeLayer.appendChild(svgElement('polyline', {
+                    class: 'map-route',
+                    points: leg.points.map(point => `${point.x},${point.y}`).join(' ')
+                }));
+
+                const first = leg.points[0];
+                const last = leg.points[leg.points.length - 1];
+                const isStart = i === 0;
+                const isEnd = i === currentRoute.legs.length - 1;
+                routeLayer.appendChild(svgElement('circle', { class: isStart ? 'map-route-start' : 'map-route-change', cx: first.x, cy: first.y, r: 9 }));
+                routeLayer.appendChild(svgElement('circle', { class: isEnd ? 'map-route-end' : 'map-route-change', cx: last.x, cy: last.y, r: 9 }));
+            });
+        }
+
+        // ----- View (pan / zoom) -----
+
+        function setView(next) {
+            const width = clamp(next.width, base.width / MAX_ZOOM, base.width / MIN_ZOOM);
+            const height = width * base.height / base.width;
+            view = {
+                x: clamp(next.x, base.x, base.x + base.width - width),
+                y: clamp(next.y, base.y, base.y + base.height - height),
+                width,
+                height
+            };
+            svg.setAttribute('viewBox', `${view.x} ${view.y} ${view.width} ${view.height}`);
+        }
+
+        /**
+         * Zoom by a factor, keeping `point` (plan coordinates) in place
+         */
+        function zoomAt(factor, point = { x: view.x + view.width / 2, y: view.y + view.height / 2 }) {
+            const width = clamp(view.width / factor, base.width / MAX_ZOOM, base.width / MIN_ZOOM);
+            const scale = width / view.width;
+            setView({
+                x: point.x - (point.x - view.x) * scale,
+                y: point.y - (point.y - view.y) * scale,
+                width
+            });
+        }
+
+        function panBy(dx, dy) {
+            setView({ ...view, x: view.x + dx, y: view.y + dy });
+        }
+
+        function zoomToRect(rect, zoom) {
+            const width = base.width / zoom;
+            const height = width * base.height / base.width;
+            setView({
+                x: rect.x + rect.width / 2 - width / 2,
+                y: rect.y + rect.height / 2 - height / 2,
+                width
+            });
+        }
+
+        function resetView() {
+            setView({ ...base });
+        }
+
+        /**
+         * Screen position → plan coordinates (the canvas keeps the plan's aspect ratio)
+         */
+        function toPlanPoint(clientX, clientY) {
+            const box = svg.getBoundingClientRect();
+            if (!box.width || !box.height) {
+                return { x: view.x + view.width / 2, y: view.y + view.height / 2 };
+            }
+            return {
+                x: view.x + (clientX - box.left) / box.width * view.width,
+                y: view.y + (clientY - box.top) / box.height * view.height
+            };
+        }
+
+        function screenScale() {
+            const box = svg.getBoundingClientRect();
+            return box.width ? view.width / box.width : 1;
+        }
+
+        // ----- Pointer input: drag to pan, pinch or wheel to zoom -----
+
+        const pointers = new Map();
+        let pressStart = null;
+        let dragged = false;
+
+        svg.addEventListener('pointerdown', (e) => {
+            if (e.pointerType === 'mouse' && e.button !== 0) return;
+            pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (pointers.size === 1) {
+                pressStart = { x: e.clientX, y: e.clientY };
+                dragged = false;
+            }
+        });
+
+        svg.addEventListener('pointermove', (e) => {
+            const previous = pointers.get(e.pointerId);
+            if (!previous) return;
+
+            const current = { x: e.clientX, y: e.clientY };
+
+            if (!dragged && pointers.size === 1 && distance(current, pressStart) < DRAG_THRESHOLD) return;
+            if (!dragged) {
+                dragged = true;
+                // Captured only once it is a drag, so a tap still reaches the unit under it
+                if (svg.setPointerCapture) svg.setPointerCapture(e.pointerId);
+            }
+
+            pointers.set(e.pointerId, current);
+
+            if (pointers.size === 1) {
+                const scale = screenScale();
+                panBy((previous.x - current.x) * scale, (previous.y - current.y) * scale);
+                return;
+            }
+
+            // Pinch: zoom by the change in finger spread around their midpoint
+            const other = Array.from(pointers.entries()).find(([id]) => id !== e.pointerId)[1];
+            const before = distance(previous, other);
+            const after = distance(current, other);
+            const midpoint = { x: (current.x + other.x) / 2, y: (current.y + other.y) / 2 };
+            if (before > 0) zoomAt(after / before, toPlanPoint(midpoint.x, midpoint.y));
+
+            const scale = screenScale();
+            panBy((previous.x - current.x) * scale / 2, (previous.y - current.y) * scale / 2);
+        });
+
+        ['pointerup', 'pointercancel'].forEach(type => {
+            svg.addEventListener(type, (e) => pointers.delete(e.pointerId));
+        });
+
+        svg.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            zoomAt(Math.exp(-e.deltaY * 0.002), toPlanPoint(e.clientX, e.clientY));
+        }, { passive: false });
+
+        svg.addEventListener('dblclick', (e) => {
+            zoomAt(2, toPlanPoint(e.clientX, e.clientY));
+        });
+
+        svg.addEventListener('click', (e) => {
+            if (dragged) {
+                dragged = false;
+                return;
+            }
+            const unit = e.target.closest('.map-unit[data-store]');
+            if (unit) select(unit.dataset.store, { zoom: false });
+        });
+
+        svg.addEventListener('keydown', (e) => {
+            const unit = e.target.closest && e.target.closest('.map-unit[data-store]');
+            if (unit && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                select(unit.dataset.store, { zoom: false });
+                return;
+            }
+
+            const step = view.width * 0.1;
+            const actions = {
+                '+': () => zoomAt(1.25),
+                '=': () => zoomAt(1.25),
+                '-': () => zoomAt(0.8),
+                '0': resetView,
+                ArrowLeft: () => panBy(-step, 0),
+                ArrowRight: () => panBy(step, 0),
+                ArrowUp: () => panBy(0, -step),
+                ArrowDown: () => panBy(0, step)
+            };
+            if (actions[e.key]) {
+                e.preventDefault();
+                actions[e.key]();
+            }
+        });
+
+        floorButtons.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-floor]');
+            if (button) showFloor(Number(button.dataset.floor));
+        });
+
+        zoomButtons.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-zoom]');
+            if (!button) return;
+            if (button.dataset.zoom === 'in') zoomAt(1.5);
+            else if (button.dataset.zoom === 'out') zoomAt(1 / 1.5);
+            else resetView();
+        });
+
+        // ----- Controller -----
+
+        function showFloor(floorId) {
+            const id = Number(floorId);
+            if (!getFloorPlan(plan, id)) return false;
+            if (id !== currentFloor) {
+                currentFloor = id;
+                resetView();
+                drawFloor();
+                if (typeof onFloorChange === 'function') onFloorChange(id);
+            }
+            return true;
+        }
+
+        /**
+         * Highlight a store's unit, switching floor when needed
+         * @param {string} storeId
+         * @param {Object} options
+         * @param {boolean} options.zoom - Zoom in on the unit
+         * @returns {boolean} false when the store has no unit on the plan
+         */
+        function select(storeId, { zoom = true } = {}) {
+            const store = data.getStore(storeId);
+            const located = store ? findUnit(plan, store.unit) : null;
+            if (!located) return false;
+
+            selectedUnit = located.unit.id;
+            showFloor(located.floor.id);
+            floorLayer.querySelectorAll('.map-unit[data-store]').forEach(group => {
+                const selected = group.dataset.unit === selectedUnit;
+                group.classList.toggle('selected', selected);
+                group.setAttribute('aria-pressed', String(selected));
+            });
+            if (zoom) zoomToRect(located.unit, 2.5);
+
+            if (typeof onSelect === 'function') onSelect(store);
+            return true;
+        }
+
+        function clearSelection() {
+            selectedUnit = null;
+            floorLayer.querySelectorAll('.map-unit.selected').forEach(group => {
+                group.classList.remove('selected');
+                group.setAttribute('aria-pressed', 'false');
+            });
+        }
+
+        /**
+         * Draw a route from route() and show the floor it starts on
+         */
+        function showRoute(nextRoute) {
+            currentRoute = nextRoute;
+            if (nextRoute && !showFloor(nextRoute.legs[0].floor)) return;
+            resetView();
+            drawRoute();
+        }
+
+        function clearRoute() {
+            currentRoute = null;
+            drawRoute();
+        }
+
+        drawFloor();
+        resetView();
+
+        return Object.freeze({
+            showFloor,
+            select,
+            clearSelection,
+            showRoute,
+            clearRoute,
+            zoomIn: () => zoomAt(1.5),
+            zoomOut: () => zoomAt(1 / 1.5),
+            resetView,
+            get floor() {
+                return currentFloor;
+            }
+        });
+    }
+
+    return Object.freeze({
+        PLAN_URL,
+        loadPlan,
+        findUnit,
+        buildGraph,
+        shortestPath,
+        startPoints,
+        route,
+        create
+    });
+})();
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AmriaFloorMap;
+}
@@ -0,0 +1,388 @@
+/* =============================================
+   Amria Mall - Form Schemas
+   Declarative field rules shared by the browser
+   (AmriaSecurity.handleFormSubmit) and the Node
+   server (server/lib/validation.js). Messages come
+   from js/i18n.js (Arabic on the server).
+   ============================================= */
+
+'use strict';
+
+const AmriaFormSchema = (function () {
+
+    // Browsers load js/i18n.js first; Node requires it
+    const i18n = typeof AmriaI18n !== 'undefined' ? AmriaI18n : require('./i18n');
+
+    // A catalog message, looked up when the error is shown (in the visitor's language).
+    // Its key and params (an object, or a function of the rule) stay attached so the
+    // server can send the key and let the browser word it
+    const catalogMessage = (key, params = {}) => Object.assign(
+        rule => i18n.t(key, typeof params === 'function' ? params(rule) : params),
+        { key, params }
+    );
+
+    // Same limits as AmriaSecurity._config in js/main.js
+    const LIMITS = Object.freeze({
+        maxInputLength: 1000,
+        maxNameLength: 100,
+        maxEmailLength: 254,
+        maxPhoneLength: 20,
+        maxMessageLength: 5000
+    });
+
+    // Allow Arabic, English letters, spaces, and common name chars
+    const NAME_PATTERN = /^[\u0600-\u06FF\u0750-\u077Fa-zA-Z\s\-'.]+$/;
+
+    // Hidden trap fields - never validated, never submitted
+    const HONEYPOT_FIELDS = Object.freeze(['website', 'url', 'fax']);
+
+    /**
+     * Validate email with strict regex
+     */
+    function isValidEmail(email) {
+        if (!email || typeof email !== 'string') return false;
+        if (email.length > LIMITS.maxEmailLength) return false;
+
+        // RFC 5322 compliant regex (simplified)
+        const emailRegex = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+        return emailRegex.test(email);
+    }
+
+    /**
+     * Validate Iraqi phone number
+     */
+    function isValidPhone(phone) {
+        if (!phone || typeof phone !== 'string') return false;
+        const cleaned = phone.replace(/[\s\-\(\)]/g, '');
+        if (cleaned.length > LIMITS.maxPhoneLength) return false;
+
+        // Iraqi mobile: +964 7XX XXX XXXX or 07XX XXX XXXX
+        const phoneRegex = /^(\+964|00964|0)?7[3-9][0-9]{8}$/;
+        return phoneRegex.test(cleaned);
+    }
+
+    /**
+     * Validate name (no special chars except Arabic)
+     */
+    function isValidName(name) {
+        if (!name || typeof name !== 'string') return false;
+        if (name.length < 2 || name.length > LIMITS.maxNameLength) return false;
+        return NAME_PATTERN.test(name);
+    }
+
+    /**
+     * Field types. A rule's own settings override its type's defaults.
+     * `sanitize` is the AmriaSecurity.sanitize() type used before sending.
+     */
+    const TYPES = {
+        text: Object.freeze({
+            sanitize: 'text',
+            maxLength: LIMITS.maxInputLength
+        }),
+        name: Object.freeze({
+            sanitize: 'name',
+            minLength: 2,
+            maxLength: LIMITS.maxNameLength,
+            pattern: NAME_PATTERN,
+            message: catalogMessage('validation.name')
+        }),
+        email: Object.freeze({
+            sanitize: 'email',
+            maxLength: LIMITS.maxEmailLength,
+            check: isValidEmail,
+            message: catalogMessage('validation.email')
+        }),
+        phone: Object.freeze({
+            sanitize: 'phone',
+            check: isValidPhone,
+            message: catalogMessage('validation.phone')
+        }),
+        message: Object.freeze({
+            sanitize: 'message',
+            maxLength: LIMITS.maxMessageLength,
+            messages: Object.freeze({
+                maxLength: catalogMessage('validation.messageTooLong', { max: LIMITS.maxMessageLength })
+            })
+        })
+    };
+
+    // Fallback messages when neither the rule nor its type has one
+    const DEFAULT_MESSAGES = {
+        required: catalogMessage('validation.required'),
+        minLength: catalogMessage('validation.minLength', rule => ({ count: rule.minLength })),
+        maxLength: catalogMessage('validation.maxLength', rule => ({ count: rule.maxLength })),
+        invalid: catalogMessage('validation.invalid')
+    };
+
+    // Named custom validators, referenced as { validator: 'name' } or data-validator="name"
+    const VALIDATORS = {};
+
+    // Named schemas, referenced as <form data-schema="contact">
+    const SCHEMAS = {};
+
+    /**
+     * Register a custom validator.
+     * @param {string} name
+     * @param {Function} fn - (value, values) => true when valid, false or an error message otherwise
+     */
+    function registerValidator(name, fn) {
+        if (typeof fn !== 'function') {
+            throw new Error(`Validator "${name}" must be a function`);
+        }
+        VALIDATORS[name] = fn;
+    }
+
+    function toRegExp(pattern) {
+        if (!pattern || pattern instanceof RegExp) return pattern || null;
+        // Same semantics as the HTML pattern attribute: the whole value must match
+        return new RegExp(`^(?:${pattern})$`, 'u');
+    }
+
+    /**
+     * Merge a rule with its type's defaults
+     * @param {Object} rule - { type, required, minLength, maxLength, pattern, validator, message, messages }
+     */
+    function compileRule(rule) {
+        const type = rule.type || 'text';
+        if (!TYPES[type]) {
+            throw new Error(`Unknown field type "${type}"`);
+        }
+
+        const defaults = TYPES[type];
+        return Object.freeze({
+            ...defaults,
+            ...rule,
+            type,
+            required: Boolean(rule.required),
+            pattern: toRegExp(rule.pattern || defaults.pattern),
+            messages: Object.freeze({ ...defaults.messages, ...rule.messages })
+        });
+    }
+
+    /**
+     * Compile a { fieldName: rule } map into a schema
+     */
+    function compile(fields) {
+        const schema = {};
+        Object.entries(fields).forEach(([name, rule]) => {
+            schema[name] = compileRule(rule);
+        });
+        return Object.freeze(schema);
+    }
+
+    /**
+     * Register or replace a named schema
+     */
+    function defineSchema(name, fields) {
+        SCHEMAS[name] = compile(fields);
+        return SCHEMAS[name];
+    }
+
+    function getSchema(name) {
+        return SCHEMAS[name] || null;
+    }
+
+    /**
+     * Messages are plain text (e.g. from data-error) or functions of the rule
+     */
+    function messageFor(rule, kind) {
+        const text = messageSource(rule, kind);
+        return typeof text === 'function' ? text(rule) : text;
+    }
+
+    function messageSource(rule, kind) {
+        return rule.messages[kind] ||
+            (kind !== 'required' && rule.message) ||
+            DEFAULT_MESSAGES[kind] ||
+            DEFAULT_MESSAGES.invalid;
+    }
+
+    /**
+     * Catalog key and params of a message, or null for plain text
+     */
+    function codeFor(rule, kind) {
+        const text = messageSource(rule, kind);
+        if (typeof text !== 'function' || !text.key) return null;
+        return { code: text.key, params: typeof text.params === 'function' ? text.params(rule) : text.params };
+    }
+
+    /**
+     * The first check a value fails: { kind } for a rule message, { text } for a
+     * validator's own wording, or null when valid
+     */
+    function findProblem(rule, value, values) {
+        const text = typeof value === 'string' ? value.trim() : '';
+
+        if (!text) {
+            return rule.required ? { kind: 'required' } : null;
+        }
+
+        if (rule.minLength && text.length < rule.minLength) return { kind: 'minLength' };
+        if (rule.maxLength && text.length > rule.maxLength) return { kind: 'maxLength' };
+        if (rule.pattern && !rule.pattern.test(text)) return { kind: 'pattern' };
+        if (rule.check && !rule.check(text)) return { kind: 'invalid' };
+
+        if (rule.validator) {
+            const validator = typeof rule.validator === 'function' ? rule.validator : VALIDATORS[rule.validator];
+            if (!validator) {
+                throw new Error(`Unknown validator "${rule.validator}"`);
+            }
+
+            const outcome = validator(text, values);
+            if (typeof outcome === 'string') return { text: outcome };
+            if (outcome === false) return { kind: 'validator' };
+        }
+
+        return null;
+    }
+
+    /**
+     * Check one value against a compiled rule
+     * @param {Object} rule - Compiled rule (see compileRule)
+     * @param {*} value - Raw value
+     * @param {Object} values - All values of the form (for cross-field validators)
+     * @returns {string|null} Error message, or null when valid
+     */
+    function validateValue(rule, value, values = {}) {
+        const problem = findProblem(rule, value, values);
+        if (!problem) return null;
+        return problem.kind ? messageFor(rule, problem.kind) : problem.text;
+    }
+
+    /**
+     * Validate a values object against a schema.
+     * Only fields declared in the schema are kept in `value`.
+     * @returns {{valid: boolean, value: Object, errors: Object, codes: Object}} errors (the
+     *   messages) and codes ({code, params} of catalog messages) are keyed by field name
+     */
+    function validate(schema, values) {
+        const value = {};
+        const errors = {};
+        const codes = {};
+
+        Object.entries(schema).forEach(([name, rule]) => {
+            const raw = values[name];
+            value[name] = typeof raw === 'string' ? raw.trim() : '';
+
+            const problem = findProblem(rule, raw, values);
+            if (!problem) return;
+            errors[name] = problem.kind ? messageFor(rule, problem.kind) : problem.text;
+            const code = problem.kind && codeFor(rule, problem.kind);
+            if (code) codes[name] = code;
+        });
+
+        return { valid: Object.keys(errors).length === 0, value, errors, codes };
+    }
+
+    // ===== Browser helpers =====
+
+    const SKIPPED_INPUT_TYPES = ['submit', 'button', 'reset', 'hidden', 'file'];
+
+    /**
+     * Rule declared by a field's attributes:
+     *   data-type, required, minlength, maxlength, pattern,
+     *   data-validator, data-error, data-error-required
+     * Without data-type the type comes from the element (email, tel, textarea).
+     */
+    function ruleFromElement(field) {
+        const rule = {};
+
+        if (field.dataset.type) rule.type = field.dataset.type;
+        if (field.required) rule.required = true;
+        if (field.hasAttribute('minlength')) rule.minLength = Number(field.getAttribute('minlength'));
+        if (field.hasAttribute('maxlength')) rule.maxLength = Number(field.getAttribute('maxlength'));
+        if (field.getAttribute('pattern')) rule.pattern = field.getAttribute('pattern');
+        if (field.dataset.validator) rule.validator = field.dataset.validator;
+        if (field.dataset.error) rule.message = field.dataset.error;
+        if (field.dataset.errorRequired) rule.messages = { required: field.dataset.errorRequired };
+
+        return rule;
+    }
+
+    function typeFromElement(field) {
+        if (field.tagName === 'TEXTAREA') return 'message';
+        if (field.type === 'email') return 'email';
+        if (field.type === 'tel') return 'phone';
+        return 'text';
+    }
+
+    /**
+     * Schema for a form: the named schema from data-schema (if any),
+     * refined by each field's own attributes.
+     */
+    function fromForm(form) {
+        const base = getSchema(form.dataset.schema) || {};
+        if (form.dataset.schema && !getSchema(form.dataset.schema)) {
+            console.warn(`⚠️ Unknown form schema "${form.dataset.schema}"`);
+        }
+
+        const fields = {};
+        Array.from(form.elements).forEach(field => {
+            if (!field.name || fields[field.name]) return;
+            if (HONEYPOT_FIELDS.includes(field.name) || field.classList.contains('hp-field')) return;
+            if (SKIPPED_INPUT_TYPES.includes(field.type)) return;
+
+            const declared = base[field.name];
+            const fromAttributes = ruleFromElement(field);
+            fields[field.name] = declared
+                ? {
+                    ...declared,
+                    ...fromAttributes,
+                    required: declared.required || Boolean(fromAttributes.required),
+                    messages: { ...declared.messages, ...fromAttributes.messages }
+                }
+                : { type: typeFromElement(field), ...fromAttributes };
+        });
+
+        return compile(fields);
+    }
+
+    /**
+     * Current values of a form as a plain object
+     */
+    function readForm(form) {
+        const values = {};
+        for (const [key, value] of new FormData(form).entries()) {
+            values[key] = value;
+        }
+        return values;
+    }
+
+    // ===== Built-in schemas =====
+
+    defineSchema('contact', {
+        name: { type: 'name', required: true },
+        email: { type: 'email', required: true },
+        phone: { type: 'phone' },
+        message: { type: 'message', required: true, messages: { required: catalogMessage('validation.messageRequired') } }
+    });
+
+    // Event registration (events.html); the party size limit is per event and checked by the server
+    defineSchema('rsvp', {
+        name: { type: 'name', required: true },
+        phone: { type: 'phone', required: true, messages: { required: catalogMessage('validation.rsvpPhone') } },
+        party: { type: 'text', required: true, pattern: '[1-9][0-9]?', message: catalogMessage('validation.rsvpParty') }
+    });
+
+    return Object.freeze({
+        LIMITS,
+        HONEYPOT_FIELDS,
+        TYPES,
+        isValidEmail,
+        isValidPhone,
+        isValidName,
+        registerValidator,
+        compile,
+        defineSchema,
+        getSchema,
+        validateValue,
+        validate,
+        fromForm,
+        readForm
+    });
+})();
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AmriaFormSchema;
+}
@@ -0,0 +1,122 @@
+/* =============================================
+   Amria Mall - Gallery
+   Posts from data/gallery.json: newest first,
+   hashtag filtering, paging for the endless feed
+   and relative times ("منذ ساعتين", "2 hours ago").
+   Requires js/i18n.js for the labels and captions.
+   ============================================= */
+
+'use strict';
+
+const AmriaGallery = (function () {
+
+    const DATA_URL = 'data/gallery.json';
+
+    // Largest unit first: [seconds in the unit, catalog message]
+    const UNITS = Object.freeze([
+        [365 * 24 * 3600, 'units.year'],
+        [30 * 24 * 3600, 'units.month'],
+        [7 * 24 * 3600, 'units.week'],
+        [24 * 3600, 'units.day'],
+        [3600, 'units.hour'],
+        [60, 'units.minute']
+    ]);
+
+    let _dataPromise = null;
+
+    /**
+     * Load the posts once per page
+     * @returns {Promise<Object>}
+     */
+    function load() {
+        if (!_dataPromise) {
+            _dataPromise = fetch(DATA_URL, { credentials: 'same-origin' })
+                .then(response => {
+                    if (!response.ok) throw new Error(`Gallery data failed to load (${response.status})`);
+                    return response.json();
+                })
+                .then(AmriaI18n.localize);
+            _dataPromise.catch(() => { _dataPromise = null; });
+        }
+        return _dataPromise;
+    }
+
+    // ===== Labels =====
+
+    /**
+     * "الآن", "منذ دقيقتين", "منذ 3 ساعات", "منذ أسبوع"...
+     */
+    function relativeTime(date, at = new Date()) {
+        const seconds = Math.floor((at - date) / 1000);
+        if (seconds < 60) return AmriaI18n.t('gallery.now');
+
+        const [size, unit] = UNITS.find(([length]) => seconds >= length);
+        return AmriaI18n.t('gallery.ago', { time: AmriaI18n.t(unit, { count: Math.floor(seconds / size) }) });
+    }
+
+    /**
+     * 8542 → "8,542 إعجاب" / "8,542 likes"
+     */
+    function formatLikes(count) {
+        return AmriaI18n.t('gallery.likes', { count: Number(count), likes: AmriaI18n.formatNumber(Number(count)) });
+    }
+
+    /**
+     * "#مول_العامرية" / "مول العامرية" → "مول_العامرية"
+     */
+    function normalizeTag(tag) {
+        return String(tag || '').trim().replace(/^#+/, '').replace(/\s+/g, '_');
+    }
+
+    // ===== Feed =====
+
+    /**
+     * Posts newest first, optionally only those with a hashtag.
+     * Posts dated in the future (scheduled) stay hidden until then.
+     */
+    function filter(data, { tag = '', at = new Date() } = {}) {
+        const wanted = normalizeTag(tag);
+        return data.posts
+            .filter(post => new Date(post.published) <= at)
+            .filter(post => !wanted || post.hashtags.map(normalizeTag).includes(wanted))
+            .sort((a, b) => new Date(b.published) - new Date(a.published));
+    }
+
+    /**
+     * Hashtags by how many published posts use them
+     * @returns {Array<{tag: string, count: number}>}
+     */
+    function tags(data, at = new Date()) {
+        const counts = new Map();
+        filter(data, { at }).forEach(post => {
+            post.hashtags.map(normalizeTag).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+        return [...counts.entries()]
+            .map(([tag, count]) => ({ tag, count }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag, 'ar'));
+    }
+
+    /**
+     * Every image of a list of posts in feed order, for the lightbox
+     * @returns {Array<{post, image, index: number}>} index is the image's place in its post
+     */
+    function slides(posts) {
+        return posts.flatMap(post => post.images.map((image, index) => ({ post, image, index })));
+    }
+
+    return Object.freeze({
+        DATA_URL,
+        load,
+        relativeTime,
+        formatLikes,
+        normalizeTag,
+        filter,
+        tags,
+        slides
+    });
+})();
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AmriaGallery;
+}
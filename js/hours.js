@@ -0,0 +1,355 @@
+/* =============================================
+   Amria Mall - Opening Hours
+   Open/closed status, countdowns and schedules
+   from data/hours.json: a weekly schedule, special
+   days (Eid, Ramadan...) and per-store overrides.
+   Every calculation uses Baghdad time, whatever
+   the visitor's own timezone is.
+   Requires js/i18n.js for the labels and the
+   special days' names.
+   ============================================= */
+
+'use strict';
+
+const AmriaHours = (function () {
+
+    const DATA_URL = 'data/hours.json';
+    const DEFAULT_TIME_ZONE = 'Asia/Baghdad';
+
+    // Used when the browser has no time zone data (Baghdad has had no DST since 2008)
+    const FALLBACK_OFFSET_MINUTES = 180;
+
+    const DAY_KEYS = Object.freeze(['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']);
+
+    const MINUTES_PER_DAY = 24 * 60;
+
+    // How far ahead to look for the next opening
+    const LOOKAHEAD_DAYS = 14;
+
+    let _dataPromise = null;
+    const _formatters = new Map();
+
+    /**
+     * Load the hours once per page
+     * @returns {Promise<Object>}
+     */
+    function load() {
+        if (!_dataPromise) {
+            _dataPromise = fetch(DATA_URL, { credentials: 'same-origin' })
+                .then(response => {
+                    if (!response.ok) throw new Error(`Hours data failed to load (${response.status})`);
+                    return response.json();
+                })
+                .then(AmriaI18n.localize);
+            _dataPromise.catch(() => { _dataPromise = null; });
+        }
+        return _dataPromise;
+    }
+
+    // ===== Time zone =====
+
+    function formatterFor(timeZone) {
+        if (!_formatters.has(timeZone)) {
+            let formatter = null;
+            try {
+                formatter = new Intl.DateTimeFormat('en-US', {
+                    timeZone,
+                    hourCycle: 'h23',
+                    year: 'numeric',
+                    month: '2-digit',
+                    day: '2-digit',
+                    hour: '2-digit',
+                    minute: '2-digit'
+                });
+            } catch (error) {
+                console.warn(`⚠️ Time zone "${timeZone}" not supported, using UTC+3`);
+            }
+            _formatters.set(timeZone, formatter);
+        }
+        return _formatters.get(timeZone);
+    }
+
+    /**
+     * Wall-clock date and time of an instant in a time zone
+     * @returns {{dateKey: string, minutes: number}} dateKey is YYYY-MM-DD, minutes since midnight
+     */
+    function zonedTime(date, timeZone) {
+        const formatter = formatterFor(timeZone);
+        let parts;
+
+        if (formatter) {
+            parts = {};
+            formatter.formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+        } else {
+            const shifted = new Date(date.getTime() + FALLBACK_OFFSET_MINUTES * 60000);
+            parts = {
+                year: String(shifted.getUTCFullYear()),
+                month: String(shifted.getUTCMonth() + 1).padStart(2, '0'),
+                day: String(shifted.getUTCDate()).padStart(2, '0'),
+                hour: String(shifted.getUTCHours()),
+                minute: String(shifted.getUTCMinutes())
+            };
+        }
+
+        return {
+            dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+            minutes: Number(parts.hour) * 60 + Number(parts.minute)
+        };
+    }
+
+    function dateKeyToUTC(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return Date.UTC(year, month - 1, day);
+    }
+
+    function addDays(dateKey, days) {
+        return new Date(dateKeyToUTC(dateKey) + days * MINUTES_PER_DAY * 60000).toISOString().slice(0, 10);
+    }
+
+    function weekday(dateKey) {
+        return new Date(dateKeyToUTC(dateKey)).getUTCDay();
+    }
+
+    /**
+     * Instant of a wall-clock time in a time zone.
+     * `minutes` may run past midnight (e.g. 25:00 is 01:00 the next day).
+     */
+    function toInstant(dateKey, minutes, timeZone) {
+        const wall = dateKeyToUTC(dateKey) + minutes * 60000;
+        const offsetAt = (instant) => {
+            const zoned = zonedTime(new Date(instant), timeZone);
+            return dateKeyToUTC(zoned.dateKey) + zoned.minutes * 60000 - Math.floor(instant / 60000) * 60000;
+        };
+
+        // Second pass settles times next to an offset change
+        const guess = wall - offsetAt(wall);
+        return new Date(wall - offsetAt(guess));
+    }
+
+    // ===== Schedule =====
+
+    function parseTime(value) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+        if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+            throw new Error(`Invalid time "${value}" in hours data`);
+        }
+        return Number(match[1]) * 60 + Number(match[2]);
+    }
+
+    function matchesDate(entry, dateKey) {
+        if (entry.date) return entry.date === dateKey;
+        return entry.from <= dateKey && dateKey <= entry.to;
+    }
+
+    /**
+     * Opening periods of one day.
+     * Precedence: the store's special days, the mall's special days (first match
+     * wins), the store's weekly schedule, then the mall's weekly schedule.
+     * @param {Object} data - From load()
+     * @param {string} dateKey - YYYY-MM-DD (Baghdad date)
+     * @param {string} storeId - Optional store id from data/stores.json
+     * @returns {{periods: Array<{open: string, close: string}>, special: string|null, closed: boolean}}
+     */
+    function daySchedule(data, dateKey, storeId) {
+        const override = (storeId && data.stores && data.stores[storeId]) || {};
+        const dayKey = DAY_KEYS[weekday(dateKey)];
+
+        const special = (override.special || []).find(entry => matchesDate(entry, dateKey)) ||
+            (data.special || []).find(entry => matchesDate(entry, dateKey));
+
+        let periods;
+        if (special) {
+            periods = special.closed ? [] : special.periods || [];
+        } else if (override.weekly && override.weekly[dayKey]) {
+            periods = override.weekly[dayKey];
+        } else {
+            periods = (data.weekly && data.weekly[dayKey]) || [];
+        }
+
+        return {
+            periods,
+            special: special ? special.name || null : null,
+            closed: periods.length === 0
+        };
+    }
+
+    /**
+     * Opening periods as minute ranges around a date: day 0 starts at 0,
+     * the previous day at -1440. A close at or before the open runs past midnight.
+     */
+    function intervalsAround(data, dateKey, storeId, fromDay, toDay) {
+        const intervals = [];
+
+        for (let offset = fromDay; offset <= toDay; offset++) {
+            const day = addDays(dateKey, offset);
+            daySchedule(data, day, storeId).periods.forEach(period => {
+                const open = parseTime(period.open);
+                let close = parseTime(period.close);
+                if (close <= open) close += MINUTES_PER_DAY;
+                intervals.push({
+                    start: offset * MINUTES_PER_DAY + open,
+                    end: offset * MINUTES_PER_DAY + close
+                });
+            });
+        }
+
+        // Back-to-back periods (closing at 24:00, opening at 00:00) count as one
+        intervals.sort((a, b) => a.start - b.start);
+        return intervals.reduce((merged, interval) => {
+            const last = merged[merged.length - 1];
+            if (last && interval.start <= last.end) last.end = Math.max(last.end, interval.end);
+            else merged.push({ ...interval });
+            return merged;
+        }, []);
+    }
+
+    /**
+     * Open/closed status at a moment.
+     * @param {Object} data - From load()
+     * @param {Object} options
+     * @param {Date} options.at - Defaults to now
+     * @param {string} options.store - Store id for its own hours
+     * @returns {{open: boolean, closesAt: Date|null, opensAt: Date|null,
+     *   minutesToClose: number|null, minutesToOpen: number|null, special: string|null}}
+     */
+    function status(data, { at = new Date(), store = '' } = {}) {
+        const timeZone = data.timeZone || DEFAULT_TIME_ZONE;
+        const now = zonedTime(at, timeZone);
+        const intervals = intervalsAround(data, now.dateKey, store, -1, LOOKAHEAD_DAYS);
+
+        const current = intervals.find(interval => interval.start <= now.minutes && now.minutes < interval.end);
+        const next = intervals.find(interval => interval.start > now.minutes);
+
+        const closesAt = current ? toInstant(now.dateKey, current.end, timeZone) : null;
+        const opensAt = !current && next ? toInstant(now.dateKey, next.start, timeZone) : null;
+        const minutesUntil = (date) => Math.ceil((date.getTime() - at.getTime()) / 60000);
+
+        return {
+            open: Boolean(current),
+            closesAt,
+            opensAt,
+            minutesToClose: closesAt ? minutesUntil(closesAt) : null,
+            minutesToOpen: opensAt ? minutesUntil(opensAt) : null,
+            special: daySchedule(data, now.dateKey, store).special
+        };
+    }
+
+    /**
+     * Schedule of the coming days, starting today (Baghdad date)
+     * @returns {Array<{dateKey, day, dayName, today, periods, special, closed}>}
+     */
+    function upcoming(data, { from = new Date(), days = 7, store = '' } = {}) {
+        const today = zonedTime(from, data.timeZone || DEFAULT_TIME_ZONE).dateKey;
+
+        return Array.from({ length: days }, (_, offset) => {
+            const dateKey = addDays(today, offset);
+            const day = weekday(dateKey);
+            return {
+                dateKey,
+                day,
+                dayName: AmriaI18n.dayNames()[day],
+                today: offset === 0,
+                ...daySchedule(data, dateKey, store)
+            };
+        });
+    }
+
+    // ===== Formatting (in the visitor's language) =====
+
+    /**
+     * "23:00" → "11:00 م" (or "11:00 مساءً" with long), "11:00 PM" in English
+     */
+    function formatTime(value, { long = false } = {}) {
+        const minutes = parseTime(value) % MINUTES_PER_DAY;
+        const date = new Date(Date.UTC(2000, 0, 1) + minutes * 60000);
+        const time = AmriaI18n.formatTime(date, { timeZone: 'UTC' });
+        if (!long) return time;
+
+        const hour = Math.floor(minutes / 60);
+        const period = hour === 12 ? 'hours.noon' : hour > 12 ? 'hours.evening' : 'hours.morning';
+        return AmriaI18n.t('hours.longTime', {
+            time,
+            clock: AmriaI18n.formatTime(date, { timeZone: 'UTC', clockOnly: true }),
+            period: AmriaI18n.t(period)
+        });
+    }
+
+    /**
+     * Baghdad clock time of an instant, as "HH:MM"
+     */
+    function clockTime(date, timeZone = DEFAULT_TIME_ZONE) {
+        const minutes = zonedTime(date, timeZone).minutes;
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    function formatPeriods(periods) {
+        if (periods.length === 0) return AmriaI18n.t('hours.closed');
+        return AmriaI18n.list(periods.map(period => `${formatTime(period.open)} - ${formatTime(period.close)}`));
+    }
+
+    /**
+     * 45 → "45 دقيقة", 90 → "ساعة و30 دقيقة" ("1 hour 30 minutes")
+     */
+    function formatDuration(totalMinutes) {
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        const hoursText = AmriaI18n.t('units.hour', { count: hours });
+        const minutesText = AmriaI18n.t('units.minute', { count: minutes });
+        if (hours === 0) return minutesText;
+        if (minutes === 0) return hoursText;
+        return AmriaI18n.t('hours.hoursAndMinutes', { hours: hoursText, minutes: minutesText });
+    }
+
+    /**
+     * One line for a status: closing countdown, closing time or next opening
+     * @param {Object} current - From status()
+     * @param {Object} options
+     * @param {number} options.countdownMinutes - Show "closes in" below this many minutes
+     * @param {Date} options.at - Same moment as used for status()
+     */
+    function describe(current, { countdownMinutes = 60, at = new Date(), timeZone = DEFAULT_TIME_ZONE } = {}) {
+        if (current.open) {
+            if (current.minutesToClose <= countdownMinutes) {
+                return AmriaI18n.t('hours.closesIn', { duration: formatDuration(current.minutesToClose) });
+            }
+            return AmriaI18n.t('hours.openUntil', { time: formatTime(clockTime(current.closesAt, timeZone), { long: true }) });
+        }
+
+        if (!current.opensAt) return AmriaI18n.t('hours.closedUntilNotice');
+
+        const today = zonedTime(at, timeZone).dateKey;
+        const openingDay = zonedTime(current.opensAt, timeZone).dateKey;
+        const time = formatTime(clockTime(current.opensAt, timeZone), { long: true });
+
+        if (openingDay === today) return AmriaI18n.t('hours.opensToday', { time });
+        if (openingDay === addDays(today, 1)) return AmriaI18n.t('hours.opensTomorrow', { time });
+        return AmriaI18n.t('hours.opensOn', { day: AmriaI18n.dayNames()[weekday(openingDay)], time });
+    }
+
+    return Object.freeze({
+        DATA_URL,
+        DAY_KEYS,
+        // Weekday names in the visitor's language, Sunday first
+        get DAY_NAMES() {
+            return AmriaI18n.dayNames();
+        },
+        load,
+        zonedTime,
+        addDays,
+        weekday,
+        toInstant,
+        daySchedule,
+        status,
+        upcoming,
+        formatTime,
+        clockTime,
+        formatPeriods,
+        formatDuration,
+        describe
+    });
+})();
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AmriaHours;
+}
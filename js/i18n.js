@@ -0,0 +1,317 @@
+/* =============================================
+   Amria Mall - Languages
+   Message catalogs (js/locales/*.js) for Arabic,
+   English and Kurdish (Sorani), the visitor's
+   language choice (flips lang/dir on <html>) and
+   Intl formatting of numbers, IQD prices, dates
+   and times in the chosen language.
+   Load in <head> so the page direction is right
+   before the first paint.
+   ============================================= */
+
+'use strict';
+
+const AmriaI18n = (function () {
+
+    const STORAGE_KEY = 'amria-lang';
+    const DEFAULT_LANGUAGE = 'ar';
+    const TIME_ZONE = 'Asia/Baghdad';
+
+    // `locales` are tried in order by Intl (browsers without Sorani data fall back to Iraqi Arabic).
+    // Arabic keeps the Latin digits the site has always used for times and prices.
+    const LANGUAGES = Object.freeze({
+        ar: Object.freeze({ name: 'العربية', dir: 'rtl', locales: Object.freeze(['ar-IQ-u-nu-latn']), digits: '٠١٢٣٤٥٦٧٨٩' }),
+        en: Object.freeze({ name: 'English', dir: 'ltr', locales: Object.freeze(['en-IQ', 'en']), digits: null }),
+        ckb: Object.freeze({ name: 'کوردی', dir: 'rtl', locales: Object.freeze(['ckb-IQ', 'ar-IQ']), digits: '٠١٢٣٤٥٦٧٨٩' })
+    });
+
+    const _catalogs = {};
+    const _formatters = new Map();
+    const _missing = new Set();
+
+    let _language = readStoredLanguage();
+
+    function isSupported(language) {
+        return Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+    }
+
+    function readStoredLanguage() {
+        try {
+            const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(STORAGE_KEY) : null;
+            return isSupported(stored) ? stored : DEFAULT_LANGUAGE;
+        } catch (error) {
+            // Storage blocked (privacy mode) - stay on the default
+            return DEFAULT_LANGUAGE;
+        }
+    }
+
+    // ===== Catalogs =====
+
+    /**
+     * Add messages to a language's catalog (later keys win)
+     * @param {string} language - Key of LANGUAGES
+     * @param {Object} messages - { 'area.key': 'text' | { one, two, few, many, other } }
+     */
+    function register(language, messages) {
+        if (!isSupported(language)) {
+            throw new Error(`Unknown language "${language}"`);
+        }
+        _catalogs[language] = { ..._catalogs[language], ...messages };
+    }
+
+    function lookup(language, key) {
+        const catalog = _catalogs[language];
+        return catalog && Object.prototype.hasOwnProperty.call(catalog, key) ? catalog[key] : undefined;
+    }
+
+    function interpolate(message, params) {
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            if (!Object.prototype.hasOwnProperty.call(params, name)) return match;
+            const value = params[name];
+            return typeof value === 'number' ? formatNumber(value, { useGrouping: false }) : String(value);
+        });
+    }
+
+    /**
+     * Message for a key in the current language, falling back to Arabic.
+     * Plural messages pick their form from params.count (Intl.PluralRules).
+     *   t('hours.closesIn', { duration: '45 دقيقة' })
+     *   t('units.minute', { count: 2 }) → "دقيقتين" / "2 minutes"
+     * @returns {string} The key itself when no catalog has it
+     */
+    function t(key, params = {}) {
+        let message = lookup(_language, key);
+        if (message === undefined) message = lookup(DEFAULT_LANGUAGE, key);
+        if (message === undefined) {
+            if (!_missing.has(key)) {
+                _missing.add(key);
+                console.warn(`⚠️ Missing translation "${key}"`);
+            }
+            return key;
+        }
+
+        if (typeof message === 'object') {
+            const form = pluralRules().select(Number(params.count) || 0);
+            message = message[form] !== undefined ? message[form] : message.other;
+        }
+        return interpolate(message, params);
+    }
+
+    function has(key) {
+        return lookup(_language, key) !== undefined || lookup(DEFAULT_LANGUAGE, key) !== undefined;
+    }
+
+    /**
+     * A message the server sent as a catalog code (error bodies carry `code`
+     * and `params`): worded in the visitor's language, or `fallback` (the
+     * server's own text) when there is no code or no such key
+     */
+    function fromCode(code, params, fallback) {
+        return code && has(code) ? t(code, params) : fallback;
+    }
+
+    // ===== Language =====
+
+    function getLanguage() {
+        return _language;
+    }
+
+    /**
+     * Switch language, remember it and update <html>.
+     * Text already rendered stays as it is - pages reload to redraw it.
+     * @returns {boolean} false when the language is not supported
+     */
+    function setLanguage(language) {
+        if (!isSupported(language)) return false;
+
+        _language = language;
+        try {
+            if (typeof localStorage !== 'undefined') localStorage.setItem(STORAGE_KEY, language);
+        } catch (error) {
+            console.warn('⚠️ Language choice could not be saved:', error);
+        }
+        applyDocumentLanguage();
+
+        if (typeof document !== 'undefined') {
+            document.dispatchEvent(new CustomEvent('amria:languagechange', { detail: { language } }));
+        }
+        return true;
+    }
+
+    function getDirection() {
+        return LANGUAGES[_language].dir;
+    }
+
+    function applyDocumentLanguage() {
+        if (typeof document === 'undefined') return;
+        document.documentElement.lang = _language;
+        document.documentElement.dir = getDirection();
+    }
+
+    /**
+     * Translate marked elements:
+     *   data-i18n="nav.home"                         → textContent
+     *   data-i18n="units.hour" data-i18n-count="2"   → textContent, plural form for 2
+     *   data-i18n-attr="aria-label:map.zoomIn,title:map.zoomIn" → attributes
+     */
+    function translate(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const count = element.dataset.i18nCount;
+            element.textContent = t(element.dataset.i18n, count === undefined ? undefined : { count: Number(count) });
+        });
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(',').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) element.setAttribute(attribute, t(key));
+            });
+        });
+    }
+
+    // ===== Data files =====
+
+    function isWordings(value) {
+        const languages = Object.keys(value);
+        return languages.includes(DEFAULT_LANGUAGE) && languages.every(isSupported);
+    }
+
+    /**
+     * Text in data/*.json is a plain string or one wording per language
+     * ({ "ar": ..., "en": ..., "ckb": ... }). Returns a copy of `data` with
+     * every such object replaced by its wording in `language`, or the Arabic
+     * one when that language has none.
+     *   localize({ name: { ar: 'مطاعم', en: 'Restaurants' } }) → { name: 'Restaurants' }
+     */
+    function localize(data, language = _language) {
+        if (Array.isArray(data)) return data.map(item => localize(item, language));
+        if (!data || typeof data !== 'object') return data;
+        if (isWordings(data)) {
+            return Object.prototype.hasOwnProperty.call(data, language) ? data[language] : data[DEFAULT_LANGUAGE];
+        }
+        return Object.fromEntries(Object.entries(data).map(([key, value]) => [key, localize(value, language)]));
+    }
+
+    // ===== Intl formatting =====
+
+    function cached(kind, options, create) {
+        const id = `${_language}|${kind}|${JSON.stringify(options)}`;
+        if (!_formatters.has(id)) _formatters.set(id, create(LANGUAGES[_language].locales, options));
+        return _formatters.get(id);
+    }
+
+    function pluralRules() {
+        return cached('plural', {}, (locales) => new Intl.PluralRules(locales));
+    }
+
+    /**
+     * 8542 → "8,542" (Kurdish: "٨٬٥٤٢")
+     */
+    function formatNumber(value, options = {}) {
+        return cached('number', options, (locales, opts) => new Intl.NumberFormat(locales, opts)).format(value);
+    }
+
+    /**
+     * 10000 → "10,000 د.ع." / "IQD 10,000" - whole amounts without decimals
+     */
+    function formatPrice(amount, currency = 'IQD') {
+        const value = Number(amount);
+        const options = {
+            style: 'currency',
+            currency,
+            currencyDisplay: 'narrowSymbol',
+            minimumFractionDigits: 0,
+            maximumFractionDigits: Number.isInteger(value) ? 0 : 2
+        };
+        return formatNumber(value, options);
+    }
+
+    /**
+     * Date in Baghdad time unless options.timeZone says otherwise
+     * @param {Date} date
+     * @param {Object} options - Intl.DateTimeFormat options
+     */
+    function formatDate(date, options = { dateStyle: 'long' }) {
+        const settings = { timeZone: TIME_ZONE, ...options };
+        return cached('date', settings, (locales, opts) => new Intl.DateTimeFormat(locales, opts)).format(date);
+    }
+
+    /**
+     * Clock time: "8:05 م" / "8:05 PM" / "٨:٠٥ د.ن"
+     * @param {Object} options.clockOnly - Leave out the AM/PM part
+     */
+    function formatTime(date, { timeZone = TIME_ZONE, clockOnly = false } = {}) {
+        const settings = { timeZone, hour: 'numeric', minute: '2-digit', hour12: true };
+        const formatter = cached('date', settings, (locales, opts) => new Intl.DateTimeFormat(locales, opts));
+        if (!clockOnly) return formatter.format(date);
+        return formatter.formatToParts(date)
+            .filter(part => part.type !== 'dayPeriod')
+            .map(part => part.value)
+            .join('')
+            .trim();
+    }
+
+    /**
+     * Weekday names, Sunday first (same order as AmriaHours.DAY_KEYS)
+     */
+    function dayNames(width = 'long') {
+        // 1 January 2023 was a Sunday
+        return Array.from({ length: 7 }, (_, day) =>
+            formatDate(new Date(Date.UTC(2023, 0, 1 + day)), { weekday: width, timeZone: 'UTC' }));
+    }
+
+    /**
+     * Month names, January first ("كانون الثاني"... in Iraqi Arabic)
+     */
+    function monthNames(width = 'long') {
+        return Array.from({ length: 12 }, (_, month) =>
+            formatDate(new Date(Date.UTC(2023, month, 1)), { month: width, timeZone: 'UTC' }));
+    }
+
+    /**
+     * Items joined with the language's list separator ("، " or ", ")
+     */
+    function list(items) {
+        return items.join(t('common.listSeparator'));
+    }
+
+    /**
+     * Latin digits in a text shown as the language's own digits (٠١٢ in Arabic and Kurdish)
+     */
+    function nativeDigits(text) {
+        const digits = LANGUAGES[_language].digits;
+        if (!digits) return String(text);
+        return String(text).replace(/[0-9]/g, digit => digits[digit]);
+    }
+
+    applyDocumentLanguage();
+
+    return Object.freeze({
+        STORAGE_KEY,
+        DEFAULT_LANGUAGE,
+        LANGUAGES,
+        register,
+        t,
+        has,
+        fromCode,
+        getLanguage,
+        setLanguage,
+        getDirection,
+        translate,
+        localize,
+        formatNumber,
+        formatPrice,
+        formatDate,
+        formatTime,
+        dayNames,
+        monthNames,
+        list,
+        nativeDigits
+    });
+})();
+
+// Export for module environments (the server loads every catalog; its messages stay Arabic)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AmriaI18n;
+    Object.keys(AmriaI18n.LANGUAGES).forEach(language => {
+        AmriaI18n.register(language, require(`./locales/${language}`));
+    });
+}
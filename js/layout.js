@@ -0,0 +1,272 @@
+/* =============================================
+   Amria Mall - Page Layout
+   The chrome every page shares, drawn from one
+   config: <amria-background>, <amria-header>,
+   <amria-footer> and <amria-social-links>.
+   The nav link of the current page is marked
+   active automatically.
+   Load in <head> after js/i18n.js and the
+   catalogs, so the elements are drawn as the
+   page is parsed (before js/main.js wires up
+   the menu on DOMContentLoaded).
+   ============================================= */
+
+'use strict';
+
+const AmriaLayout = (function () {
+
+    const HOME_PAGE = 'index.html';
+
+    // Main menu, in order.
+    // `section`: on the page it points to, the link jumps to that section (#about) instead
+    // `homeOnly`: only listed on the home page
+    const NAV_LINKS = Object.freeze([
+        Object.freeze({ href: 'index.html', key: 'nav.home', section: 'home' }),
+        Object.freeze({ href: 'gallery.html', key: 'nav.gallery' }),
+        Object.freeze({ href: 'plan-visit.html', key: 'nav.plan' }),
+        Object.freeze({ href: 'offers.html', key: 'nav.offers' }),
+        Object.freeze({ href: 'hours.html', key: 'nav.hours' }),
+        Object.freeze({ href: 'events.html', key: 'nav.events' }),
+        Object.freeze({ href: 'index.html#about', key: 'nav.about', section: 'about', homeOnly: true }),
+        Object.freeze({ href: 'index.html#ceo', key: 'nav.ceo', section: 'ceo', homeOnly: true }),
+        Object.freeze({ href: 'stores.html', key: 'nav.stores' }),
+        Object.freeze({ href: 'map.html', key: 'nav.map' }),
+        Object.freeze({ href: 'contact.html', key: 'nav.contact' })
+    ]);
+
+    // Footer "quick links"
+    const FOOTER_LINKS = Object.freeze([
+        Object.freeze({ href: 'index.html#about', key: 'nav.about', section: 'about' }),
+        Object.freeze({ href: 'stores.html', key: 'nav.stores' }),
+        Object.freeze({ href: 'offers.html', key: 'nav.offers' }),
+        Object.freeze({ href: 'contact.html', key: 'nav.contact' })
+    ]);
+
+    // The mall's accounts - change a URL here and every page follows
+    const SOCIAL_LINKS = Object.freeze([
+        Object.freeze({
+            id: 'facebook',
+            name: 'Facebook',
+            emoji: '📘',
+            url: 'https://www.facebook.com/people/Amiriya-Mall-%D9%85%D9%88%D9%84-%D8%A7%D9%84%D8%B9%D8%A7%D9%85%D8%B1%D9%8A%D8%A9/100087418976202/',
+            icon: 'assets/social/facebook.png'
+        }),
+        Object.freeze({
+            id: 'instagram',
+            name: 'Instagram',
+            emoji: '📸',
+            url: 'https://www.instagram.com/amiriyamall/',
+            icon: 'assets/social/instagram.png'
+        }),
+        Object.freeze({
+            id: 'threads',
+            name: 'Threads',
+            emoji: '🧵',
+            url: 'https://www.threads.com/@amiriyamall',
+            icon: 'assets/social/threads.png'
+        })
+    ]);
+
+    const BACKGROUND_ORBS = 3;
+
+    /**
+     * File name of the page being shown ("/" → "index.html")
+     */
+    function currentPage(pathname = location.pathname) {
+        return decodeURIComponent(pathname.split('/').pop()) || HOME_PAGE;
+    }
+
+    function pageOf(link) {
+        return link.href.split('#')[0];
+    }
+
+    /**
+     * href for a config link as seen from `page`
+     */
+    function linkHref(link, page = currentPage()) {
+        return link.section && pageOf(link) === page ? `#${link.section}` : link.href;
+    }
+
+    /**
+     * The links of a list that are shown on `page`
+     */
+    function linksFor(links, page = currentPage()) {
+        return links.filter(link => !link.homeOnly || page === HOME_PAGE);
+    }
+
+    // ===== Rendering =====
+
+    function htmlElement(name, attributes = {}, text = '') {
+        const element = document.createElement(name);
+        Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+        if (text) element.textContent = text;
+        return element;
+    }
+
+    function pageLink(link, page) {
+        const anchor = htmlElement('a', { href: linkHref(link, page) }, AmriaI18n.t(link.key));
+        // Links to a section further down (index.html#about) are not "this page"
+        if (link.href === page) {
+            anchor.classList.add('active');
+            anchor.setAttribute('aria-current', 'page');
+        }
+        return anchor;
+    }
+
+    function socialLink(social, variant) {
+        const anchor = htmlElement('a', {
+            href: social.url,
+            target: '_blank',
+            rel: 'noopener noreferrer',
+            'aria-label': social.name
+        });
+
+        if (variant === 'buttons') {
+            anchor.className = `social-btn ${social.id}`;
+            anchor.textContent = `${social.emoji} ${social.name}`;
+            return anchor;
+        }
+
+        anchor.className = 'social-item';
+        const wrapper = htmlElement('div', { class: 'social-icon-wrapper' });
+        wrapper.appendChild(htmlElement('img', { src: social.icon, alt: '' }));
+        anchor.append(wrapper, htmlElement('span', { class: 'social-name' }, social.name));
+        return anchor;
+    }
+
+    function renderSocialLinks(variant) {
+        const list = htmlElement('div', { class: 'social-links' });
+        SOCIAL_LINKS.forEach(social => list.appendChild(socialLink(social, variant)));
+        return list;
+    }
+
+    function renderBackground({ plain }) {
+        const background = htmlElement('div', { class: 'animated-bg', 'aria-hidden': 'true' });
+        if (plain) return [background];
+
+        for (let i = 1; i <= BACKGROUND_ORBS; i++) {
+            background.appendChild(htmlElement('div', { class: `orb orb-${i}` }));
+        }
+        return [
+            background,
+            htmlElement('div', { class: 'particles', 'aria-hidden': 'true' }),
+            htmlElement('div', { class: 'mouse-follower', 'aria-hidden': 'true' })
+        ];
+    }
+
+    function renderHeader({ minimal }) {
+        const page = currentPage();
+        const header = htmlElement('header');
+
+        const logo = htmlElement('div', { class: 'logo' });
+        const home = htmlElement('a', { href: HOME_PAGE });
+        home.append(
+            htmlElement('img', { src: 'assets/logos/amria-mall.jpg', alt: 'Amria Mall Logo' }),
+            htmlElement('span', { class: 'logo-text' }, 'Amria Mall')
+        );
+        logo.appendChild(home);
+        header.appendChild(logo);
+
+        if (minimal) return [header];
+
+        const toggle = htmlElement('button', {
+            type: 'button',
+            class: 'menu-toggle',
+            id: 'menuToggle',
+            'aria-label': AmriaI18n.t('nav.menu'),
+            'aria-controls': 'mainNav'
+        });
+        for (let i = 0; i < 3; i++) {
+            toggle.appendChild(htmlElement('span', { class: 'hamburger-line' }));
+        }
+
+        const nav = htmlElement('nav', { id: 'mainNav' });
+        const menu = htmlElement('ul');
+        linksFor(NAV_LINKS, page).forEach(link => {
+            const item = htmlElement('li');
+            item.appendChild(pageLink(link, page));
+            menu.appendChild(item);
+        });
+        nav.appendChild(menu);
+        header.append(toggle, nav);
+
+        return [header, htmlElement('div', { class: 'menu-overlay', id: 'menuOverlay' })];
+    }
+
+    function footerSection(title) {
+        const section = htmlElement('div', { class: 'footer-section' });
+        section.appendChild(htmlElement('h4', {}, AmriaI18n.t(title)));
+        return section;
+    }
+
+    function renderFooter() {
+        const page = currentPage();
+        const footer = htmlElement('footer');
+        const content = htmlElement('div', { class: 'footer-content' });
+
+        const about = footerSection('footer.aboutTitle');
+        about.appendChild(htmlElement('p', {}, AmriaI18n.t('footer.about')));
+
+        const links = footerSection('footer.linksTitle');
+        linksFor(FOOTER_LINKS, page).forEach(link => {
+            links.appendChild(htmlElement('a', { href: linkHref(link, page) }, AmriaI18n.t(link.key)));
+        });
+
+        const follow = footerSection('footer.followTitle');
+        follow.appendChild(renderSocialLinks('icons'));
+
+        content.append(about, links, follow);
+
+        const bottom = htmlElement('div', { class: 'footer-bottom' });
+        bottom.append(
+            htmlElement('p', { class: 'footer-credit' }, 'Developed by Amria Mall Programmers'),
+            htmlElement('p', { class: 'footer-developer' }, 'مصطفى علاء'),
+            htmlElement('p', { class: 'footer-rights' }, AmriaI18n.t('footer.rights'))
+        );
+
+        footer.append(content, bottom);
+        return [footer];
+    }
+
+    // ===== Custom elements =====
+
+    /**
+     * Light-DOM element that replaces its contents with `render(options)` once,
+     * when first attached - page CSS and js/main.js see plain markup.
+     * Boolean attributes become options: <amria-header minimal>
+     */
+    function defineLayoutElement(name, render, flags = []) {
+        customElements.define(name, class extends HTMLElement {
+            connectedCallback() {
+                if (this.dataset.rendered) return;
+                this.dataset.rendered = 'true';
+
+                const options = {};
+                flags.forEach(flag => { options[flag] = this.hasAttribute(flag); });
+                options.variant = this.getAttribute('variant') || undefined;
+                this.replaceChildren(...render(options));
+            }
+        });
+    }
+
+    if (typeof customElements !== 'undefined') {
+        defineLayoutElement('amria-background', renderBackground, ['plain']);
+        defineLayoutElement('amria-header', renderHeader, ['minimal']);
+        defineLayoutElement('amria-footer', renderFooter);
+        defineLayoutElement('amria-social-links', ({ variant }) => [renderSocialLinks(variant || 'icons')]);
+    }
+
+    return Object.freeze({
+        NAV_LINKS,
+        FOOTER_LINKS,
+        SOCIAL_LINKS,
+        currentPage,
+        linkHref,
+        linksFor
+    });
+})();
+
+// Export for module environments (the link config; the elements need a browser)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AmriaLayout;
+}
@@ -0,0 +1,424 @@
+/* =============================================
+   Amria Mall - Arabic catalog (default language)
+   Keys missing from the other catalogs fall back
+   to these. Plural messages use Intl.PluralRules
+   forms: zero, one, two, few (3-10), many (11-99),
+   other.
+   ============================================= */
+
+'use strict';
+
+const AmriaLocaleAr = Object.freeze({
+    // ----- Shared -----
+    'common.listSeparator': '، ',
+    'common.close': 'إغلاق',
+    'common.all': 'الكل',
+    'common.categories': 'الفئات',
+    'common.store': 'المحل',
+    'common.storeUnit': '{floor} - محل {unit}',
+    'language.label': 'اللغة',
+
+    // ----- Header and footer -----
+    'nav.home': 'الرئيسية',
+    'nav.gallery': 'لحظات العامرية',
+    'nav.plan': 'خطط زيارتك',
+    'nav.offers': 'العروض',
+    'nav.hours': 'ساعات العمل',
+    'nav.events': 'الحفلات',
+    'nav.about': 'عن المول',
+    'nav.ceo': 'المدير التنفيذي',
+    'nav.stores': 'محلاتنا',
+    'nav.map': 'خريطة المول',
+    'nav.contact': 'تواصل معنا',
+    'nav.menu': 'القائمة',
+    'nav.skip': 'تخطَّ إلى المحتوى الرئيسي',
+    'footer.aboutTitle': 'عن مول العامرية',
+    'footer.about': 'وجهتك المثالية للتسوق والترفيه في قلب بغداد. نقدم تجربة تسوق فريدة مع أفضل العلامات التجارية العالمية والمحلية في بيئة آمنة ومريحة.',
+    'footer.linksTitle': 'روابط سريعة',
+    'footer.followTitle': 'تابعونا',
+    'footer.rights': '© 2026 Amria Mall. جميع الحقوق محفوظة',
+
+    // ----- Page titles -----
+    'title.index': 'Amria Mall | مول العامرية - بغداد',
+    'title.contact': 'تواصل معنا | Amria Mall - مول العامرية',
+    'title.events': 'الحفلات والفعاليات | Amria Mall',
+    'title.gallery': 'لحظات العامرية | Amria Mall',
+    'title.hours': 'ساعات العمل | Amria Mall',
+    'title.login': 'دخول الموظفين | Amria Mall',
+    'title.map': 'خريطة المول | Amria Mall - مول العامرية',
+    'title.offers': 'العروض الحصرية | Amria Mall',
+    'title.offline': 'غير متصل | Amria Mall',
+    'title.plan': 'خطط زيارتك | Amria Mall',
+    'title.stores': 'محلاتنا | Amria Mall - مول العامرية',
+
+    // ----- Units (with a count) -----
+    'units.year': { one: 'سنة', two: 'سنتين', few: '{count} سنوات', many: '{count} سنة', other: '{count} سنة' },
+    'units.month': { one: 'شهر', two: 'شهرين', few: '{count} أشهر', many: '{count} شهراً', other: '{count} شهراً' },
+    'units.week': { one: 'أسبوع', two: 'أسبوعين', few: '{count} أسابيع', many: '{count} أسبوعاً', other: '{count} أسبوعاً' },
+    'units.day': { one: 'يوم', two: 'يومين', few: '{count} أيام', many: '{count} يوماً', other: '{count} يوماً' },
+    'units.hour': { one: 'ساعة', two: 'ساعتين', few: '{count} ساعات', many: '{count} ساعة', other: '{count} ساعة' },
+    'units.minute': { one: 'دقيقة', two: 'دقيقتين', few: '{count} دقائق', many: '{count} دقيقة', other: '{count} دقيقة' },
+
+    // ----- Forms (js/main.js, js/form-schema.js) -----
+    'form.slowDown': 'الرجاء التأني في ملء النموذج',
+    'form.sending': 'جاري الإرسال...',
+    'form.offlineQueued': 'لا يوجد اتصال بالإنترنت حالياً. حفظنا رسالتك وسنرسلها تلقائياً عند عودة الاتصال 📨',
+    'form.sent': 'تم إرسال رسالتك بنجاح! ✅',
+    'form.failed': 'حدث خطأ. الرجاء المحاولة لاحقاً',
+    'form.errors': { one: 'يوجد خطأ في النموذج', other: 'يوجد {count} أخطاء في النموذج' },
+    'form.canSubmit': 'يمكنك إرسال النموذج الآن',
+    'form.blockedCountdown': '⏳ تم حظرك مؤقتاً بسبب كثرة المحاولات. يمكنك المحاولة بعد {time}',
+    'form.blocked': 'تم حظرك مؤقتاً. يمكنك المحاولة بعد {count} دقيقة',
+    'form.outboxSent': 'تم إرسال رسالتك المحفوظة بنجاح! ✅',
+    'form.outboxFailed': 'تعذر إرسال رسالة محفوظة. الرجاء إعادة كتابتها وإرسالها مرة أخرى',
+    'validation.required': 'هذا الحقل مطلوب',
+    'validation.minLength': 'يجب ألا يقل عن {count} أحرف',
+    'validation.maxLength': 'يجب ألا يزيد عن {count} حرف',
+    'validation.invalid': 'القيمة المدخلة غير صحيحة',
+    'validation.name': 'الرجاء إدخال اسم صحيح',
+    'validation.email': 'الرجاء إدخال بريد إلكتروني صحيح',
+    'validation.phone': 'الرجاء إدخال رقم هاتف عراقي صحيح',
+    'validation.messageTooLong': 'الرسالة طويلة جداً (الحد الأقصى {max} حرف)',
+    'validation.messageRequired': 'الرجاء كتابة رسالتك',
+    'validation.rsvpPhone': 'نحتاج رقم هاتفك للتواصل بخصوص الحجز',
+    'validation.rsvpParty': 'الرجاء اختيار عدد الأشخاص',
+
+    // ----- Server responses (server/, shown by the browser from their code) -----
+    'server.payloadTooLarge': 'حجم الطلب كبير جداً',
+    'server.unsupportedType': 'نوع المحتوى غير مدعوم',
+    'server.badRequest': 'صيغة الطلب غير صحيحة',
+    'server.badAddress': 'عنوان غير صالح',
+    'server.badIdempotencyKey': 'مفتاح الطلب (Idempotency-Key) غير صالح',
+    'server.notFound': 'المسار غير موجود',
+    'server.pageNotFound': '404 - الصفحة غير موجودة',
+    'server.methodNotAllowed': 'الطريقة غير مسموحة',
+    'server.rateLimited': 'تم حظرك مؤقتاً بسبب كثرة المحاولات',
+    'server.csrfExpired': 'انتهت صلاحية الجلسة. الرجاء تحديث الصفحة والمحاولة مجدداً',
+    'server.internal': 'حدث خطأ في الخادم. الرجاء المحاولة لاحقاً',
+    'server.invalidFields': 'الرجاء تصحيح الحقول المحددة',
+    'server.invalidCredentials': 'اسم المستخدم أو كلمة المرور غير صحيحة',
+    'server.sessionEnded': 'انتهت الجلسة. الرجاء تسجيل الدخول مجدداً',
+    'server.loginRequired': 'الرجاء تسجيل الدخول',
+    'server.forbidden': 'ليست لديك صلاحية لهذا الإجراء',
+    'server.noCspReport': 'لا يحتوي الطلب على تقرير صالح',
+    'server.noRateLimitData': 'لا توجد بيانات لهذا المفتاح',
+    'server.eventsUnavailable': 'تقويم الفعاليات غير متاح حالياً',
+    'server.eventNotFound': 'الفعالية غير موجودة أو لا تقبل التسجيل',
+    'server.occurrenceNotFound': 'موعد الفعالية غير صحيح',
+    'server.registrationClosed': 'انتهى التسجيل لهذا الموعد',
+    'server.alreadyRegistered': 'هذا الرقم مسجل مسبقاً لهذا الموعد',
+    'server.eventFull': 'اكتملت الأماكن وقائمة الانتظار لهذا الموعد',
+    'server.partyTooLarge': { one: 'الحد الأقصى شخص واحد للتسجيل الواحد', two: 'الحد الأقصى شخصان للتسجيل الواحد', few: 'الحد الأقصى {count} أشخاص للتسجيل الواحد', other: 'الحد الأقصى {count} شخصاً للتسجيل الواحد' },
+    'server.rsvpConfirmed': 'تم تأكيد تسجيلك! ✅',
+    'server.rsvpWaitlisted': 'اكتملت الأماكن، أنت رقم {position} على قائمة الانتظار',
+
+    // ----- Security notices (js/main.js) -----
+    'security.consoleTitle': '⚠️ تحذير أمني!',
+    'security.consoleText': 'هذا المتصفح مخصص للمطورين. إذا طلب منك شخص ما لصق كود هنا، فهذه عملية احتيال.',
+    'security.consoleNever': 'لا تلصق أي كود هنا أبداً!',
+    'security.framed': 'هذا الموقع لا يمكن عرضه داخل إطار',
+
+    // ----- Visual effects (js/main.js) -----
+    'effects.toggle': '✨ المؤثرات المتحركة',
+
+    // ----- Opening hours (js/hours.js, live status) -----
+    'hours.morning': 'صباحاً',
+    'hours.noon': 'ظهراً',
+    'hours.evening': 'مساءً',
+    'hours.longTime': '{clock} {period}',
+    'hours.closed': 'مغلق',
+    'hours.hoursAndMinutes': '{hours} و{minutes}',
+    'hours.openNow': 'مفتوح الآن',
+    'hours.closedNow': 'مغلق الآن',
+    'hours.closesIn': 'يغلق خلال {duration}',
+    'hours.openUntil': 'مفتوح حتى الساعة {time}',
+    'hours.closedUntilNotice': 'مغلق حتى إشعار آخر',
+    'hours.opensToday': 'يفتح اليوم الساعة {time}',
+    'hours.opensTomorrow': 'يفتح غداً الساعة {time}',
+    'hours.opensOn': 'يفتح يوم {day} الساعة {time}',
+
+    // ----- Events (js/events.js) -----
+    'events.status.upcoming': 'قادمة',
+    'events.status.ongoing': 'جارية الآن',
+    'events.status.past': 'انتهت',
+    'events.daily': 'يومياً',
+    'events.everyDays': 'كل {count} أيام',
+    'events.monthly': 'شهرياً',
+    'events.everyMonths': 'كل {count} أشهر',
+    'events.weekly': 'أسبوعياً يوم {day}',
+    'events.fortnightly': 'يوم {day} كل أسبوعين',
+    'events.everyWeeks': 'يوم {day} كل {count} أسابيع',
+    'events.calendarName': 'فعاليات مول العامرية',
+
+    // ----- Offers (js/offers.js) -----
+    'offers.percent': 'خصم {value}%',
+    'offers.percentUpTo': 'خصم حتى {value}%',
+    'offers.bogoOne': '{buy} + {get} مجاناً',
+    'offers.bogo': 'اشترِ {buy} واحصل على {get} مجاناً',
+    'offers.fixed': 'بسعر {price}',
+    'offers.daily': 'يومياً {time}',
+
+    // ----- Gallery (js/gallery.js) -----
+    'gallery.now': 'الآن',
+    'gallery.ago': 'منذ {time}',
+    'gallery.likes': '{likes} إعجاب',
+
+    // ----- Floor map (js/floor-map.js) -----
+    'map.floors': 'الطوابق',
+    'map.zoom': 'التكبير',
+    'map.zoomIn': 'تكبير',
+    'map.zoomOut': 'تصغير',
+    'map.zoomReset': 'عرض الطابق كاملاً',
+    'map.roleDescription': 'خريطة',
+    'map.floorLabel': 'خريطة {floor}',
+    'map.unitLabel': '{name} - {nameAr}، محل {unit}',
+    'map.vacant': 'متاح',
+
+    // ----- Opening hours page (hours.html) -----
+    'hoursPage.checking': 'جاري التحقق...',
+    'hoursPage.upcoming': 'الأيام القادمة',
+    'hoursPage.baghdadTime': 'بتوقيت بغداد',
+    'hoursPage.mallOpen': 'المول مفتوح الآن',
+    'hoursPage.mallClosed': 'المول مغلق حالياً',
+    'hoursPage.welcome': 'أهلاً بك! {status}',
+    'hoursPage.today': '{day} (اليوم)',
+    'hoursPage.loadFailed': 'تعذر تحميل أوقات العمل',
+    'hoursPage.tryLater': 'الرجاء المحاولة لاحقاً',
+
+    // ----- Home page (index.html) -----
+    'indexPage.heroTitle': 'مول العامرية',
+    'indexPage.heroSubtitle': 'وجهتك المثالية للتسوق والترفيه في قلب بغداد',
+    'indexPage.heroButton': 'اكتشف محلاتنا',
+    'indexPage.aboutTitle': 'عن مول العامرية',
+    'indexPage.aboutSubtitle': 'نقدم لكم تجربة تسوق استثنائية في بيئة آمنة ومريحة',
+    'indexPage.securityTitle': 'أمان على مدار الساعة',
+    'indexPage.securityText': 'المول مؤمن 24 ساعة / 7 أيام في الأسبوع بأحدث أنظمة المراقبة وفريق أمني محترف لضمان سلامتكم وراحتكم أثناء التسوق',
+    'indexPage.parkingTitle': 'موقف مجاني',
+    'indexPage.parkingText': 'نوفر لزوارنا الكرام كراج واسع ومجاني بالكامل، مع خدمة صف السيارات لتجربة تسوق خالية من المتاعب',
+    'indexPage.managementTitle': 'إدارة محترفة',
+    'indexPage.managementText': 'يُدار المول من قبل فريق من أكفأ الإداريين والمتخصصين في مجال إدارة المراكز التجارية لتقديم أفضل الخدمات',
+    'indexPage.locationTitle': 'موقع استراتيجي',
+    'indexPage.locationText': 'يقع المول في قلب منطقة العامرية، بغداد - موقع مركزي يسهل الوصول إليه من جميع أنحاء المدينة',
+    'indexPage.brandsTitle': 'علامات تجارية عالمية',
+    'indexPage.brandsText': 'نستضيف أفضل العلامات التجارية العالمية والمحلية لنقدم لكم تشكيلة متنوعة تلبي جميع احتياجاتكم',
+    'indexPage.leisureTitle': 'ترفيه وأجواء مميزة',
+    'indexPage.leisureText': 'بيئة مريحة ومكيفة مع مناطق استراحة ومطاعم متنوعة لتستمتعوا بوقتكم مع العائلة والأصدقاء',
+    'indexPage.ceoSection': 'المدير التنفيذي',
+    'indexPage.ceoName': 'السيد خطاب',
+    'indexPage.ceoRole': 'المؤسس والمدير التنفيذي',
+    'indexPage.ceoBio1': 'رجل أعمال عراقي بارز ورائد في مجال التطوير العقاري والاستثمار التجاري. يمتلك السيد خطاب خبرة تمتد لأكثر من 15 عاماً في إدارة المشاريع الكبرى والمراكز التجارية.',
+    'indexPage.ceoBio2': 'بدأ مسيرته المهنية في قطاع الأعمال منذ سن مبكرة، حيث أسس العديد من المشاريع الناجحة التي ساهمت في تنمية الاقتصاد المحلي. يتميز برؤيته الاستراتيجية وقدرته على تحويل الأفكار إلى مشاريع واقعية ناجحة.',
+    'indexPage.ceoBio3': 'تحت قيادته، أصبح مول العامرية واحداً من أبرز الوجهات التجارية في بغداد، حيث يجمع بين التصميم العصري والخدمات المتميزة لتقديم تجربة تسوق فريدة للزوار.',
+    'indexPage.ceoVisionLabel': 'رؤيته:',
+    'indexPage.ceoVision': '"نسعى لجعل مول العامرية المركز التجاري الأول في العراق، من خلال تقديم تجربة تسوق عالمية المستوى تلبي تطلعات المجتمع العراقي."',
+    'indexPage.ctaText': '🛍️ اكتشف أفضل العلامات التجارية العالمية والمحلية',
+    'indexPage.ctaButton': 'تصفح محلاتنا',
+
+    // ----- Contact page (contact.html) -----
+    'contactPage.title': 'تواصل معنا',
+    'contactPage.intro': 'نحن سعداء بتواصلكم معنا! يمكنكم التواصل عبر أي من القنوات التالية',
+    'contactPage.infoTitle': 'معلومات التواصل',
+    'contactPage.findUs': 'كيف تصل إلينا',
+    'contactPage.address': 'العنوان',
+    'contactPage.addressText': 'منطقة العامرية، بغداد، العراق',
+    'contactPage.phone': 'رقم موحد',
+    'contactPage.email': 'البريد الإلكتروني',
+    'contactPage.hours': 'ساعات العمل',
+    'contactPage.hoursText': 'جميع الايام من الساعة الحادية عشر صباحاً حتى الحادية عشر مساءً',
+    'contactPage.formTitle': 'أرسل رسالة',
+    'contactPage.name': 'الاسم الكامل',
+    'contactPage.emailField': 'البريد الإلكتروني',
+    'contactPage.phoneField': 'رقم الهاتف',
+    'contactPage.message': 'رسالتك...',
+    'contactPage.submit': 'إرسال الرسالة',
+    'contactPage.follow': 'تابعونا على وسائل التواصل الاجتماعي',
+
+    // ----- Offline page (offline.html) -----
+    'offlinePage.title': 'لا يوجد اتصال بالإنترنت',
+    'offlinePage.text': 'يبدو أن الإشارة ضعيفة داخل المول. هذه الصفحة غير محفوظة على جهازك بعد، لكن الصفحات التالية متاحة دون اتصال.',
+    'offlinePage.retry': 'إعادة المحاولة',
+
+    // ----- Offers page (offers.html) -----
+    'offersPage.heading': 'أحدث العروض',
+    'offersPage.allStores': 'كل المحلات',
+    'offersPage.loadFailed': 'تعذر تحميل العروض. الرجاء المحاولة لاحقاً.',
+    'offersPage.endsIn': 'ينتهي خلال',
+    'offersPage.untilFurtherNotice': 'ساري حتى إشعار آخر',
+    'offersPage.noneForFilter': 'لا توجد عروض سارية لهذا الاختيار الآن. جرّب محلاً أو فئة أخرى.',
+    'offersPage.none': 'لا توجد عروض سارية الآن. تابعونا لمعرفة العروض القادمة!',
+
+    // ----- Stores page (stores.html) -----
+    'storesPage.title': 'محلاتنا',
+    'storesPage.intro': 'اكتشف أفضل العلامات التجارية العالمية والمحلية في مول العامرية',
+    'storesPage.brands': 'العلامات التجارية',
+    'storesPage.brandsSubtitle': 'تشكيلة متنوعة تلبي جميع احتياجاتكم',
+    'storesPage.searchLabel': 'ابحث عن محل',
+    'storesPage.searchPlaceholder': 'ابحث باسم المحل أو نوعه... (مثلاً: قهوة، KFC)',
+    'storesPage.floor': 'الطابق',
+    'storesPage.allFloors': 'كل الطوابق',
+    'storesPage.empty': 'لا توجد محلات مطابقة لبحثك. جرّب كلمة أخرى أو أزل الفلاتر.',
+    'storesPage.ctaText': '🛍️ زورونا واكتشفوا المزيد من المتاجر والعروض الحصرية!',
+    'storesPage.ctaButton': 'شاهد العروض',
+    'storesPage.onMap': '📍 على الخريطة',
+    'storesPage.share': 'مشاركة الرابط',
+    'storesPage.linkCopied': 'تم نسخ الرابط 📋',
+    'storesPage.loadFailed': 'تعذر تحميل قائمة المحلات. الرجاء المحاولة لاحقاً.',
+    'storesPage.countAll': { zero: 'لا توجد محلات في المول', one: 'محل واحد في المول', two: 'محلان في المول', few: '{count} محلات في المول', many: '{count} محلاً في المول', other: '{count} محل في المول' },
+    'storesPage.countFiltered': { zero: 'لا محلات من {total}', one: 'محل واحد من {total}', two: 'محلان من {total}', few: '{count} محلات من {total}', many: '{count} محلاً من {total}', other: '{count} من {total} محل' },
+    'storesPage.logoAlt': 'شعار {name}',
+    'storesPage.category': 'الفئة',
+    'storesPage.location': 'الموقع',
+    'storesPage.hours': 'ساعات العمل',
+    'storesPage.phone': 'الهاتف',
+
+    // ----- Mall map page (map.html) -----
+    'mapPage.title': 'خريطة المول',
+    'mapPage.intro': 'اعثر على أي محل في مول العامرية واعرف أقصر طريق إليه',
+    'mapPage.chooseStore': 'اختر محلاً...',
+    'mapPage.startPoint': 'نقطة البداية',
+    'mapPage.whereFrom': 'من أين تبدأ؟',
+    'mapPage.stepFree': 'طريق بدون سلالم (عربات الأطفال والكراسي المتحركة)',
+    'mapPage.storeDetails': 'تفاصيل المحل',
+    'mapPage.hint': 'اسحب لتحريك الخريطة، وكبّر بإصبعين أو بعجلة الفأرة أو بأزرار + و −.',
+    'mapPage.loadFailed': 'تعذر تحميل الخريطة. الرجاء المحاولة لاحقاً.',
+    'mapPage.stepStart': 'ابدأ من {point} في {floor}',
+    'mapPage.stepUp': 'استخدم {connector} صعوداً إلى {floor}',
+    'mapPage.stepDown': 'استخدم {connector} نزولاً إلى {floor}',
+    'mapPage.stepArrive': 'ستجد {name} في المحل {unit}',
+    'mapPage.pickStore': 'اختر محلاً من القائمة أو اضغط عليه في الخريطة.',
+    'mapPage.pickStart': 'اختر نقطة البداية لعرض أقصر طريق إلى المحل.',
+    'mapPage.noRoute': 'لا يوجد طريق متاح من هذه النقطة.',
+    'mapPage.routeSummary': { zero: 'الطريق إلى {name}: حوالي {count} متر مشياً', one: 'الطريق إلى {name}: حوالي متر واحد مشياً', two: 'الطريق إلى {name}: حوالي مترين مشياً', few: 'الطريق إلى {name}: حوالي {count} أمتار مشياً', many: 'الطريق إلى {name}: حوالي {count} متراً مشياً', other: 'الطريق إلى {name}: حوالي {count} متر مشياً' },
+
+    // ----- Gallery page (gallery.html) -----
+    'galleryPage.intro': 'أجمل اللحظات بعدسة زوارنا ومحبينا',
+    'galleryPage.filterByTag': 'تصفية حسب الهاشتاغ',
+    'galleryPage.ctaTitle': 'شاركنا لحظاتك! ⭐',
+    'galleryPage.ctaText': 'التقط صورة مميزة وارفعها على انستغرام مع منشن @amiriyamall',
+    'galleryPage.visitInstagram': 'زيارة صفحتنا على انستغرام',
+    'galleryPage.viewer': 'عارض الصور',
+    'galleryPage.previous': 'الصورة السابقة',
+    'galleryPage.next': 'الصورة التالية',
+    'galleryPage.loadFailed': 'تعذر تحميل المنشورات. الرجاء المحاولة لاحقاً.',
+    'galleryPage.viewFull': 'عرض الصورة كاملة: {alt}',
+    'galleryPage.noPosts': 'لا توجد منشورات بهذا الهاشتاغ بعد.',
+    'galleryPage.imageOf': 'صورة {index} من {total}',
+
+    // ----- Events page (events.html) -----
+    'eventsPage.title': 'الحفلات والفعاليات 🎉',
+    'eventsPage.intro': 'اكتشف أجمل اللحظات والأنشطة في مول العامرية',
+    'eventsPage.view': 'طريقة العرض',
+    'eventsPage.list': '📋 القائمة',
+    'eventsPage.calendar': '🗓️ التقويم',
+    'eventsPage.subscribe': '🔔 اشترك في تقويم الفعاليات',
+    'eventsPage.past': 'فعاليات سابقة',
+    'eventsPage.previousMonth': 'الشهر السابق',
+    'eventsPage.nextMonth': 'الشهر التالي',
+    'eventsPage.loadFailed': 'تعذر تحميل الفعاليات. الرجاء المحاولة لاحقاً.',
+    'eventsPage.range': '{from} إلى {to}',
+    'eventsPage.placesLeft': { one: 'متبقي مكان واحد', two: 'متبقي مكانان', few: 'متبقي {count} أماكن', many: 'متبقي {count} مكاناً', other: 'متبقي {count} مكان' },
+    'eventsPage.waitlistOpen': 'اكتمل العدد - التسجيل على قائمة الانتظار',
+    'eventsPage.full': 'اكتمل التسجيل',
+    'eventsPage.confirmed': { one: '✅ تم تأكيد تسجيل شخص واحد', two: '✅ تم تأكيد تسجيل شخصين', few: '✅ تم تأكيد تسجيل {count} أشخاص', many: '✅ تم تأكيد تسجيل {count} شخصاً', other: '✅ تم تأكيد تسجيل {count} شخص' },
+    'eventsPage.waitlisted': '⏳ أنت رقم {position} على قائمة الانتظار',
+    'eventsPage.qrLabel': 'رمز QR للتسجيل {code}',
+    'eventsPage.keepCode': '📅 {when} - احتفظ بالرمز وأظهره عند الدخول',
+    'eventsPage.register': '🎟️ سجّل حضورك',
+    'eventsPage.confirm': 'تأكيد التسجيل',
+    'eventsPage.name': 'الاسم الكامل',
+    'eventsPage.phone': 'رقم الهاتف',
+    'eventsPage.party': 'عدد الأشخاص',
+    'eventsPage.addToCalendar': '📅 أضف إلى تقويمك',
+    'eventsPage.noneUpcoming': 'لا توجد فعاليات قادمة حالياً. تابعونا لمعرفة الجديد!',
+
+    // ----- Staff login page (login.html) -----
+    'loginPage.title': 'دخول الموظفين 🔐',
+    'loginPage.hint': 'هذه الصفحة مخصصة لفريق إدارة مول العامرية فقط',
+    'loginPage.username': 'اسم المستخدم',
+    'loginPage.password': 'كلمة المرور',
+    'loginPage.submit': 'تسجيل الدخول',
+    'loginPage.cspDirectives': '🛡️ أكثر مخالفات CSP تكراراً',
+    'loginPage.cspBlocked': '🚫 أكثر الروابط المحظورة',
+    'loginPage.rsvps': '🎟️ تسجيلات الفعاليات',
+    'loginPage.exportAll': '⬇️ تصدير كل التسجيلات (CSV)',
+    'loginPage.logout': 'تسجيل الخروج',
+    'loginPage.role.staff': 'موظف',
+    'loginPage.role.admin': 'مدير النظام',
+    'loginPage.noReports': 'لا توجد تقارير ✅',
+    'loginPage.noRsvps': 'لا توجد تسجيلات بعد',
+    'loginPage.confirmed': 'مؤكد {confirmed}',
+    'loginPage.confirmedOf': 'مؤكد {confirmed} من {capacity}',
+    'loginPage.waitlisted': 'انتظار {waitlisted}',
+    'loginPage.exportDate': 'تصدير تسجيلات {title} ({when})',
+    'loginPage.welcome': 'أهلاً {name} 👋',
+    'loginPage.loggedOut': 'تم تسجيل الخروج',
+
+    // ----- Visit planner page (plan-visit.html) -----
+    'planPage.welcome': 'أهلاً بك في مول العامرية! 👋',
+    'planPage.whoWith': 'لنساعدك في التخطيط، أخبرنا... مع من ستزورنا اليوم؟',
+    'planPage.family': 'مع العائلة',
+    'planPage.friends': 'مع الأصدقاء',
+    'planPage.solo': 'لوحدي',
+    'planPage.savedPlans': 'خططك المحفوظة 💾',
+    'planPage.back': 'رجوع',
+    'planPage.timeAndTaste': 'كم من الوقت لديك، وما الذي تحبه؟',
+    'planPage.kidsLabel': 'عدد الأطفال',
+    'planPage.noKids': 'بدون أطفال',
+    'planPage.kids': { one: 'طفل واحد', two: 'طفلين', few: '{count} أطفال', many: '{count} طفلاً', other: '{count} طفل' },
+    'planPage.kidsOrMore': { one: 'طفل واحد أو أكثر', two: 'طفلين أو أكثر', few: '{count} أطفال أو أكثر', many: '{count} طفلاً أو أكثر', other: '{count} طفل أو أكثر' },
+    'planPage.arrival': 'موعد الوصول',
+    'planPage.now': 'الآن',
+    'planPage.inHours': { one: 'بعد ساعة', two: 'بعد ساعتين', few: 'بعد {count} ساعات', many: 'بعد {count} ساعة', other: 'بعد {count} ساعة' },
+    'planPage.tomorrow': 'غداً عند الافتتاح',
+    'planPage.duration': 'الوقت المتاح',
+    'planPage.budget': 'الميزانية',
+    'planPage.interests': 'اهتماماتك (اختياري)',
+    'planPage.interestsLabel': 'الاهتمامات',
+    'planPage.makePlan': 'اصنع خطتي ✨',
+    'planPage.suggested': '✨ خطة زيارتك المقترحة',
+    'planPage.actions': 'حفظ ومشاركة الخطة',
+    'planPage.save': '💾 حفظ',
+    'planPage.share': '🔗 مشاركة الرابط',
+    'planPage.whatsapp': '💬 واتساب',
+    'planPage.print': '🖨️ طباعة',
+    'planPage.image': '🖼️ صورة',
+    'planPage.another': 'اقتراح آخر 🎲',
+    'planPage.walk': '🚶 {duration} مشي',
+    'planPage.loadFailed': 'تعذر تحميل قائمة المحلات. الرجاء المحاولة لاحقاً.',
+    'planPage.nothingOpen': 'لم نجد محلات مفتوحة تناسب اختياراتك في هذا الوقت. جرّب وقتاً أطول أو ميزانية مختلفة.',
+    'planPage.timeRange': 'من {from} إلى {to}',
+    'planPage.expired': 'انتهى موعد هذه الخطة. اضغط «اقتراح آخر» لخطة جديدة بنفس الأسلوب.',
+    'planPage.skipped': 'لم يتسع الوقت أو الميزانية لـ: {steps}',
+    'planPage.ready': { one: 'خطتك جاهزة: {summary} · عدد المحطات {count}', other: 'خطتك جاهزة: {summary} · عدد المحطات {count}' },
+    'planPage.shareTitle': '{title} - مول العامرية',
+    'planPage.linkCopied': 'تم نسخ رابط الخطة 📋',
+    'planPage.openFailed': 'تعذر تحميل الخطة. الرجاء المحاولة لاحقاً.',
+    'planPage.badLink': 'رابط الخطة غير صالح أو قديم',
+    'planPage.savedUnreadable': 'تعذر قراءة خططك المحفوظة، لذلك لم نحفظ هذه الخطة كي لا تضيع الخطط السابقة',
+    'planPage.saved': 'تم حفظ الخطة على هذا الجهاز 💾',
+    'planPage.deleteSaved': 'حذف {title} {day}',
+    'planPage.cardFooter': 'Amria Mall · مول العامرية',
+    'planPage.imageFailed': 'تعذر إنشاء الصورة',
+    'planPage.shuffling': 'جاري خلط الأوراق... 🎲',
+
+    // ----- Staff registrations export (server/routes/events.js) -----
+    'rsvpExport.code': 'رمز التأكيد',
+    'rsvpExport.status': 'الحالة',
+    'rsvpExport.event': 'الفعالية',
+    'rsvpExport.occurrence': 'الموعد',
+    'rsvpExport.name': 'الاسم',
+    'rsvpExport.phone': 'الهاتف',
+    'rsvpExport.party': 'عدد الأشخاص',
+    'rsvpExport.registeredAt': 'وقت التسجيل',
+    'rsvpExport.status.confirmed': 'مؤكد',
+    'rsvpExport.status.waitlisted': 'قائمة الانتظار'
+});
+
+if (typeof AmriaI18n !== 'undefined') {
+    AmriaI18n.register('ar', AmriaLocaleAr);
+}
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AmriaLocaleAr;
+}
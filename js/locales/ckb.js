@@ -0,0 +1,423 @@
+/* =============================================
+   Amria Mall - Kurdish (Sorani) catalog
+   Same keys as js/locales/ar.js. Nouns after a
+   number stay singular, so most counts need no
+   plural forms.
+   ============================================= */
+
+'use strict';
+
+const AmriaLocaleCkb = Object.freeze({
+    // ----- Shared -----
+    'common.listSeparator': '، ',
+    'common.close': 'داخستن',
+    'common.all': 'هەموو',
+    'common.categories': 'پۆلەکان',
+    'common.store': 'فرۆشگا',
+    'common.storeUnit': '{floor} - فرۆشگای {unit}',
+    'language.label': 'زمان',
+
+    // ----- Header and footer -----
+    'nav.home': 'سەرەکی',
+    'nav.gallery': 'ساتەکانی عامریە',
+    'nav.plan': 'سەردانەکەت پلان بکە',
+    'nav.offers': 'ئۆفەرەکان',
+    'nav.hours': 'کاتەکانی کار',
+    'nav.events': 'ئاهەنگەکان',
+    'nav.about': 'دەربارەی مۆڵ',
+    'nav.ceo': 'بەڕێوەبەری جێبەجێکار',
+    'nav.stores': 'دوکانەکانمان',
+    'nav.map': 'نەخشەی مۆڵ',
+    'nav.contact': 'پەیوەندیمان پێوە بکە',
+    'nav.menu': 'مێنیو',
+    'nav.skip': 'بازدان بۆ ناوەڕۆکی سەرەکی',
+    'footer.aboutTitle': 'دەربارەی مۆڵی عامریە',
+    'footer.about': 'شوێنی گونجاو بۆ بازاڕکردن و کات بەسەربردن لە دڵی بەغدا، لەگەڵ باشترین براندە جیهانی و ناوخۆییەکان لە ژینگەیەکی ئارام و ئاسوودەدا.',
+    'footer.linksTitle': 'بەستەرە خێراکان',
+    'footer.followTitle': 'بەدوامان بکەون',
+    'footer.rights': '© 2026 Amria Mall. هەموو مافەکان پارێزراون',
+
+    // ----- Page titles -----
+    'title.index': 'Amria Mall | مۆڵی عامریە - بەغدا',
+    'title.contact': 'پەیوەندیمان پێوە بکە | Amria Mall',
+    'title.events': 'ئاهەنگ و چالاکییەکان | Amria Mall',
+    'title.gallery': 'ساتەکانی عامریە | Amria Mall',
+    'title.hours': 'کاتەکانی کار | Amria Mall',
+    'title.login': 'چوونەژوورەوەی کارمەندان | Amria Mall',
+    'title.map': 'نەخشەی مۆڵ | Amria Mall',
+    'title.offers': 'ئۆفەرە تایبەتەکان | Amria Mall',
+    'title.offline': 'بێ ئینتەرنێت | Amria Mall',
+    'title.plan': 'سەردانەکەت پلان بکە | Amria Mall',
+    'title.stores': 'دوکانەکانمان | Amria Mall',
+
+    // ----- Units (with a count) -----
+    'units.year': '{count} ساڵ',
+    'units.month': '{count} مانگ',
+    'units.week': '{count} هەفتە',
+    'units.day': '{count} ڕۆژ',
+    'units.hour': '{count} کاتژمێر',
+    'units.minute': '{count} خولەک',
+
+    // ----- Forms (js/main.js, js/form-schema.js) -----
+    'form.slowDown': 'تکایە بە ئارامی فۆڕمەکە پڕ بکەرەوە',
+    'form.sending': 'دەنێردرێت...',
+    'form.offlineQueued': 'ئێستا ئینتەرنێت نییە. نامەکەتمان پاشەکەوت کرد و کە ئینتەرنێت گەڕایەوە خۆکارانە دەینێرین 📨',
+    'form.sent': 'نامەکەت بە سەرکەوتوویی نێردرا! ✅',
+    'form.failed': 'هەڵەیەک ڕوویدا. تکایە دواتر هەوڵ بدەرەوە',
+    'form.errors': { one: 'هەڵەیەک لە فۆڕمەکەدا هەیە', other: '{count} هەڵە لە فۆڕمەکەدا هەیە' },
+    'form.canSubmit': 'ئێستا دەتوانیت فۆڕمەکە بنێریت',
+    'form.blockedCountdown': '⏳ بەهۆی هەوڵی زۆرەوە بۆ ماوەیەک ڕاگیراویت. دەتوانیت دوای {time} هەوڵ بدەیتەوە',
+    'form.blocked': 'بۆ ماوەیەک ڕاگیراویت. دەتوانیت دوای {count} خولەک هەوڵ بدەیتەوە',
+    'form.outboxSent': 'نامە پاشەکەوتکراوەکەت بە سەرکەوتوویی نێردرا! ✅',
+    'form.outboxFailed': 'نەتوانرا نامەیەکی پاشەکەوتکراو بنێردرێت. تکایە دووبارە بینووسەرەوە و بینێرەوە',
+    'validation.required': 'ئەم خانەیە پێویستە',
+    'validation.minLength': 'دەبێت لانیکەم {count} پیت بێت',
+    'validation.maxLength': 'نابێت لە {count} پیت زیاتر بێت',
+    'validation.invalid': 'بەهای نووسراو دروست نییە',
+    'validation.name': 'تکایە ناوێکی دروست بنووسە',
+    'validation.email': 'تکایە ئیمەیڵێکی دروست بنووسە',
+    'validation.phone': 'تکایە ژمارە تەلەفۆنێکی عێراقیی دروست بنووسە',
+    'validation.messageTooLong': 'نامەکە زۆر درێژە (زۆرترین {max} پیت)',
+    'validation.messageRequired': 'تکایە نامەکەت بنووسە',
+    'validation.rsvpPhone': 'ژمارە تەلەفۆنەکەتمان پێویستە بۆ پەیوەندیکردن دەربارەی حیجزەکە',
+    'validation.rsvpParty': 'تکایە ژمارەی کەسەکان هەڵبژێرە',
+
+    // ----- Server responses (server/, shown by the browser from their code) -----
+    'server.payloadTooLarge': 'داواکارییەکە زۆر گەورەیە',
+    'server.unsupportedType': 'جۆری ناوەڕۆکەکە پشتگیری ناکرێت',
+    'server.badRequest': 'شێوەی داواکارییەکە هەڵەیە',
+    'server.badAddress': 'ناونیشانەکە دروست نییە',
+    'server.badIdempotencyKey': 'کلیلی داواکاری (Idempotency-Key) دروست نییە',
+    'server.notFound': 'ئەم ڕێڕەوە بوونی نییە',
+    'server.pageNotFound': '404 - پەڕەکە نەدۆزرایەوە',
+    'server.methodNotAllowed': 'ئەم شێوازە ڕێگەپێدراو نییە',
+    'server.rateLimited': 'بەهۆی هەوڵدانی زۆرەوە بۆ ماوەیەک ڕاگیراویت',
+    'server.csrfExpired': 'کاتی دانیشتنەکە بەسەرچوو. تکایە پەڕەکە نوێ بکەرەوە و دووبارە هەوڵ بدەرەوە',
+    'server.internal': 'هەڵەیەک لە ڕاژەکار ڕوویدا. تکایە دواتر هەوڵ بدەرەوە',
+    'server.invalidFields': 'تکایە خانە دیاریکراوەکان ڕاست بکەرەوە',
+    'server.invalidCredentials': 'ناوی بەکارهێنەر یان وشەی نهێنی هەڵەیە',
+    'server.sessionEnded': 'دانیشتنەکە کۆتایی هات. تکایە دووبارە بچۆ ژوورەوە',
+    'server.loginRequired': 'تکایە بچۆ ژوورەوە',
+    'server.forbidden': 'مۆڵەتی ئەم کارەت نییە',
+    'server.noCspReport': 'داواکارییەکە هیچ ڕاپۆرتێکی دروستی تێدا نییە',
+    'server.noRateLimitData': 'هیچ زانیارییەک بۆ ئەم کلیلە نییە',
+    'server.eventsUnavailable': 'ساڵنامەی چالاکییەکان ئێستا بەردەست نییە',
+    'server.eventNotFound': 'ئەم چالاکییە بوونی نییە یان تۆمارکردن وەرناگرێت',
+    'server.occurrenceNotFound': 'کاتی چالاکییەکە هەڵەیە',
+    'server.registrationClosed': 'تۆمارکردن بۆ ئەم کاتە کۆتایی هاتووە',
+    'server.alreadyRegistered': 'ئەم ژمارەیە پێشتر بۆ ئەم کاتە تۆمار کراوە',
+    'server.eventFull': 'هەموو شوێنەکان و لیستی چاوەڕوانی بۆ ئەم کاتە پڕ بوون',
+    'server.partyTooLarge': 'لانی زۆر {count} کەس بۆ هەر تۆمارکردنێک',
+    'server.rsvpConfirmed': 'تۆمارکردنەکەت پشتڕاست کرایەوە! ✅',
+    'server.rsvpWaitlisted': 'شوێنەکان پڕ بوون، تۆ ژمارە {position}ی لیستی چاوەڕوانیت',
+
+    // ----- Security notices (js/main.js) -----
+    'security.consoleTitle': '⚠️ ئاگاداری ئاسایش!',
+    'security.consoleText': 'ئەم بەشە تایبەتە بە پەرەپێدەران. ئەگەر کەسێک داوای لێکردیت کۆدێک لێرە دابنێیت، ئەوە فێڵە.',
+    'security.consoleNever': 'هەرگیز هیچ کۆدێک لێرە دامەنێ!',
+    'security.framed': 'ئەم ماڵپەڕە لەناو چوارچێوەدا پیشان نادرێت',
+
+    // ----- Visual effects (js/main.js) -----
+    'effects.toggle': '✨ کاریگەرییە جووڵاوەکان',
+
+    // ----- Opening hours (js/hours.js, live status) -----
+    'hours.morning': 'بەیانی',
+    'hours.noon': 'نیوەڕۆ',
+    'hours.evening': 'ئێوارە',
+    'hours.longTime': '{clock} {period}',
+    'hours.closed': 'داخراوە',
+    'hours.hoursAndMinutes': '{hours} و {minutes}',
+    'hours.openNow': 'ئێستا کراوەیە',
+    'hours.closedNow': 'ئێستا داخراوە',
+    'hours.closesIn': 'دوای {duration} دادەخرێت',
+    'hours.openUntil': 'کراوەیە تا کاتژمێر {time}',
+    'hours.closedUntilNotice': 'داخراوە تا ئاگادارکردنەوەی دواتر',
+    'hours.opensToday': 'ئەمڕۆ کاتژمێر {time} دەکرێتەوە',
+    'hours.opensTomorrow': 'سبەی کاتژمێر {time} دەکرێتەوە',
+    'hours.opensOn': 'ڕۆژی {day} کاتژمێر {time} دەکرێتەوە',
+
+    // ----- Events (js/events.js) -----
+    'events.status.upcoming': 'داهاتوو',
+    'events.status.ongoing': 'ئێستا بەڕێوەدەچێت',
+    'events.status.past': 'کۆتایی هات',
+    'events.daily': 'ڕۆژانە',
+    'events.everyDays': 'هەر {count} ڕۆژ جارێک',
+    'events.monthly': 'مانگانە',
+    'events.everyMonths': 'هەر {count} مانگ جارێک',
+    'events.weekly': 'هەفتانە ڕۆژی {day}',
+    'events.fortnightly': 'ڕۆژی {day} هەر دوو هەفتە جارێک',
+    'events.everyWeeks': 'ڕۆژی {day} هەر {count} هەفتە جارێک',
+    'events.calendarName': 'چالاکییەکانی مۆڵی عامریە',
+
+    // ----- Offers (js/offers.js) -----
+    'offers.percent': 'داشکاندنی {value}%',
+    'offers.percentUpTo': 'داشکاندن تا {value}%',
+    'offers.bogoOne': '{buy} + {get} بەخۆڕایی',
+    'offers.bogo': '{buy} بکڕە و {get} بەخۆڕایی وەربگرە',
+    'offers.fixed': 'بە نرخی {price}',
+    'offers.daily': 'ڕۆژانە {time}',
+
+    // ----- Gallery (js/gallery.js) -----
+    'gallery.now': 'ئێستا',
+    'gallery.ago': 'پێش {time}',
+    'gallery.likes': '{likes} لایک',
+
+    // ----- Floor map (js/floor-map.js) -----
+    'map.floors': 'نهۆمەکان',
+    'map.zoom': 'گەورەکردن',
+    'map.zoomIn': 'گەورەکردن',
+    'map.zoomOut': 'بچووککردنەوە',
+    'map.zoomReset': 'پیشاندانی هەموو نهۆمەکە',
+    'map.roleDescription': 'نەخشە',
+    'map.floorLabel': 'نەخشەی {floor}',
+    'map.unitLabel': '{name}، دوکانی {unit}',
+    'map.vacant': 'بەردەستە',
+
+    // ----- Opening hours page (hours.html) -----
+    'hoursPage.checking': 'پشکنین...',
+    'hoursPage.upcoming': 'ڕۆژانی داهاتوو',
+    'hoursPage.baghdadTime': 'بە کاتی بەغدا',
+    'hoursPage.mallOpen': 'مۆڵەکە ئێستا کراوەیە',
+    'hoursPage.mallClosed': 'مۆڵەکە ئێستا داخراوە',
+    'hoursPage.welcome': 'بەخێربێیت! {status}',
+    'hoursPage.today': '{day} (ئەمڕۆ)',
+    'hoursPage.loadFailed': 'کاتەکانی کار بار نەکران',
+    'hoursPage.tryLater': 'تکایە دواتر هەوڵ بدەرەوە',
+
+    // ----- Home page (index.html) -----
+    'indexPage.heroTitle': 'مۆڵی عامریە',
+    'indexPage.heroSubtitle': 'شوێنی نموونەیی بۆ بازاڕکردن و کات بەسەربردن لە دڵی بەغدا',
+    'indexPage.heroButton': 'فرۆشگاکانمان بدۆزەرەوە',
+    'indexPage.aboutTitle': 'دەربارەی مۆڵی عامریە',
+    'indexPage.aboutSubtitle': 'ئەزموونێکی بازاڕکردنی نائاسایی لە ژینگەیەکی سەلامەت و ئاسوودەدا',
+    'indexPage.securityTitle': 'ئاسایش بە درێژایی کاتژمێرەکان',
+    'indexPage.securityText': 'مۆڵەکە 24 کاتژمێر / 7 ڕۆژ لە هەفتەدا بە نوێترین سیستەمی چاودێری و تیمێکی ئاسایشی پرۆفیشناڵ پارێزراوە بۆ سەلامەتی و ئاسوودەیی ئێوە لە کاتی بازاڕکردندا',
+    'indexPage.parkingTitle': 'پارکینگی بێبەرامبەر',
+    'indexPage.parkingText': 'گەراجێکی فراوان و تەواو بێبەرامبەر بۆ میوانە بەڕێزەکانمان، لەگەڵ خزمەتگوزاری ڕاگرتنی ئۆتۆمبێل بۆ ئەزموونێکی بێ گرفت',
+    'indexPage.managementTitle': 'بەڕێوەبردنی پرۆفیشناڵ',
+    'indexPage.managementText': 'مۆڵەکە لەلایەن تیمێک لە لێهاتووترین بەڕێوەبەران و پسپۆڕانی بەڕێوەبردنی سەنتەرە بازرگانییەکان بەڕێوە دەبرێت بۆ پێشکەشکردنی باشترین خزمەتگوزاری',
+    'indexPage.locationTitle': 'شوێنێکی ستراتیژی',
+    'indexPage.locationText': 'مۆڵەکە لە دڵی ناوچەی عامریە، بەغدا هەڵکەوتووە - شوێنێکی ناوەندی کە لە هەموو لایەکی شارەوە بە ئاسانی دەگەیتە ئەوێ',
+    'indexPage.brandsTitle': 'براندە جیهانییەکان',
+    'indexPage.brandsText': 'باشترین براندە جیهانی و ناوخۆییەکان لە خۆ دەگرین بۆ ئەوەی کۆمەڵەیەکی هەمەجۆر پێشکەش بکەین کە هەموو پێداویستییەکانتان پڕ بکاتەوە',
+    'indexPage.leisureTitle': 'کات بەسەربردن و کەشێکی تایبەت',
+    'indexPage.leisureText': 'ژینگەیەکی ئاسوودە و فێنک لەگەڵ شوێنی پشوودان و چێشتخانەی جۆراوجۆر بۆ ئەوەی کاتێکی خۆش لەگەڵ خێزان و هاوڕێکانتان بەسەر ببەن',
+    'indexPage.ceoSection': 'بەڕێوەبەری جێبەجێکار',
+    'indexPage.ceoName': 'بەڕێز خەتاب',
+    'indexPage.ceoRole': 'دامەزرێنەر و بەڕێوەبەری جێبەجێکار',
+    'indexPage.ceoBio1': 'بازرگانێکی دیاری عێراقی و پێشەنگ لە بواری پەرەپێدانی خانووبەرە و وەبەرهێنانی بازرگانیدا. بەڕێز خەتاب زیاتر لە 15 ساڵ ئەزموونی لە بەڕێوەبردنی پڕۆژە گەورەکان و سەنتەرە بازرگانییەکاندا هەیە.',
+    'indexPage.ceoBio2': 'لە تەمەنێکی زووەوە دەستی بە کاری بازرگانی کرد و چەندین پڕۆژەی سەرکەوتووی دامەزراند کە بەشدار بوون لە گەشەپێدانی ئابووری ناوخۆیی. بە بینینی ستراتیژی و توانای گۆڕینی بیرۆکەکان بۆ پڕۆژەی سەرکەوتوو ناسراوە.',
+    'indexPage.ceoBio3': 'لە ژێر سەرکردایەتی ئەودا، مۆڵی عامریە بووە یەکێک لە دیارترین شوێنە بازرگانییەکانی بەغدا، کە دیزاینی سەردەمی و خزمەتگوزاری نایاب کۆ دەکاتەوە بۆ ئەزموونێکی بێوێنە.',
+    'indexPage.ceoVisionLabel': 'بینینی ئەو:',
+    'indexPage.ceoVision': '"هەوڵ دەدەین مۆڵی عامریە بکەینە یەکەم سەنتەری بازرگانی لە عێراق، لە ڕێگەی پێشکەشکردنی ئەزموونێکی بازاڕکردنی ئاست جیهانی کە خواستەکانی کۆمەڵگەی عێراقی پڕ بکاتەوە."',
+    'indexPage.ctaText': '🛍️ باشترین براندە جیهانی و ناوخۆییەکان بدۆزەرەوە',
+    'indexPage.ctaButton': 'سەیری فرۆشگاکانمان بکە',
+
+    // ----- Contact page (contact.html) -----
+    'contactPage.title': 'پەیوەندیمان پێوە بکە',
+    'contactPage.intro': 'خۆشحاڵین بە پەیوەندیکردنتان! دەتوانن لە ڕێگەی هەر یەکێک لەم کەناڵانەوە پەیوەندیمان پێوە بکەن',
+    'contactPage.infoTitle': 'زانیاریی پەیوەندی',
+    'contactPage.findUs': 'چۆن دەگەیتە لامان',
+    'contactPage.address': 'ناونیشان',
+    'contactPage.addressText': 'ناوچەی عامریە، بەغدا، عێراق',
+    'contactPage.phone': 'ژمارەی یەکگرتوو',
+    'contactPage.email': 'ئیمەیڵ',
+    'contactPage.hours': 'کاتەکانی کارکردن',
+    'contactPage.hoursText': 'هەموو ڕۆژێک لە کاتژمێر 11ی بەیانییەوە تا 11ی شەو',
+    'contactPage.formTitle': 'نامەیەک بنێرە',
+    'contactPage.name': 'ناوی تەواو',
+    'contactPage.emailField': 'ئیمەیڵ',
+    'contactPage.phoneField': 'ژمارەی تەلەفۆن',
+    'contactPage.message': 'نامەکەت...',
+    'contactPage.submit': 'ناردنی نامە',
+    'contactPage.follow': 'لە تۆڕە کۆمەڵایەتییەکان بەدوامان بکەون',
+
+    // ----- Offline page (offline.html) -----
+    'offlinePage.title': 'پەیوەندی ئینتەرنێت نییە',
+    'offlinePage.text': 'وا دیارە هێڵەکە لەناو مۆڵەکەدا لاوازە. ئەم پەڕەیە هێشتا لەسەر ئامێرەکەت پاشەکەوت نەکراوە، بەڵام ئەم پەڕانەی خوارەوە بێ پەیوەندیش کار دەکەن.',
+    'offlinePage.retry': 'دووبارە هەوڵ بدەرەوە',
+
+    // ----- Offers page (offers.html) -----
+    'offersPage.heading': 'نوێترین داشکاندنەکان',
+    'offersPage.allStores': 'هەموو فرۆشگاکان',
+    'offersPage.loadFailed': 'نەتوانرا داشکاندنەکان باربکرێن. تکایە دواتر هەوڵ بدەرەوە.',
+    'offersPage.endsIn': 'کۆتایی دێت لە ماوەی',
+    'offersPage.untilFurtherNotice': 'بەردەوامە تا ئاگادارکردنەوەی دواتر',
+    'offersPage.noneForFilter': 'ئێستا هیچ داشکاندنێکی بەردەوام بۆ ئەم هەڵبژاردنە نییە. فرۆشگا یان پۆلێکی تر تاقی بکەرەوە.',
+    'offersPage.none': 'ئێستا هیچ داشکاندنێک بەردەوام نییە. بەدوامان بکەون بۆ زانینی داشکاندنەکانی داهاتوو!',
+
+    // ----- Stores page (stores.html) -----
+    'storesPage.title': 'فرۆشگاکانمان',
+    'storesPage.intro': 'باشترین براندە جیهانی و ناوخۆییەکان لە مۆڵی عامریە بدۆزەرەوە',
+    'storesPage.brands': 'براندەکان',
+    'storesPage.brandsSubtitle': 'کۆمەڵەیەکی هەمەجۆر کە هەموو پێداویستییەکانتان پڕ دەکاتەوە',
+    'storesPage.searchLabel': 'بەدوای فرۆشگایەکدا بگەڕێ',
+    'storesPage.searchPlaceholder': 'بە ناو یان جۆری فرۆشگا بگەڕێ... (بۆ نموونە: قاوە، KFC)',
+    'storesPage.floor': 'نهۆم',
+    'storesPage.allFloors': 'هەموو نهۆمەکان',
+    'storesPage.empty': 'هیچ فرۆشگایەک لەگەڵ گەڕانەکەتدا ناگونجێت. وشەیەکی تر تاقی بکەرەوە یان فلتەرەکان لابەرە.',
+    'storesPage.ctaText': '🛍️ سەردانمان بکەن و فرۆشگا و داشکاندنی تایبەتی زیاتر بدۆزنەوە!',
+    'storesPage.ctaButton': 'داشکاندنەکان ببینە',
+    'storesPage.onMap': '📍 لەسەر نەخشە',
+    'storesPage.share': 'هاوبەشکردنی بەستەر',
+    'storesPage.linkCopied': 'بەستەرەکە کۆپی کرا 📋',
+    'storesPage.loadFailed': 'نەتوانرا لیستی فرۆشگاکان باربکرێت. تکایە دواتر هەوڵ بدەرەوە.',
+    'storesPage.countAll': '{count} فرۆشگا لە مۆڵەکەدا',
+    'storesPage.countFiltered': '{count} لە {total} فرۆشگا',
+    'storesPage.logoAlt': 'لۆگۆی {name}',
+    'storesPage.category': 'پۆل',
+    'storesPage.location': 'شوێن',
+    'storesPage.hours': 'کاتەکانی کارکردن',
+    'storesPage.phone': 'تەلەفۆن',
+
+    // ----- Mall map page (map.html) -----
+    'mapPage.title': 'نەخشەی مۆڵ',
+    'mapPage.intro': 'هەر فرۆشگایەک لە مۆڵی عامریە بدۆزەرەوە و کورترین ڕێگای بۆی بزانە',
+    'mapPage.chooseStore': 'فرۆشگایەک هەڵبژێرە...',
+    'mapPage.startPoint': 'خاڵی دەستپێک',
+    'mapPage.whereFrom': 'لە کوێوە دەست پێ دەکەیت؟',
+    'mapPage.stepFree': 'ڕێگای بێ پلیکانە (عەرەبانەی منداڵ و کورسیی بزوێنەر)',
+    'mapPage.storeDetails': 'وردەکاریی فرۆشگا',
+    'mapPage.hint': 'بۆ جووڵاندنی نەخشەکە ڕایبکێشە، و بە دوو پەنجە یان تایەی ماوس یان دوگمەکانی + و − گەورەی بکە.',
+    'mapPage.loadFailed': 'نەتوانرا نەخشەکە باربکرێت. تکایە دواتر هەوڵ بدەرەوە.',
+    'mapPage.stepStart': 'لە {point} لە {floor} دەست پێ بکە',
+    'mapPage.stepUp': '{connector} بەکاربهێنە بۆ سەرکەوتن بۆ {floor}',
+    'mapPage.stepDown': '{connector} بەکاربهێنە بۆ دابەزین بۆ {floor}',
+    'mapPage.stepArrive': '{name} لە فرۆشگای {unit} دەدۆزیتەوە',
+    'mapPage.pickStore': 'فرۆشگایەک لە لیستەکە هەڵبژێرە یان لەسەر نەخشەکە کلیکی لێ بکە.',
+    'mapPage.pickStart': 'خاڵی دەستپێک هەڵبژێرە بۆ بینینی کورترین ڕێگا بۆ فرۆشگاکە.',
+    'mapPage.noRoute': 'هیچ ڕێگایەک لەم خاڵەوە نییە.',
+    'mapPage.routeSummary': 'ڕێگا بۆ {name}: نزیکەی {count} مەتر بە پێ',
+
+    // ----- Gallery page (gallery.html) -----
+    'galleryPage.intro': 'جوانترین ساتەکان بە چاوی کامێرای میوان و خۆشەویستانمان',
+    'galleryPage.filterByTag': 'پاڵاوتن بەپێی هاشتاگ',
+    'galleryPage.ctaTitle': 'ساتەکانت لەگەڵمان هاوبەش بکە! ⭐',
+    'galleryPage.ctaText': 'وێنەیەکی نایاب بگرە و لە ئینستاگرام بڵاوی بکەرەوە و @amiriyamall تاگ بکە',
+    'galleryPage.visitInstagram': 'سەردانی پەڕەکەمان لە ئینستاگرام بکە',
+    'galleryPage.viewer': 'پیشاندەری وێنە',
+    'galleryPage.previous': 'وێنەی پێشوو',
+    'galleryPage.next': 'وێنەی دواتر',
+    'galleryPage.loadFailed': 'نەتوانرا پۆستەکان باربکرێن. تکایە دواتر هەوڵ بدەرەوە.',
+    'galleryPage.viewFull': 'پیشاندانی وێنەی تەواو: {alt}',
+    'galleryPage.noPosts': 'هێشتا هیچ پۆستێک بەم هاشتاگە نییە.',
+    'galleryPage.imageOf': 'وێنەی {index} لە {total}',
+
+    // ----- Events page (events.html) -----
+    'eventsPage.title': 'ئاهەنگ و چالاکییەکان 🎉',
+    'eventsPage.intro': 'جوانترین سات و چالاکییەکان لە مۆڵی عامریە بدۆزەرەوە',
+    'eventsPage.view': 'شێوازی پیشاندان',
+    'eventsPage.list': '📋 لیست',
+    'eventsPage.calendar': '🗓️ ڕۆژژمێر',
+    'eventsPage.subscribe': '🔔 بەشداری لە ڕۆژژمێری چالاکییەکان بکە',
+    'eventsPage.past': 'چالاکییە پێشووەکان',
+    'eventsPage.previousMonth': 'مانگی پێشوو',
+    'eventsPage.nextMonth': 'مانگی داهاتوو',
+    'eventsPage.loadFailed': 'نەتوانرا چالاکییەکان باربکرێن. تکایە دواتر هەوڵ بدەرەوە.',
+    'eventsPage.range': '{from} تا {to}',
+    'eventsPage.placesLeft': '{count} شوێن ماوە',
+    'eventsPage.waitlistOpen': 'پڕ بووە - تۆمارکردن لەسەر لیستی چاوەڕوانی',
+    'eventsPage.full': 'تۆمارکردن پڕ بووە',
+    'eventsPage.confirmed': '✅ تۆمارکردنی {count} کەس پشتڕاست کرایەوە',
+    'eventsPage.waitlisted': '⏳ تۆ ژمارە {position}یت لەسەر لیستی چاوەڕوانی',
+    'eventsPage.qrLabel': 'کۆدی QR بۆ تۆمارکردنی {code}',
+    'eventsPage.keepCode': '📅 {when} - کۆدەکە بپارێزە و لە کاتی چوونەژوورەوە نیشانی بدە',
+    'eventsPage.register': '🎟️ ئامادەبوونت تۆمار بکە',
+    'eventsPage.confirm': 'پشتڕاستکردنەوەی تۆمارکردن',
+    'eventsPage.name': 'ناوی تەواو',
+    'eventsPage.phone': 'ژمارەی تەلەفۆن',
+    'eventsPage.party': 'ژمارەی کەسەکان',
+    'eventsPage.addToCalendar': '📅 زیادی بکە بۆ ڕۆژژمێرەکەت',
+    'eventsPage.noneUpcoming': 'ئێستا هیچ چالاکییەکی داهاتوو نییە. بەدوامان بکەون بۆ زانینی نوێترینەکان!',
+
+    // ----- Staff login page (login.html) -----
+    'loginPage.title': 'چوونەژوورەوەی کارمەندان 🔐',
+    'loginPage.hint': 'ئەم پەڕەیە تەنها بۆ تیمی بەڕێوەبردنی مۆڵی عامریەیە',
+    'loginPage.username': 'ناوی بەکارهێنەر',
+    'loginPage.password': 'وشەی نهێنی',
+    'loginPage.submit': 'چوونەژوورەوە',
+    'loginPage.cspDirectives': '🛡️ زۆرترین پێشێلکارییەکانی CSP',
+    'loginPage.cspBlocked': '🚫 زۆرترین بەستەرە ڕێگریلێکراوەکان',
+    'loginPage.rsvps': '🎟️ تۆمارکردنەکانی چالاکی',
+    'loginPage.exportAll': '⬇️ هەناردەکردنی هەموو تۆمارکردنەکان (CSV)',
+    'loginPage.logout': 'چوونەدەرەوە',
+    'loginPage.role.staff': 'کارمەند',
+    'loginPage.role.admin': 'بەڕێوەبەری سیستەم',
+    'loginPage.noReports': 'هیچ ڕاپۆرتێک نییە ✅',
+    'loginPage.noRsvps': 'هێشتا هیچ تۆمارکردنێک نییە',
+    'loginPage.confirmed': '{confirmed} پشتڕاستکراو',
+    'loginPage.confirmedOf': '{confirmed} لە {capacity} پشتڕاستکراو',
+    'loginPage.waitlisted': '{waitlisted} چاوەڕوان',
+    'loginPage.exportDate': 'هەناردەکردنی تۆمارکردنەکانی {title} ({when})',
+    'loginPage.welcome': 'بەخێربێیت {name} 👋',
+    'loginPage.loggedOut': 'چوویتە دەرەوە',
+
+    // ----- Visit planner page (plan-visit.html) -----
+    'planPage.welcome': 'بەخێربێیت بۆ مۆڵی عامریە! 👋',
+    'planPage.whoWith': 'با یارمەتیت بدەین لە پلاندانان، پێمان بڵێ... ئەمڕۆ لەگەڵ کێ سەردانمان دەکەیت؟',
+    'planPage.family': 'لەگەڵ خێزان',
+    'planPage.friends': 'لەگەڵ هاوڕێیان',
+    'planPage.solo': 'بە تەنها',
+    'planPage.savedPlans': 'پلانە پاشەکەوتکراوەکانت 💾',
+    'planPage.back': 'گەڕانەوە',
+    'planPage.timeAndTaste': 'چەند کاتت هەیە، و حەزت لە چییە؟',
+    'planPage.kidsLabel': 'ژمارەی منداڵان',
+    'planPage.noKids': 'بێ منداڵ',
+    'planPage.kids': '{count} منداڵ',
+    'planPage.kidsOrMore': '{count} منداڵ یان زیاتر',
+    'planPage.arrival': 'کاتی گەیشتن',
+    'planPage.now': 'ئێستا',
+    'planPage.inHours': 'دوای {count} کاتژمێر',
+    'planPage.tomorrow': 'سبەی لە کاتی کردنەوە',
+    'planPage.duration': 'کاتی بەردەست',
+    'planPage.budget': 'بودجە',
+    'planPage.interests': 'حەزەکانت (ئارەزوومەندانە)',
+    'planPage.interestsLabel': 'حەزەکان',
+    'planPage.makePlan': 'پلانەکەم دروست بکە ✨',
+    'planPage.suggested': '✨ پلانی پێشنیارکراوی سەردانەکەت',
+    'planPage.actions': 'پاشەکەوتکردن و هاوبەشکردنی پلان',
+    'planPage.save': '💾 پاشەکەوت',
+    'planPage.share': '🔗 هاوبەشکردنی بەستەر',
+    'planPage.whatsapp': '💬 واتسئاپ',
+    'planPage.print': '🖨️ چاپکردن',
+    'planPage.image': '🖼️ وێنە',
+    'planPage.another': 'پێشنیارێکی تر 🎲',
+    'planPage.walk': '🚶 {duration} بە پێ',
+    'planPage.loadFailed': 'نەتوانرا لیستی فرۆشگاکان باربکرێت. تکایە دواتر هەوڵ بدەرەوە.',
+    'planPage.nothingOpen': 'هیچ فرۆشگایەکی کراوەمان نەدۆزییەوە کە لەم کاتەدا لەگەڵ هەڵبژاردنەکانت بگونجێت. کاتێکی درێژتر یان بودجەیەکی جیاواز تاقی بکەرەوە.',
+    'planPage.timeRange': 'لە {from} تا {to}',
+    'planPage.expired': 'کاتی ئەم پلانە بەسەرچووە. «پێشنیارێکی تر» دابگرە بۆ پلانێکی نوێ بە هەمان شێواز.',
+    'planPage.skipped': 'کات یان بودجە بەش نەکرد بۆ: {steps}',
+    'planPage.ready': 'پلانەکەت ئامادەیە: {summary} · {count} وێستگە',
+    'planPage.shareTitle': '{title} - مۆڵی عامریە',
+    'planPage.linkCopied': 'بەستەری پلانەکە کۆپی کرا 📋',
+    'planPage.openFailed': 'نەتوانرا پلانەکە باربکرێت. تکایە دواتر هەوڵ بدەرەوە.',
+    'planPage.badLink': 'بەستەری پلانەکە نادروستە یان کۆنە',
+    'planPage.savedUnreadable': 'پلانە پاشەکەوتکراوەکانت نەخوێنرانەوە، بۆیە ئەم پلانە پاشەکەوت نەکرا بۆ ئەوەی پلانە پێشووەکان لەدەست نەچن',
+    'planPage.saved': 'پلانەکە لەسەر ئەم ئامێرە پاشەکەوت کرا 💾',
+    'planPage.deleteSaved': 'سڕینەوەی {title} {day}',
+    'planPage.cardFooter': 'Amria Mall · مۆڵی عامریە',
+    'planPage.imageFailed': 'نەتوانرا وێنەکە دروست بکرێت',
+    'planPage.shuffling': 'کارتەکان تێکەڵ دەکرێن... 🎲',
+
+    // ----- Staff registrations export (server/routes/events.js) -----
+    'rsvpExport.code': 'کۆدی پشتڕاستکردنەوە',
+    'rsvpExport.status': 'دۆخ',
+    'rsvpExport.event': 'چالاکی',
+    'rsvpExport.occurrence': 'کات',
+    'rsvpExport.name': 'ناو',
+    'rsvpExport.phone': 'تەلەفۆن',
+    'rsvpExport.party': 'ژمارەی کەسەکان',
+    'rsvpExport.registeredAt': 'کاتی تۆمارکردن',
+    'rsvpExport.status.confirmed': 'پشتڕاستکراوە',
+    'rsvpExport.status.waitlisted': 'لیستی چاوەڕوانی'
+});
+
+if (typeof AmriaI18n !== 'undefined') {
+    AmriaI18n.register('ckb', AmriaLocaleCkb);
+}
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AmriaLocaleCkb;
+}
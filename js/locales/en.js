@@ -0,0 +1,422 @@
+/* =============================================
+   Amria Mall - English catalog
+   Same keys as js/locales/ar.js. Plural messages
+   use the English forms: one, other.
+   ============================================= */
+
+'use strict';
+
+const AmriaLocaleEn = Object.freeze({
+    // ----- Shared -----
+    'common.listSeparator': ', ',
+    'common.close': 'Close',
+    'common.all': 'All',
+    'common.categories': 'Categories',
+    'common.store': 'Store',
+    'common.storeUnit': '{floor} - unit {unit}',
+    'language.label': 'Language',
+
+    // ----- Header and footer -----
+    'nav.home': 'Home',
+    'nav.gallery': 'Amria Moments',
+    'nav.plan': 'Plan Your Visit',
+    'nav.offers': 'Offers',
+    'nav.hours': 'Opening Hours',
+    'nav.events': 'Events',
+    'nav.about': 'About the Mall',
+    'nav.ceo': 'Our CEO',
+    'nav.stores': 'Our Stores',
+    'nav.map': 'Mall Map',
+    'nav.contact': 'Contact Us',
+    'nav.menu': 'Menu',
+    'nav.skip': 'Skip to main content',
+    'footer.aboutTitle': 'About Amria Mall',
+    'footer.about': 'Your destination for shopping and entertainment in the heart of Baghdad, with the best international and local brands in a safe and comfortable setting.',
+    'footer.linksTitle': 'Quick Links',
+    'footer.followTitle': 'Follow Us',
+    'footer.rights': '© 2026 Amria Mall. All rights reserved.',
+
+    // ----- Page titles -----
+    'title.index': 'Amria Mall | Baghdad',
+    'title.contact': 'Contact Us | Amria Mall',
+    'title.events': 'Events | Amria Mall',
+    'title.gallery': 'Amria Moments | Amria Mall',
+    'title.hours': 'Opening Hours | Amria Mall',
+    'title.login': 'Staff Login | Amria Mall',
+    'title.map': 'Mall Map | Amria Mall',
+    'title.offers': 'Exclusive Offers | Amria Mall',
+    'title.offline': 'Offline | Amria Mall',
+    'title.plan': 'Plan Your Visit | Amria Mall',
+    'title.stores': 'Our Stores | Amria Mall',
+
+    // ----- Units (with a count) -----
+    'units.year': { one: '{count} year', other: '{count} years' },
+    'units.month': { one: '{count} month', other: '{count} months' },
+    'units.week': { one: '{count} week', other: '{count} weeks' },
+    'units.day': { one: '{count} day', other: '{count} days' },
+    'units.hour': { one: '{count} hour', other: '{count} hours' },
+    'units.minute': { one: '{count} minute', other: '{count} minutes' },
+
+    // ----- Forms (js/main.js, js/form-schema.js) -----
+    'form.slowDown': 'Please take a moment to fill in the form',
+    'form.sending': 'Sending...',
+    'form.offlineQueued': "You're offline right now. We saved your message and will send it as soon as you're back online 📨",
+    'form.sent': 'Your message was sent! ✅',
+    'form.failed': 'Something went wrong. Please try again later',
+    'form.errors': { one: 'There is 1 error in the form', other: 'There are {count} errors in the form' },
+    'form.canSubmit': 'You can send the form now',
+    'form.blockedCountdown': '⏳ Too many attempts, so sending is paused for a while. You can try again in {time}',
+    'form.blocked': { one: 'Sending is paused for now. You can try again in 1 minute', other: 'Sending is paused for now. You can try again in {count} minutes' },
+    'form.outboxSent': 'Your saved message was sent! ✅',
+    'form.outboxFailed': "A saved message couldn't be sent. Please write it again and resend it",
+    'validation.required': 'This field is required',
+    'validation.minLength': { one: 'Must be at least 1 character', other: 'Must be at least {count} characters' },
+    'validation.maxLength': { one: 'Must be at most 1 character', other: 'Must be at most {count} characters' },
+    'validation.invalid': 'The value entered is not valid',
+    'validation.name': 'Please enter a valid name',
+    'validation.email': 'Please enter a valid email address',
+    'validation.phone': 'Please enter a valid Iraqi phone number',
+    'validation.messageTooLong': 'The message is too long (at most {max} characters)',
+    'validation.messageRequired': 'Please write your message',
+    'validation.rsvpPhone': 'We need your phone number to contact you about the booking',
+    'validation.rsvpParty': 'Please choose the number of people',
+
+    // ----- Server responses (server/, shown by the browser from their code) -----
+    'server.payloadTooLarge': 'The request is too large',
+    'server.unsupportedType': 'Unsupported content type',
+    'server.badRequest': 'The request is malformed',
+    'server.badAddress': 'Invalid address',
+    'server.badIdempotencyKey': 'Invalid Idempotency-Key header',
+    'server.notFound': 'Not found',
+    'server.pageNotFound': '404 - Page not found',
+    'server.methodNotAllowed': 'Method not allowed',
+    'server.rateLimited': 'Too many attempts - you are temporarily blocked',
+    'server.csrfExpired': 'Your session has expired. Please refresh the page and try again',
+    'server.internal': 'Server error. Please try again later',
+    'server.invalidFields': 'Please correct the highlighted fields',
+    'server.invalidCredentials': 'Incorrect username or password',
+    'server.sessionEnded': 'Your session has ended. Please sign in again',
+    'server.loginRequired': 'Please sign in',
+    'server.forbidden': "You don't have permission to do this",
+    'server.noCspReport': 'The request holds no valid report',
+    'server.noRateLimitData': 'No data for this key',
+    'server.eventsUnavailable': 'The events calendar is unavailable right now',
+    'server.eventNotFound': "This event doesn't exist or doesn't take registrations",
+    'server.occurrenceNotFound': 'Invalid event date',
+    'server.registrationClosed': 'Registration for this date has closed',
+    'server.alreadyRegistered': 'This phone number is already registered for this date',
+    'server.eventFull': 'All places and the waiting list are full for this date',
+    'server.partyTooLarge': { one: 'At most one person per registration', other: 'At most {count} people per registration' },
+    'server.rsvpConfirmed': "You're registered! ✅",
+    'server.rsvpWaitlisted': "The event is full - you're number {position} on the waiting list",
+
+    // ----- Security notices (js/main.js) -----
+    'security.consoleTitle': '⚠️ Security warning!',
+    'security.consoleText': 'This console is meant for developers. If someone asked you to paste code here, it is a scam.',
+    'security.consoleNever': 'Never paste any code here!',
+    'security.framed': 'This site cannot be shown inside a frame',
+
+    // ----- Visual effects (js/main.js) -----
+    'effects.toggle': '✨ Motion effects',
+
+    // ----- Opening hours (js/hours.js, live status) -----
+    'hours.morning': 'AM',
+    'hours.noon': 'PM',
+    'hours.evening': 'PM',
+    'hours.longTime': '{time}',
+    'hours.closed': 'Closed',
+    'hours.hoursAndMinutes': '{hours} {minutes}',
+    'hours.openNow': 'Open now',
+    'hours.closedNow': 'Closed now',
+    'hours.closesIn': 'Closes in {duration}',
+    'hours.openUntil': 'Open until {time}',
+    'hours.closedUntilNotice': 'Closed until further notice',
+    'hours.opensToday': 'Opens today at {time}',
+    'hours.opensTomorrow': 'Opens tomorrow at {time}',
+    'hours.opensOn': 'Opens {day} at {time}',
+
+    // ----- Events (js/events.js) -----
+    'events.status.upcoming': 'Upcoming',
+    'events.status.ongoing': 'Happening now',
+    'events.status.past': 'Ended',
+    'events.daily': 'Daily',
+    'events.everyDays': 'Every {count} days',
+    'events.monthly': 'Monthly',
+    'events.everyMonths': 'Every {count} months',
+    'events.weekly': 'Every {day}',
+    'events.fortnightly': 'Every other {day}',
+    'events.everyWeeks': 'Every {count} weeks on {day}',
+    'events.calendarName': 'Amria Mall events',
+
+    // ----- Offers (js/offers.js) -----
+    'offers.percent': '{value}% off',
+    'offers.percentUpTo': 'Up to {value}% off',
+    'offers.bogoOne': '{buy} + {get} free',
+    'offers.bogo': 'Buy {buy}, get {get} free',
+    'offers.fixed': 'Only {price}',
+    'offers.daily': 'Daily {time}',
+
+    // ----- Gallery (js/gallery.js) -----
+    'gallery.now': 'Just now',
+    'gallery.ago': '{time} ago',
+    'gallery.likes': { one: '{likes} like', other: '{likes} likes' },
+
+    // ----- Floor map (js/floor-map.js) -----
+    'map.floors': 'Floors',
+    'map.zoom': 'Zoom',
+    'map.zoomIn': 'Zoom in',
+    'map.zoomOut': 'Zoom out',
+    'map.zoomReset': 'Show the whole floor',
+    'map.roleDescription': 'map',
+    'map.floorLabel': 'Map of {floor}',
+    'map.unitLabel': '{name}, unit {unit}',
+    'map.vacant': 'Available',
+
+    // ----- Opening hours page (hours.html) -----
+    'hoursPage.checking': 'Checking...',
+    'hoursPage.upcoming': 'Coming days',
+    'hoursPage.baghdadTime': 'Baghdad time',
+    'hoursPage.mallOpen': 'The mall is open now',
+    'hoursPage.mallClosed': 'The mall is closed right now',
+    'hoursPage.welcome': 'Welcome! {status}',
+    'hoursPage.today': '{day} (today)',
+    'hoursPage.loadFailed': 'Opening hours could not be loaded',
+    'hoursPage.tryLater': 'Please try again later',
+
+    // ----- Home page (index.html) -----
+    'indexPage.heroTitle': 'Amria Mall',
+    'indexPage.heroSubtitle': 'Your ideal destination for shopping and entertainment in the heart of Baghdad',
+    'indexPage.heroButton': 'Discover our stores',
+    'indexPage.aboutTitle': 'About Amria Mall',
+    'indexPage.aboutSubtitle': 'An exceptional shopping experience in a safe, comfortable setting',
+    'indexPage.securityTitle': 'Round-the-clock security',
+    'indexPage.securityText': 'The mall is secured 24/7 with the latest surveillance systems and a professional security team, so you can shop safely and in comfort',
+    'indexPage.parkingTitle': 'Free parking',
+    'indexPage.parkingText': 'A large, completely free car park for our visitors, with valet parking for a hassle-free visit',
+    'indexPage.managementTitle': 'Professional management',
+    'indexPage.managementText': 'The mall is run by a team of skilled administrators and shopping-centre specialists to give you the best service',
+    'indexPage.locationTitle': 'Strategic location',
+    'indexPage.locationText': 'In the heart of Al-Amriya, Baghdad — a central spot that is easy to reach from anywhere in the city',
+    'indexPage.brandsTitle': 'International brands',
+    'indexPage.brandsText': 'We host the best international and local brands, offering a varied selection for everything you need',
+    'indexPage.leisureTitle': 'Leisure and a great atmosphere',
+    'indexPage.leisureText': 'A comfortable, air-conditioned space with rest areas and a range of restaurants to enjoy time with family and friends',
+    'indexPage.ceoSection': 'Chief Executive',
+    'indexPage.ceoName': 'Mr. Khattab',
+    'indexPage.ceoRole': 'Founder and CEO',
+    'indexPage.ceoBio1': 'A prominent Iraqi businessman and a pioneer in real-estate development and commercial investment, Mr. Khattab has more than 15 years of experience running major projects and shopping centres.',
+    'indexPage.ceoBio2': 'He started out in business at an early age and founded many successful ventures that helped grow the local economy. He is known for his strategic vision and for turning ideas into successful real projects.',
+    'indexPage.ceoBio3': "Under his leadership Amria Mall has become one of Baghdad's leading shopping destinations, combining modern design with outstanding service for a unique visit.",
+    'indexPage.ceoVisionLabel': 'His vision:',
+    'indexPage.ceoVision': '"We aim to make Amria Mall the leading shopping centre in Iraq by offering a world-class shopping experience that meets the aspirations of Iraqi society."',
+    'indexPage.ctaText': '🛍️ Discover the best international and local brands',
+    'indexPage.ctaButton': 'Browse our stores',
+
+    // ----- Contact page (contact.html) -----
+    'contactPage.title': 'Contact Us',
+    'contactPage.intro': "We're happy to hear from you! Reach us through any of the channels below",
+    'contactPage.infoTitle': 'Contact details',
+    'contactPage.findUs': 'How to find us',
+    'contactPage.address': 'Address',
+    'contactPage.addressText': 'Al-Amriya, Baghdad, Iraq',
+    'contactPage.phone': 'Main number',
+    'contactPage.email': 'Email',
+    'contactPage.hours': 'Opening hours',
+    'contactPage.hoursText': 'Every day from 11 in the morning until 11 at night',
+    'contactPage.formTitle': 'Send a message',
+    'contactPage.name': 'Full name',
+    'contactPage.emailField': 'Email address',
+    'contactPage.phoneField': 'Phone number',
+    'contactPage.message': 'Your message...',
+    'contactPage.submit': 'Send message',
+    'contactPage.follow': 'Follow us on social media',
+
+    // ----- Offline page (offline.html) -----
+    'offlinePage.title': 'No internet connection',
+    'offlinePage.text': "The signal seems weak inside the mall. This page isn't saved on your device yet, but the pages below work offline.",
+    'offlinePage.retry': 'Try again',
+
+    // ----- Offers page (offers.html) -----
+    'offersPage.heading': 'Latest offers',
+    'offersPage.allStores': 'All stores',
+    'offersPage.loadFailed': "Couldn't load the offers. Please try again later.",
+    'offersPage.endsIn': 'Ends in',
+    'offersPage.untilFurtherNotice': 'Valid until further notice',
+    'offersPage.noneForFilter': 'No running offers match this choice right now. Try another store or category.',
+    'offersPage.none': 'No offers are running right now. Follow us to hear about upcoming ones!',
+
+    // ----- Stores page (stores.html) -----
+    'storesPage.title': 'Our Stores',
+    'storesPage.intro': 'Discover the best international and local brands at Amria Mall',
+    'storesPage.brands': 'Brands',
+    'storesPage.brandsSubtitle': 'A varied selection for everything you need',
+    'storesPage.searchLabel': 'Search for a store',
+    'storesPage.searchPlaceholder': 'Search by store name or type... (e.g. coffee, KFC)',
+    'storesPage.floor': 'Floor',
+    'storesPage.allFloors': 'All floors',
+    'storesPage.empty': 'No stores match your search. Try another word or clear the filters.',
+    'storesPage.ctaText': '🛍️ Visit us and discover more stores and exclusive offers!',
+    'storesPage.ctaButton': 'See the offers',
+    'storesPage.onMap': '📍 On the map',
+    'storesPage.share': 'Share link',
+    'storesPage.linkCopied': 'Link copied 📋',
+    'storesPage.loadFailed': "Couldn't load the store list. Please try again later.",
+    'storesPage.countAll': { one: '1 store in the mall', other: '{count} stores in the mall' },
+    'storesPage.countFiltered': { one: '1 of {total} stores', other: '{count} of {total} stores' },
+    'storesPage.logoAlt': '{name} logo',
+    'storesPage.category': 'Category',
+    'storesPage.location': 'Location',
+    'storesPage.hours': 'Opening hours',
+    'storesPage.phone': 'Phone',
+
+    // ----- Mall map page (map.html) -----
+    'mapPage.title': 'Mall Map',
+    'mapPage.intro': 'Find any store in Amria Mall and the shortest way to it',
+    'mapPage.chooseStore': 'Choose a store...',
+    'mapPage.startPoint': 'Starting point',
+    'mapPage.whereFrom': 'Where are you starting?',
+    'mapPage.stepFree': 'Step-free route (pushchairs and wheelchairs)',
+    'mapPage.storeDetails': 'Store details',
+    'mapPage.hint': 'Drag to move the map; zoom with two fingers, the mouse wheel or the + and − buttons.',
+    'mapPage.loadFailed': "Couldn't load the map. Please try again later.",
+    'mapPage.stepStart': 'Start at {point} on {floor}',
+    'mapPage.stepUp': 'Take the {connector} up to {floor}',
+    'mapPage.stepDown': 'Take the {connector} down to {floor}',
+    'mapPage.stepArrive': "You'll find {name} in unit {unit}",
+    'mapPage.pickStore': 'Choose a store from the list or tap it on the map.',
+    'mapPage.pickStart': 'Choose a starting point to see the shortest way to the store.',
+    'mapPage.noRoute': "There's no route from this point.",
+    'mapPage.routeSummary': { one: 'The way to {name}: about 1 metre on foot', other: 'The way to {name}: about {count} metres on foot' },
+
+    // ----- Gallery page (gallery.html) -----
+    'galleryPage.intro': 'The best moments through the lenses of our visitors and fans',
+    'galleryPage.filterByTag': 'Filter by hashtag',
+    'galleryPage.ctaTitle': 'Share your moments with us! ⭐',
+    'galleryPage.ctaText': 'Take a great photo and post it on Instagram mentioning @amiriyamall',
+    'galleryPage.visitInstagram': 'Visit our Instagram page',
+    'galleryPage.viewer': 'Photo viewer',
+    'galleryPage.previous': 'Previous photo',
+    'galleryPage.next': 'Next photo',
+    'galleryPage.loadFailed': "Couldn't load the posts. Please try again later.",
+    'galleryPage.viewFull': 'View full photo: {alt}',
+    'galleryPage.noPosts': 'No posts with this hashtag yet.',
+    'galleryPage.imageOf': 'Photo {index} of {total}',
+
+    // ----- Events page (events.html) -----
+    'eventsPage.title': 'Parties and Events 🎉',
+    'eventsPage.intro': 'Discover the best moments and activities at Amria Mall',
+    'eventsPage.view': 'View',
+    'eventsPage.list': '📋 List',
+    'eventsPage.calendar': '🗓️ Calendar',
+    'eventsPage.subscribe': '🔔 Subscribe to the events calendar',
+    'eventsPage.past': 'Past events',
+    'eventsPage.previousMonth': 'Previous month',
+    'eventsPage.nextMonth': 'Next month',
+    'eventsPage.loadFailed': "Couldn't load the events. Please try again later.",
+    'eventsPage.range': '{from} to {to}',
+    'eventsPage.placesLeft': { one: '1 place left', other: '{count} places left' },
+    'eventsPage.waitlistOpen': 'Full - registering on the waiting list',
+    'eventsPage.full': 'Registration is full',
+    'eventsPage.confirmed': { one: '✅ Confirmed for 1 person', other: '✅ Confirmed for {count} people' },
+    'eventsPage.waitlisted': "⏳ You're number {position} on the waiting list",
+    'eventsPage.qrLabel': 'QR code for registration {code}',
+    'eventsPage.keepCode': '📅 {when} - keep this code and show it at the entrance',
+    'eventsPage.register': '🎟️ Register to attend',
+    'eventsPage.confirm': 'Confirm registration',
+    'eventsPage.name': 'Full name',
+    'eventsPage.phone': 'Phone number',
+    'eventsPage.party': 'Number of people',
+    'eventsPage.addToCalendar': '📅 Add to your calendar',
+    'eventsPage.noneUpcoming': "No upcoming events right now. Follow us to hear what's next!",
+
+    // ----- Staff login page (login.html) -----
+    'loginPage.title': 'Staff login 🔐',
+    'loginPage.hint': 'This page is for the Amria Mall management team only',
+    'loginPage.username': 'Username',
+    'loginPage.password': 'Password',
+    'loginPage.submit': 'Log in',
+    'loginPage.cspDirectives': '🛡️ Most frequent CSP violations',
+    'loginPage.cspBlocked': '🚫 Most blocked URLs',
+    'loginPage.rsvps': '🎟️ Event registrations',
+    'loginPage.exportAll': '⬇️ Export all registrations (CSV)',
+    'loginPage.logout': 'Log out',
+    'loginPage.role.staff': 'Staff',
+    'loginPage.role.admin': 'Administrator',
+    'loginPage.noReports': 'No reports ✅',
+    'loginPage.noRsvps': 'No registrations yet',
+    'loginPage.confirmed': '{confirmed} confirmed',
+    'loginPage.confirmedOf': '{confirmed} of {capacity} confirmed',
+    'loginPage.waitlisted': '{waitlisted} waiting',
+    'loginPage.exportDate': 'Export registrations for {title} ({when})',
+    'loginPage.welcome': 'Hello {name} 👋',
+    'loginPage.loggedOut': "You're logged out",
+
+    // ----- Visit planner page (plan-visit.html) -----
+    'planPage.welcome': 'Welcome to Amria Mall! 👋',
+    'planPage.whoWith': "Let us help you plan. Tell us... who's coming with you today?",
+    'planPage.family': 'With family',
+    'planPage.friends': 'With friends',
+    'planPage.solo': 'On my own',
+    'planPage.savedPlans': 'Your saved plans 💾',
+    'planPage.back': 'Back',
+    'planPage.timeAndTaste': 'How much time do you have, and what do you like?',
+    'planPage.kidsLabel': 'Number of children',
+    'planPage.noKids': 'No children',
+    'planPage.kids': { one: '1 child', other: '{count} children' },
+    'planPage.kidsOrMore': { one: '1 or more children', other: '{count} or more children' },
+    'planPage.arrival': 'Arrival',
+    'planPage.now': 'Now',
+    'planPage.inHours': { one: 'In an hour', other: 'In {count} hours' },
+    'planPage.tomorrow': 'Tomorrow at opening time',
+    'planPage.duration': 'Time available',
+    'planPage.budget': 'Budget',
+    'planPage.interests': 'Your interests (optional)',
+    'planPage.interestsLabel': 'Interests',
+    'planPage.makePlan': 'Make my plan ✨',
+    'planPage.suggested': '✨ Your suggested visit plan',
+    'planPage.actions': 'Save and share the plan',
+    'planPage.save': '💾 Save',
+    'planPage.share': '🔗 Share link',
+    'planPage.whatsapp': '💬 WhatsApp',
+    'planPage.print': '🖨️ Print',
+    'planPage.image': '🖼️ Image',
+    'planPage.another': 'Another idea 🎲',
+    'planPage.walk': '🚶 {duration} walk',
+    'planPage.loadFailed': "Couldn't load the store list. Please try again later.",
+    'planPage.nothingOpen': "We couldn't find open stores that match your choices at this time. Try a longer visit or a different budget.",
+    'planPage.timeRange': 'from {from} to {to}',
+    'planPage.expired': "This plan's time has passed. Press \"Another idea\" for a new plan in the same style.",
+    'planPage.skipped': "There wasn't enough time or budget for: {steps}",
+    'planPage.ready': { one: 'Your plan is ready: {summary} · 1 stop', other: 'Your plan is ready: {summary} · {count} stops' },
+    'planPage.shareTitle': '{title} - Amria Mall',
+    'planPage.linkCopied': 'Plan link copied 📋',
+    'planPage.openFailed': "Couldn't load the plan. Please try again later.",
+    'planPage.badLink': 'The plan link is invalid or out of date',
+    'planPage.savedUnreadable': "Your saved plans couldn't be read, so this plan wasn't saved to avoid losing the earlier ones",
+    'planPage.saved': 'Plan saved on this device 💾',
+    'planPage.deleteSaved': 'Delete {title} {day}',
+    'planPage.cardFooter': 'Amria Mall · Baghdad',
+    'planPage.imageFailed': "Couldn't create the image",
+    'planPage.shuffling': 'Shuffling the cards... 🎲',
+
+    // ----- Staff registrations export (server/routes/events.js) -----
+    'rsvpExport.code': 'Confirmation code',
+    'rsvpExport.status': 'Status',
+    'rsvpExport.event': 'Event',
+    'rsvpExport.occurrence': 'Date',
+    'rsvpExport.name': 'Name',
+    'rsvpExport.phone': 'Phone',
+    'rsvpExport.party': 'People',
+    'rsvpExport.registeredAt': 'Registered at',
+    'rsvpExport.status.confirmed': 'Confirmed',
+    'rsvpExport.status.waitlisted': 'Waiting list'
+});
+
+if (typeof AmriaI18n !== 'undefined') {
+    AmriaI18n.register('en', AmriaLocaleEn);
+}
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AmriaLocaleEn;
+}
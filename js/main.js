@@ -16,11 +16,7 @@ const AmriaSecurity = (function () {
         maxEmailLength: 254,
         maxPhoneLength: 20,
         maxMessageLength: 5000,
-        rateLimit: {
-            maxAttempts: 3,
-            windowMs: 60000,
-            blockDurationMs: 300000 // 5 minutes block
-        },
+        // Rate limit policies live in js/rate-limiter.js (AmriaRateLimiter.POLICIES)
         allowedTags: [],
         dangerousPatterns: [
             /<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi,
@@ -36,9 +32,11 @@ const AmriaSecurity = (function () {
         ]
     });
 
-    // Private rate limiter storage
-    const _rateLimiter = new Map();
-    const _blockedIPs = new Map();
+    // Private rate limiter (js/rate-limiter.js must be loaded before this file)
+    const _rateLimiter = typeof AmriaRateLimiter !== 'undefined' ? AmriaRateLimiter.createLimiter() : null;
+
+    // Blocks reported by the server (429 + Retry-After) - the server is authoritative
+    const _serverBlocks = new Map();
 
     // Session fingerprint for anti-tampering
     const _sessionFingerprint = generateFingerprint();
@@ -141,44 +139,48 @@ const AmriaSecurity = (function () {
     }
 
     /**
-     * Advanced rate limiter with blocking
+     * Rate limiter with escalating blocks
+     * @param {string} key - Who is being limited (fingerprint based)
+     * @param {string} policyName - Policy from AmriaRateLimiter.POLICIES (data-rate-policy)
      */
-    function checkRateLimit(key) {
-        const now = Date.now();
-
-        // Check if blocked
-        const blockRecord = _blockedIPs.get(key);
-        if (blockRecord && now < blockRecord.until) {
-            const remaining = Math.ceil((blockRecord.until - now) / 1000);
-            return { allowed: false, blocked: true, remainingSeconds: remaining };
+    function checkRateLimit(key, policyName = 'default') {
+        if (!_rateLimiter) {
+            console.warn('⚠️ rate-limiter.js not loaded - client-side rate limiting disabled');
+            return { allowed: true };
         }
+        return _rateLimiter.check(key, policyName);
+    }
 
-        // Clear old block
-        if (blockRecord) _blockedIPs.delete(key);
-
-        const record = _rateLimiter.get(key);
-
-        if (!record) {
-            _rateLimiter.set(key, { count: 1, firstAttempt: now, attempts: [now] });
-            return { allowed: true, remaining: _config.rateLimit.maxAttempts - 1 };
-        }
+    /**
+     * Current limiter state for a key (blocked, remaining attempts, offenses...)
+     */
+    function inspectRateLimit(key, policyName = 'default') {
+        return _rateLimiter ? _rateLimiter.inspect(key, policyName) : null;
+    }
 
-        // Reset if window expired
-        if (now - record.firstAttempt > _config.rateLimit.windowMs) {
-            _rateLimiter.set(key, { count: 1, firstAttempt: now, attempts: [now] });
-            return { allowed: true, remaining: _config.rateLimit.maxAttempts - 1 };
-        }
+    /**
+     * Remember a server-side block so we don't resend until it expires
+     * @param {string} key - Rate limit key
+     * @param {number} retryAfterSeconds - Value of the server's Retry-After header
+     */
+    function recordServerBlock(key, retryAfterSeconds) {
+        _serverBlocks.set(key, { until: Date.now() + retryAfterSeconds * 1000 });
+    }
 
-        // Check if max attempts reached
-        if (record.count >= _config.rateLimit.maxAttempts) {
-            // Block the user
-            _blockedIPs.set(key, { until: now + _config.rateLimit.blockDurationMs });
-            return { allowed: false, blocked: true, remainingSeconds: _config.rateLimit.blockDurationMs / 1000 };
+    /**
+     * Active server-side block for key, if any
+     * @returns {{remainingSeconds: number}|null}
+     */
+    function getServerBlock(key) {
+        const block = _serverBlocks.get(key);
+        if (!block) return null;
+
+        const remaining = Math.ceil((block.until - Date.now()) / 1000);
+        if (remaining <= 0) {
+            _serverBlocks.delete(key);
+            return null;
         }
-
-        record.count++;
-        record.attempts.push(now);
-        return { allowed: true, remaining: _config.rateLimit.maxAttempts - record.count };
+        return { remainingSeconds: remaining };
     }
 
     /**
@@ -249,6 +251,9 @@ const AmriaSecurity = (function () {
         isValidPhone,
         isValidName,
         checkRateLimit,
+        inspectRateLimit,
+        recordServerBlock,
+        getServerBlock,
         detectBot,
         checkHoneypot,
         trackFormLoad,
@@ -256,15 +261,56 @@ const AmriaSecurity = (function () {
         generateCSRFToken,
         getFingerprint: () => _sessionFingerprint,
 
+        /**
+         * Validate one field with the same rules used on submit
+         * @param {HTMLElement} field - Form control
+         * @param {Object} schema - Compiled schema (defaults to AmriaFormSchema.fromForm(field.form))
+         * @returns {string|null} Error message, or null when valid
+         */
+        validateField(field, schema = AmriaFormSchema.fromForm(field.form)) {
+            const rule = field && field.name ? schema[field.name] : null;
+            if (!rule) return null;
+            return AmriaFormSchema.validateValue(rule, field.value, AmriaFormSchema.readForm(field.form));
+        },
+
         // Secure form submission handler
         handleFormSubmit(form, callback) {
             if (!form || !(form instanceof HTMLFormElement)) return;
 
+            // Field rules come from js/form-schema.js - without it the
+            // browser's native validation stays in charge
+            if (typeof AmriaFormSchema === 'undefined') {
+                console.warn('⚠️ form-schema.js not loaded - using native form validation');
+                return;
+            }
+
+            // <form data-schema="..."> plus per-field data attributes
+            const schema = AmriaFormSchema.fromForm(form);
             let isSubmitting = false;
 
+            // Inline validation below replaces the browser's native bubbles
+            form.noValidate = true;
+
             // Track form load time
             this.trackFormLoad(form);
 
+            // Live validation: check a field when it loses focus, and clear
+            // its error as soon as the visitor fixes it
+            form.addEventListener('focusout', (e) => {
+                const field = e.target;
+                if (!field.name || !field.value) return;
+                const message = this.validateField(field, schema);
+                if (message) AmriaFormUI.setFieldError(field, message);
+                else AmriaFormUI.clearFieldError(field);
+            });
+
+            form.addEventListener('input', (e) => {
+                const field = e.target;
+                if (field.getAttribute('aria-invalid') === 'true' && !this.validateField(field, schema)) {
+                    AmriaFormUI.clearFieldError(field);
+                }
+            });
+
             form.addEventListener('submit', async (e) => {
                 e.preventDefault();
                 e.stopPropagation();
@@ -284,88 +330,54 @@ const AmriaSecurity = (function () {
 
                 // Timing check
                 if (!this.checkFormTiming(form)) {
-                    alert('الرجاء التأني في ملء النموذج');
+                    AmriaFormUI.toast(AmriaI18n.t('form.slowDown'), 'error');
                     return;
                 }
 
-                // Rate limiting
-                const rateCheck = this.checkRateLimit('form-' + this.getFingerprint());
-                if (!rateCheck.allowed) {
-                    if (rateCheck.blocked) {
-                        alert(`تم حظرك مؤقتاً. الرجاء المحاولة بعد ${Math.ceil(rateCheck.remainingSeconds / 60)} دقيقة`);
-                    } else {
-                        alert('الرجاء الانتظار قبل المحاولة مرة أخرى');
-                    }
+                // Rate limiting - the server enforces the real limit per IP.
+                // Only a block the server reported stops us here; the local
+                // counter is advisory and just warns.
+                const ratePolicy = form.dataset.ratePolicy || 'default';
+                const rateKey = `form-${ratePolicy}-${this.getFingerprint()}`;
+                const serverBlock = this.getServerBlock(rateKey);
+                if (serverBlock) {
+                    AmriaFormUI.showCountdown(form, serverBlock.remainingSeconds);
                     return;
                 }
 
-                // Collect and sanitize data
-                const formData = new FormData(form);
-                const data = {};
-                let hasErrors = false;
-
-                for (let [key, value] of formData.entries()) {
-                    // Skip honeypot fields
-                    if (['website', 'url', 'fax'].includes(key)) continue;
-
-                    // Determine field type
-                    const field = form.querySelector(`[name="${key}"]`);
-                    const type = field?.type || 'text';
-
-                    // Sanitize based on type
-                    if (type === 'email') {
-                        data[key] = this.sanitize(value, 'email');
-                        if (!this.isValidEmail(value)) {
-                            alert('الرجاء إدخال بريد إلكتروني صحيح');
-                            field?.focus();
-                            hasErrors = true;
-                            break;
-                        }
-                    } else if (type === 'tel') {
-                        data[key] = this.sanitize(value, 'phone');
-                        if (value && !this.isValidPhone(value)) {
-                            alert('الرجاء إدخال رقم هاتف عراقي صحيح');
-                            field?.focus();
-                            hasErrors = true;
-                            break;
-                        }
-                    } else if (key === 'name' || key.includes('name')) {
-                        data[key] = this.sanitize(value, 'name');
-                        if (!this.isValidName(value)) {
-                            alert('الرجاء إدخال اسم صحيح');
-                            field?.focus();
-                            hasErrors = true;
-                            break;
-                        }
-                    } else if (key === 'message' || type === 'textarea') {
-                        data[key] = this.sanitize(value, 'message');
-                    } else {
-                        data[key] = this.sanitize(value, 'text');
-                    }
+                const rateCheck = this.checkRateLimit(rateKey, ratePolicy);
+                if (!rateCheck.allowed) {
+                    console.warn('⚠️ Client-side rate limit reached, deferring to server:', rateCheck);
                 }
 
-                if (hasErrors) return;
+                // Validate every field so all problems are shown at once
+                const values = AmriaFormSchema.readForm(form);
+                const { valid, errors } = AmriaFormSchema.validate(schema, values);
 
-                // Check required fields
-                const requiredFields = form.querySelectorAll('[required]');
-                for (let field of requiredFields) {
-                    if (!field.value.trim()) {
-                        field.focus();
-                        alert('الرجاء ملء جميع الحقول المطلوبة');
-                        return;
-                    }
+                if (!valid) {
+                    AmriaFormUI.showFormErrors(form, errors);
+                    return;
                 }
+                AmriaFormUI.clearFormErrors(form);
+
+                // Sanitize each value by its schema type
+                const data = {};
+                Object.entries(values).forEach(([key, value]) => {
+                    if (AmriaFormSchema.HONEYPOT_FIELDS.includes(key)) return;
+                    data[key] = this.sanitize(value, schema[key] ? schema[key].sanitize : 'text');
+                });
 
                 isSubmitting = true;
+                let blockedForSeconds = 0;
                 const submitBtn = form.querySelector('button[type="submit"], input[type="submit"]');
                 const originalText = submitBtn?.textContent || submitBtn?.value;
 
                 if (submitBtn) {
                     submitBtn.disabled = true;
                     if (submitBtn.textContent !== undefined) {
-                        submitBtn.textContent = 'جاري الإرسال...';
+                        submitBtn.textContent = AmriaI18n.t('form.sending');
                     } else {
-                        submitBtn.value = 'جاري الإرسال...';
+                        submitBtn.value = AmriaI18n.t('form.sending');
                     }
                 }
 
@@ -375,17 +387,30 @@ const AmriaSecurity = (function () {
                     data._timestamp = Date.now();
                     data._csrf = this.generateCSRFToken();
 
-                    if (typeof callback === 'function') {
-                        await callback(data, form);
-                    }
+                    const result = typeof callback === 'function' ? await callback(data, form) : null;
 
                     form.reset();
                     this.trackFormLoad(form); // Reset timing
-                    alert('تم إرسال رسالتك بنجاح! ✅');
+
+                    if (result && result.queued) {
+                        AmriaFormUI.toast(AmriaI18n.t('form.offlineQueued'), 'info', 8000);
+                    } else {
+                        // The server may name the outcome itself (e.g. "on the waitlist")
+                        const message = result && AmriaI18n.fromCode(result.messageCode, result, result.message);
+                        AmriaFormUI.toast(message || AmriaI18n.t('form.sent'), 'success');
+                    }
 
                 } catch (error) {
                     console.error('Form submission error:', error);
-                    alert('حدث خطأ. الرجاء المحاولة لاحقاً');
+
+                    if (error.status === 429 && error.retryAfter) {
+                        this.recordServerBlock(rateKey, error.retryAfter);
+                        blockedForSeconds = error.retryAfter;
+                    } else {
+                        // Show the server's per-field messages next to the fields
+                        if (error.fieldErrors) AmriaFormUI.showFormErrors(form, error.fieldErrors);
+                        AmriaFormUI.toast(error.userMessage || AmriaI18n.t('form.failed'), 'error');
+                    }
                 } finally {
                     isSubmitting = false;
                     if (submitBtn) {
@@ -397,11 +422,676 @@ const AmriaSecurity = (function () {
                         }
                     }
                 }
+
+                if (blockedForSeconds) AmriaFormUI.showCountdown(form, blockedForSeconds);
             });
         }
     });
 })();
 
+// ===== FORM FEEDBACK UI - inline errors, toasts, live region =====
+const AmriaFormUI = (function () {
+
+    let _liveRegion = null;
+    let _toastContainer = null;
+    let _idCounter = 0;
+    const _countdowns = new WeakMap();
+
+    /**
+     * Screen-reader announcement through a shared visually hidden live region
+     * @param {string} message - Text to announce
+     * @param {boolean} assertive - Interrupt the screen reader (errors)
+     */
+    function announce(message, assertive = false) {
+        if (!_liveRegion) {
+            _liveRegion = document.createElement('div');
+            _liveRegion.className = 'sr-only';
+            document.body.appendChild(_liveRegion);
+        }
+        _liveRegion.setAttribute('aria-live', assertive ? 'assertive' : 'polite');
+
+        // Clear first so repeating the same message is announced again
+        _liveRegion.textContent = '';
+        setTimeout(() => { _liveRegion.textContent = message; }, 50);
+    }
+
+    function ensureId(field) {
+        if (!field.id) field.id = `field-${field.name || 'input'}-${++_idCounter}`;
+        return field.id;
+    }
+
+    /**
+     * Show an error message under a field and link it with aria-describedby
+     */
+    function setFieldError(field, message) {
+        const errorId = `${ensureId(field)}-error`;
+        let errorEl = document.getElementById(errorId);
+
+        if (!errorEl) {
+            errorEl = document.createElement('p');
+            errorEl.id = errorId;
+            errorEl.className = 'field-error';
+            field.insertAdjacentElement('afterend', errorEl);
+        }
+
+        errorEl.textContent = message;
+        field.classList.add('field-invalid');
+        field.setAttribute('aria-invalid', 'true');
+
+        const describedBy = (field.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+        if (!describedBy.includes(errorId)) describedBy.push(errorId);
+        field.setAttribute('aria-describedby', describedBy.join(' '));
+    }
+
+    /**
+     * Remove a field's error message and ARIA state
+     */
+    function clearFieldError(field) {
+        if (!field.id) return;
+        const errorId = `${field.id}-error`;
+        document.getElementById(errorId)?.remove();
+
+        field.classList.remove('field-invalid');
+        field.removeAttribute('aria-invalid');
+
+        const describedBy = (field.getAttribute('aria-describedby') || '')
+            .split(' ')
+            .filter(id => id && id !== errorId);
+        if (describedBy.length > 0) field.setAttribute('aria-describedby', describedBy.join(' '));
+        else field.removeAttribute('aria-describedby');
+    }
+
+    function clearFormErrors(form) {
+        form.querySelectorAll('[aria-invalid="true"]').forEach(clearFieldError);
+    }
+
+    /**
+     * Show all errors at once, focus the first invalid field and announce a summary
+     * @param {HTMLFormElement} form
+     * @param {Object} errors - { fieldName: message }
+     */
+    function showFormErrors(form, errors) {
+        clearFormErrors(form);
+
+        let firstField = null;
+        Object.entries(errors).forEach(([name, message]) => {
+            const field = form.querySelector(`[name="${CSS.escape(name)}"]`);
+            if (!field) return;
+            setFieldError(field, message);
+            if (!firstField) firstField = field;
+        });
+
+        const count = Object.keys(errors).length;
+        announce(AmriaI18n.t('form.errors', { count }), true);
+        firstField?.focus();
+    }
+
+    /**
+     * Non-modal notification
+     * @param {string} message
+     * @param {string} type - 'success' | 'error' | 'info'
+     * @param {number} duration - Auto-dismiss after ms (0 = stay until closed)
+     */
+    function toast(message, type = 'info', duration = 5000) {
+        if (!_toastContainer) {
+            _toastContainer = document.createElement('div');
+            _toastContainer.className = 'toast-container';
+            document.body.appendChild(_toastContainer);
+        }
+
+        const toastEl = document.createElement('div');
+        toastEl.className = `toast toast-${type}`;
+        toastEl.setAttribute('role', type === 'error' ? 'alert' : 'status');
+
+        const text = document.createElement('span');
+        text.textContent = message;
+
+        const closeBtn = document.createElement('button');
+        closeBtn.type = 'button';
+        closeBtn.className = 'toast-close';
+        closeBtn.setAttribute('aria-label', AmriaI18n.t('common.close'));
+        closeBtn.textContent = '×';
+
+        const dismiss = () => {
+            toastEl.classList.add('toast-hide');
+            setTimeout(() => toastEl.remove(), 300);
+        };
+        closeBtn.addEventListener('click', dismiss);
+
+        toastEl.append(text, closeBtn);
+        _toastContainer.appendChild(toastEl);
+        if (duration > 0) setTimeout(dismiss, duration);
+
+        return dismiss;
+    }
+
+    function formatDuration(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const secs = String(seconds % 60).padStart(2, '0');
+        return `${minutes}:${secs}`;
+    }
+
+    /**
+     * Rate-limit countdown under the form; keeps the submit button disabled until it ends
+     * @param {HTMLFormElement} form
+     * @param {number} seconds - Remaining block time reported by the server
+     */
+    function showCountdown(form, seconds) {
+        _countdowns.get(form)?.();
+
+        let statusEl = form.querySelector('.form-status');
+        if (!statusEl) {
+            statusEl = document.createElement('p');
+            statusEl.className = 'form-status';
+            statusEl.setAttribute('role', 'timer');
+            form.appendChild(statusEl);
+        }
+
+        const submitBtn = form.querySelector('button[type="submit"], input[type="submit"]');
+        const endsAt = Date.now() + seconds * 1000;
+        let timer = null;
+
+        const stop = () => {
+            clearInterval(timer);
+            statusEl.remove();
+            if (submitBtn) submitBtn.disabled = false;
+            _countdowns.delete(form);
+        };
+
+        const tick = () => {
+            const remaining = Math.ceil((endsAt - Date.now()) / 1000);
+            if (remaining <= 0) {
+                stop();
+                announce(AmriaI18n.t('form.canSubmit'));
+                return;
+            }
+            statusEl.textContent = AmriaI18n.t('form.blockedCountdown', { time: formatDuration(remaining) });
+        };
+
+        if (submitBtn) submitBtn.disabled = true;
+        tick();
+        timer = setInterval(tick, 1000);
+        _countdowns.set(form, stop);
+
+        announce(AmriaI18n.t('form.blocked', { count: Math.ceil(seconds / 60) }), true);
+    }
+
+    return Object.freeze({
+        announce,
+        setFieldError,
+        clearFieldError,
+        clearFormErrors,
+        showFormErrors,
+        toast,
+        showCountdown
+    });
+})();
+
+// ===== LIVE OPENING STATUS - header widget and store badges (js/hours.js) =====
+// Any element with data-open-status="storeId" (empty for the mall) is kept up to date.
+const AmriaLiveStatus = (function () {
+
+    // From this many minutes before closing the label counts down
+    const COUNTDOWN_MINUTES = 60;
+
+    // Opening times fall on whole minutes - waking just after each minute
+    // switches every label at the exact boundary
+    const TICK_MARGIN_MS = 20;
+
+    let _hours = null;
+    let _timer = null;
+    let _mallState = null;
+    const _listeners = new Set();
+
+    /**
+     * Status of the mall (no store) or one store
+     * @returns {{state: string, label: string, description: string, status: Object}|null}
+     *   state is 'open' | 'closing' | 'closed'; null until the hours are loaded
+     */
+    function statusOf(store = '', now = new Date()) {
+        if (!_hours) return null;
+
+        const status = AmriaHours.status(_hours, { at: now, store });
+        const closing = status.open && status.minutesToClose <= COUNTDOWN_MINUTES;
+
+        let label = AmriaI18n.t('hours.closedNow');
+        if (closing) label = AmriaI18n.t('hours.closesIn', { duration: AmriaHours.formatDuration(status.minutesToClose) });
+        else if (status.open) label = AmriaI18n.t('hours.openNow');
+
+        // Badges count in the language's own digits (٠١٢ in Arabic and Kurdish)
+        return {
+            state: closing ? 'closing' : status.open ? 'open' : 'closed',
+            label: AmriaI18n.nativeDigits(label),
+            description: AmriaI18n.nativeDigits(AmriaHours.describe(status, {
+                at: now,
+                countdownMinutes: COUNTDOWN_MINUTES,
+                timeZone: _hours.timeZone
+            })),
+            status
+        };
+    }
+
+    function render(element, now) {
+        const current = statusOf(element.dataset.openStatus, now);
+        // Only touch the DOM when something changed
+        if (element.dataset.state !== current.state) element.dataset.state = current.state;
+        if (element.textContent !== current.label) element.textContent = current.label;
+        if (element.title !== current.description) element.title = current.description;
+    }
+
+    /**
+     * Tell screen readers when the mall opens, starts closing or closes -
+     * the badges change silently, and not on the first render
+     */
+    function announceChange(now) {
+        const mall = statusOf('', now);
+        if (_mallState && mall.state !== _mallState) AmriaFormUI.announce(mall.label);
+        _mallState = mall.state;
+    }
+
+    /**
+     * Update every status element (and listener) now
+     */
+    function refresh() {
+        if (!_hours) return;
+
+        const now = new Date();
+        document.querySelectorAll('[data-open-status]').forEach(element => render(element, now));
+        announceChange(now);
+        _listeners.forEach(listener => {
+            try {
+                listener(now);
+            } catch (error) {
+                console.error('Opening status listener failed:', error);
+            }
+        });
+    }
+
+    function scheduleTick() {
+        clearTimeout(_timer);
+        const delay = 60000 - (Date.now() % 60000) + TICK_MARGIN_MS;
+        _timer = setTimeout(() => {
+            refresh();
+            scheduleTick();
+        }, delay);
+    }
+
+    /**
+     * Badge element for a store's status
+     */
+    function badge(storeId) {
+        const element = document.createElement('span');
+        element.className = 'open-badge';
+        element.dataset.openStatus = storeId;
+        if (_hours) render(element, new Date());
+        return element;
+    }
+
+    /**
+     * Call a function on every update (and right away once the hours are loaded)
+     * @returns {Function} Unsubscribe
+     */
+    function subscribe(listener) {
+        _listeners.add(listener);
+        if (_hours) listener(new Date());
+        return () => _listeners.delete(listener);
+    }
+
+    function mountHeaderWidget() {
+        const header = document.querySelector('header');
+        if (!header || header.querySelector('.open-status')) return;
+
+        const widget = document.createElement('a');
+        widget.href = 'hours.html';
+        widget.className = 'open-status';
+        widget.dataset.openStatus = '';
+
+        const toggle = header.querySelector('.menu-toggle');
+        if (toggle) toggle.insertAdjacentElement('afterend', widget);
+        else header.appendChild(widget);
+    }
+
+    /**
+     * Load the hours, add the header widget and keep everything current
+     */
+    async function start() {
+        if (typeof AmriaHours === 'undefined' || _hours) return;
+
+        try {
+            _hours = await AmriaHours.load();
+        } catch (error) {
+            console.warn('⚠️ Opening hours unavailable:', error);
+            return;
+        }
+
+        mountHeaderWidget();
+        refresh();
+        scheduleTick();
+
+        // Timers are throttled in background tabs - catch up when the page is seen again
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) return;
+            refresh();
+            scheduleTick();
+        });
+    }
+
+    return Object.freeze({
+        COUNTDOWN_MINUTES,
+        statusOf,
+        badge,
+        subscribe,
+        refresh,
+        start
+    });
+})();
+
+// ===== FRAME SCHEDULER - one requestAnimationFrame for every animation and scroll handler =====
+// Runs only while something asked for a frame, so an idle page does no per-frame work.
+const AmriaFrames = (function () {
+
+    // Longest step handed to tasks - after a pause animations continue instead of jumping
+    const MAX_DELTA_MS = 100;
+
+    const _tasks = new Set();
+    const _next = new Set();
+    let _frame = 0;
+    let _lastTime = 0;
+
+    function run(callback, time, delta) {
+        try {
+            return callback(time, delta);
+        } catch (error) {
+            console.error('Frame callback failed:', error);
+            return false;
+        }
+    }
+
+    function tick(time) {
+        _frame = 0;
+        const delta = _lastTime ? Math.min(time - _lastTime, MAX_DELTA_MS) : 0;
+        _lastTime = time;
+
+        const next = [..._next];
+        _next.clear();
+        next.forEach(callback => run(callback, time, delta));
+
+        _tasks.forEach(task => {
+            if (run(task, time, delta) === false) _tasks.delete(task);
+        });
+
+        if (_tasks.size || _next.size) schedule();
+        else _lastTime = 0;
+    }
+
+    function schedule() {
+        if (!_frame) _frame = requestAnimationFrame(tick);
+    }
+
+    /**
+     * Run a task every frame, with (time, delta ms), until it returns false
+     * or the returned function is called
+     * @returns {Function} Remove the task
+     */
+    function add(task) {
+        _tasks.add(task);
+        schedule();
+        return () => { _tasks.delete(task); };
+    }
+
+    /**
+     * Run a callback on the next frame - asking again before then runs it once
+     */
+    function request(callback) {
+        _next.add(callback);
+        schedule();
+    }
+
+    /**
+     * Event listener that calls `handler` at most once per frame, with the latest event
+     *   window.addEventListener('scroll', AmriaFrames.throttle(update), { passive: true })
+     */
+    function throttle(handler) {
+        let latest = null;
+        const flush = () => handler(latest);
+        return event => {
+            latest = event;
+            request(flush);
+        };
+    }
+
+    /**
+     * Number of tasks running every frame (shown by the ?perf overlay)
+     */
+    function taskCount() {
+        return _tasks.size;
+    }
+
+    return Object.freeze({
+        add,
+        request,
+        throttle,
+        taskCount
+    });
+})();
+
+// ===== VISUAL EFFECTS - reduced motion, Save-Data and low-power devices =====
+// Decorative effects register a setup function that returns its teardown and
+// only run while effects are on: the visitor's choice (footer switch, remembered)
+// or, without one, when the system asks for neither reduced motion nor Save-Data.
+const AmriaEffects = (function () {
+
+    const STORAGE_KEY = 'amria-effects';
+
+    // Set on <html> while effects are off (CSS stops the background animations)
+    const OFF_CLASS = 'effects-off';
+
+    // Below this share of a full device, heavy effects (canvas loops) are left out
+    const LOW_POWER_SCALE = 0.5;
+
+    const _effects = new Map();
+    const _listeners = new Set();
+    let _enabled = false;
+    let _started = false;
+
+    const _reducedMotion = typeof window.matchMedia === 'function'
+        ? window.matchMedia('(prefers-reduced-motion: reduce)')
+        : null;
+
+    function saveData() {
+        return Boolean(navigator.connection && navigator.connection.saveData);
+    }
+
+    function storedChoice() {
+        try {
+            const choice = localStorage.getItem(STORAGE_KEY);
+            return choice === 'on' || choice === 'off' ? choice : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function wanted() {
+        const choice = storedChoice();
+        if (choice) return choice === 'on';
+        return !(_reducedMotion && _reducedMotion.matches) && !saveData();
+    }
+
+    /**
+     * How much this device can take, from 1 (desktop) down to about 0.2
+     * (small phone with little memory). deviceMemory is Chromium-only.
+     */
+    function deviceScale() {
+        let scale = 1;
+        const memory = navigator.deviceMemory;
+        const cores = navigator.hardwareConcurrency;
+
+        if (memory) scale = Math.min(scale, memory <= 2 ? 0.35 : memory <= 4 ? 0.6 : 1);
+        if (cores) scale = Math.min(scale, cores <= 2 ? 0.35 : cores <= 4 ? 0.6 : 1);
+        if (window.innerWidth < 768) scale *= 0.6;
+        return scale;
+    }
+
+    /**
+     * A count of decorative items (particles...) scaled to the device
+     */
+    function scaledCount(count) {
+        return Math.max(1, Math.round(count * deviceScale()));
+    }
+
+    function isLowPower() {
+        return deviceScale() < LOW_POWER_SCALE;
+    }
+
+    /**
+     * Frame task (AmriaFrames) that only runs while the page is visible
+     * and `target` (when given) is on screen
+     * @param {Function} step - Called with (time, delta ms); returning false ends the loop
+     * @returns {Function} Stop the loop for good
+     */
+    function loop(step, { target = null } = {}) {
+        let remove = null;
+        let onScreen = true;
+        let stopped = false;
+
+        function frame(time, delta) {
+            if (step(time, delta) !== false) return true;
+            stop();
+            return false;
+        }
+
+        function schedule() {
+            if (stopped || remove || document.hidden || !onScreen) return;
+            remove = AmriaFrames.add(frame);
+        }
+
+        function pause() {
+            if (remove) remove();
+            remove = null;
+        }
+
+        function onVisibilityChange() {
+            if (document.hidden) pause();
+            else schedule();
+        }
+
+        document.addEventListener('visibilitychange', onVisibilityChange);
+
+        let observer = null;
+        if (target && typeof IntersectionObserver !== 'undefined') {
+            observer = new IntersectionObserver(entries => {
+                onScreen = entries[entries.length - 1].isIntersecting;
+                if (onScreen) schedule();
+                else pause();
+            });
+            observer.observe(target);
+        }
+
+        function stop() {
+            stopped = true;
+            pause();
+            document.removeEventListener('visibilitychange', onVisibilityChange);
+            if (observer) observer.disconnect();
+        }
+
+        schedule();
+        return stop;
+    }
+
+    function run(name, effect) {
+        if (effect.teardown || (effect.heavy && isLowPower())) return;
+        try {
+            effect.teardown = effect.setup() || (() => { });
+        } catch (error) {
+            console.error(`Effect "${name}" failed to start:`, error);
+        }
+    }
+
+    function halt(name, effect) {
+        if (!effect.teardown) return;
+        try {
+            effect.teardown();
+        } catch (error) {
+            console.error(`Effect "${name}" failed to stop:`, error);
+        }
+        effect.teardown = null;
+    }
+
+    function apply() {
+        const enabled = wanted();
+        document.documentElement.classList.toggle(OFF_CLASS, !enabled);
+        if (enabled === _enabled) return;
+
+        _enabled = enabled;
+        _effects.forEach((effect, name) => (enabled ? run(name, effect) : halt(name, effect)));
+        _listeners.forEach(listener => listener(enabled));
+    }
+
+    /**
+     * Add an effect. It starts right away when effects are already on.
+     * @param {string} name
+     * @param {Function} setup - Starts the effect; returns a function that undoes it
+     * @param {Object} options
+     * @param {boolean} options.heavy - Leave out on low-power devices
+     */
+    function register(name, setup, { heavy = false } = {}) {
+        const effect = { setup, heavy, teardown: null };
+        _effects.set(name, effect);
+        if (_enabled) run(name, effect);
+    }
+
+    /**
+     * Run the registered effects (if wanted) and follow system setting changes
+     */
+    function start() {
+        if (_started) return;
+        _started = true;
+        apply();
+
+        if (_reducedMotion && _reducedMotion.addEventListener) _reducedMotion.addEventListener('change', apply);
+        if (navigator.connection && navigator.connection.addEventListener) {
+            navigator.connection.addEventListener('change', apply);
+        }
+    }
+
+    /**
+     * The visitor's choice - remembered and preferred over the system settings
+     */
+    function setEnabled(enabled) {
+        try {
+            localStorage.setItem(STORAGE_KEY, enabled ? 'on' : 'off');
+        } catch (error) {
+            console.warn('⚠️ Effects choice could not be saved:', error);
+        }
+        apply();
+    }
+
+    function isEnabled() {
+        return _enabled;
+    }
+
+    /**
+     * Call a function whenever effects are switched on or off
+     * @returns {Function} Unsubscribe
+     */
+    function subscribe(listener) {
+        _listeners.add(listener);
+        return () => _listeners.delete(listener);
+    }
+
+    return Object.freeze({
+        STORAGE_KEY,
+        register,
+        start,
+        setEnabled,
+        isEnabled,
+        subscribe,
+        loop,
+        scaledCount,
+        isLowPower
+    });
+})();
+
 // ===== ANTI-TAMPERING PROTECTION =====
 (function () {
     // Disable right-click context menu (optional - can be removed)
@@ -419,10 +1109,10 @@ const AmriaSecurity = (function () {
     });
 
     // Console warning for social engineering protection
-    console.log('%c⚠️ تحذير أمني!', 'color: red; font-size: 30px; font-weight: bold;');
-    console.log('%cهذا المتصفح مخصص للمطورين. إذا طلب منك شخص ما لصق كود هنا، فهذه عملية احتيال.',
+    console.log(`%c${AmriaI18n.t('security.consoleTitle')}`, 'color: red; font-size: 30px; font-weight: bold;');
+    console.log(`%c${AmriaI18n.t('security.consoleText')}`,
         'color: red; font-size: 16px;');
-    console.log('%cلا تلصق أي كود هنا أبداً!', 'color: red; font-size: 14px; font-weight: bold;');
+    console.log(`%c${AmriaI18n.t('security.consoleNever')}`, 'color: red; font-size: 14px; font-weight: bold;');
 })();
 
 // ===== CLICKJACKING PROTECTION =====
@@ -434,7 +1124,9 @@ const AmriaSecurity = (function () {
             window.top.location = window.self.location;
         } catch (e) {
             // Can't bust frame (cross-origin), hide content
-            document.body.innerHTML = '<h1>هذا الموقع لا يمكن عرضه داخل إطار</h1>';
+            const notice = document.createElement('h1');
+            notice.textContent = AmriaI18n.t('security.framed');
+            document.body.replaceChildren(notice);
         }
     }
 })();
@@ -443,113 +1135,373 @@ const AmriaSecurity = (function () {
 
 document.addEventListener('DOMContentLoaded', () => {
     // Initialize all components
-    initMouseFollower();
-    initParticles();
+    initLanguage();
+    initEffects();
     initScrollAnimations();
     initMobileMenu();
     initHeaderScroll();
+    initSkipLink();
     initSmoothScroll();
-    initCardHoverEffects();
     initSecureForms();
+    initServiceWorker();
+    initOutbox();
+    AmriaLiveStatus.start();
+    initPerfOverlay();
 });
 
+// Decorative effects - AmriaEffects runs them only while effects are on
+function initEffects() {
+    AmriaEffects.register('mouseFollower', initMouseFollower);
+    AmriaEffects.register('particles', initParticles);
+    AmriaEffects.register('cardHover', initCardHoverEffects);
+    AmriaEffects.register('magneticButtons', initMagneticButtons);
+    AmriaEffects.register('parallax', initParallax);
+    AmriaEffects.register('clickRipple', initClickRipple);
+    AmriaEffects.register('wave', createWaveAnimation, { heavy: true });
+    AmriaEffects.start();
+
+    initEffectsToggle();
+}
+
+// On/off switch for the effects at the bottom of the footer
+function initEffectsToggle() {
+    const footer = document.querySelector('footer .footer-bottom');
+    if (!footer || footer.querySelector('.effects-toggle')) return;
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'effects-toggle';
+    toggle.setAttribute('role', 'switch');
+    toggle.textContent = AmriaI18n.t('effects.toggle');
+
+    const sync = enabled => toggle.setAttribute('aria-checked', String(enabled));
+    sync(AmriaEffects.isEnabled());
+    AmriaEffects.subscribe(sync);
+    toggle.addEventListener('click', () => AmriaEffects.setEnabled(!AmriaEffects.isEnabled()));
+
+    footer.appendChild(toggle);
+}
+
+// Translate the marked page chrome (data-i18n, js/i18n.js) and add the
+// language picker as the last menu item
+function initLanguage() {
+    AmriaI18n.translate(document);
+
+    const header = document.querySelector('header');
+    if (!header || header.querySelector('.lang-switcher')) return;
+
+    const select = document.createElement('select');
+    select.className = 'lang-switcher';
+    select.setAttribute('aria-label', AmriaI18n.t('language.label'));
+    Object.entries(AmriaI18n.LANGUAGES).forEach(([code, language]) => {
+        const option = new Option(language.name, code, false, code === AmriaI18n.getLanguage());
+        option.lang = code;
+        select.appendChild(option);
+    });
+
+    // Everything on the page was drawn in the old language - load it again
+    select.addEventListener('change', () => {
+        if (AmriaI18n.setLanguage(select.value)) location.reload();
+    });
+
+    const menu = header.querySelector('nav ul');
+    if (menu) {
+        const item = document.createElement('li');
+        item.appendChild(select);
+        menu.appendChild(item);
+    } else {
+        header.appendChild(select);
+    }
+}
+
 // Initialize secure form handling
+// Only forms that declare a backend endpoint (data-endpoint="/contact") are
+// wired up; pages with their own form logic (login.html) handle submission themselves.
 function initSecureForms() {
-    const contactForms = document.querySelectorAll('form');
+    const contactForms = document.querySelectorAll('form[data-endpoint]');
     contactForms.forEach(form => {
-        // Add honeypot field programmatically (hidden from users, visible to bots)
-        const honeypot = document.createElement('input');
-        honeypot.type = 'text';
-        honeypot.name = 'website';
-        honeypot.tabIndex = -1;
-        honeypot.autocomplete = 'off';
-        honeypot.style.cssText = 'position: absolute; left: -9999px; opacity: 0; pointer-events: none;';
-        form.appendChild(honeypot);
+        addHoneypot(form);
 
         // Use the secure form handler
         AmriaSecurity.handleFormSubmit(form, async (data, formElement) => {
-            // In production, send to your secure backend
-            console.log('🔒 Secure form submission:', {
-                sanitizedData: data,
-                fingerprint: data._fingerprint,
-                timestamp: new Date(data._timestamp).toISOString()
-            });
-
-            // Simulate API call (replace with actual fetch in production)
-            // await fetch('/api/contact', {
-            //     method: 'POST',
-            //     headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': data._csrf },
-            //     body: JSON.stringify(data)
-            // });
+            const endpoint = formElement.dataset.endpoint;
+            // One key per submission - a retry of the same message is stored once
+            const idempotencyKey = createIdempotencyKey();
+
+            try {
+                return await submitToServer(endpoint, data, { idempotencyKey });
+            } catch (error) {
+                // <form data-offline="queue">: keep the message for later instead of losing it
+                const canQueue = formElement.dataset.offline === 'queue' &&
+                    typeof AmriaOutbox !== 'undefined' && AmriaOutbox.isTransientError(error);
+                if (!canQueue || !(await AmriaOutbox.enqueue({ endpoint, data, idempotencyKey }))) {
+                    throw error;
+                }
+                return { queued: true };
+            }
         });
     });
 }
 
+/**
+ * Hidden trap field - people never see it, bots fill it in
+ */
+function addHoneypot(form) {
+    const honeypot = document.createElement('input');
+    honeypot.type = 'text';
+    honeypot.name = 'website';
+    honeypot.tabIndex = -1;
+    honeypot.autocomplete = 'off';
+    honeypot.setAttribute('aria-hidden', 'true');
+    honeypot.style.cssText = 'position: absolute; left: -9999px; opacity: 0; pointer-events: none;';
+    form.appendChild(honeypot);
+}
+
+// Resend submissions queued while offline (js/outbox.js, loaded on pages with data-offline forms)
+function initOutbox() {
+    if (typeof AmriaOutbox === 'undefined') return;
+
+    AmriaOutbox.start({
+        send: ({ endpoint, data, idempotencyKey }) => submitToServer(endpoint, data, { idempotencyKey }),
+        onSent: () => AmriaFormUI.toast(AmriaI18n.t('form.outboxSent'), 'success'),
+        onFailed: ({ error }) => AmriaFormUI.toast(
+            error.userMessage || AmriaI18n.t('form.outboxFailed'),
+            'error',
+            10000
+        )
+    });
+}
+
+// Register sw.js (Background Sync for the outbox)
+function initServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.warn('⚠️ Service worker registration failed:', error);
+    });
+}
+
+/**
+ * Random key for the Idempotency-Key header
+ */
+function createIdempotencyKey() {
+    if (crypto.randomUUID) return crypto.randomUUID();
+
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * POST sanitized form data to the backend through AmriaSecurityEnhanced.secureRequest.
+ * Throws an Error carrying the server's message (userMessage) and per-field
+ * messages (fieldErrors), in the visitor's language, when the submission is rejected.
+ * @param {Object} options
+ * @param {string} options.idempotencyKey - Sent as Idempotency-Key so retries are not stored twice
+ */
+async function submitToServer(endpoint, data, options = {}) {
+    if (typeof AmriaSecurityEnhanced === 'undefined') {
+        throw new Error('security-enhanced.js is not loaded');
+    }
+
+    // The server issues its own CSRF token; the client-generated one is not needed
+    const { _csrf, ...payload } = data;
+    const request = () => AmriaSecurityEnhanced.secureRequest(endpoint, {
+        method: 'POST',
+        headers: options.idempotencyKey ? { 'Idempotency-Key': options.idempotencyKey } : {},
+        body: JSON.stringify(payload)
+    });
+
+    let response = await request();
+
+    // Token expired (e.g. server restarted) - fetch a fresh one and retry once
+    if (response.status === 403) {
+        await AmriaSecurityEnhanced.fetchCSRFToken();
+        response = await request();
+    }
+
+    if (response.ok) return response.json().catch(() => ({}));
+
+    const body = await response.json().catch(() => ({}));
+    const codes = body.errorCodes || {};
+    const error = new Error(`Submission rejected with status ${response.status}`);
+    error.status = response.status;
+    error.fieldErrors = body.errors
+        ? Object.fromEntries(Object.entries(body.errors).map(([field, text]) => {
+            const code = codes[field] || {};
+            return [field, AmriaI18n.fromCode(code.code, code.params, text)];
+        }))
+        : null;
+    error.userMessage = AmriaI18n.fromCode(body.code, body.params, body.error);
+    throw error;
+}
+
 // Mobile Menu Functionality
+// The closed drawer is inert (off-screen links are skipped by Tab); while open,
+// Tab stays inside the toggle and the menu and Escape closes it
 function initMobileMenu() {
     const menuToggle = document.querySelector('.menu-toggle');
     const nav = document.querySelector('nav');
     const menuOverlay = document.querySelector('.menu-overlay');
-    const navLinks = document.querySelectorAll('nav a');
 
     if (!menuToggle || !nav || !menuOverlay) return;
 
-    function toggleMenu() {
-        menuToggle.classList.toggle('active');
-        nav.classList.toggle('active');
-        menuOverlay.classList.toggle('active');
-        document.body.style.overflow = nav.classList.contains('active') ? 'hidden' : '';
+    const isOpen = () => nav.classList.contains('active');
+
+    /**
+     * @param {boolean} open
+     * @param {boolean} restoreFocus - Put focus back on the toggle when closing
+     */
+    function setMenuOpen(open, restoreFocus = true) {
+        menuToggle.classList.toggle('active', open);
+        nav.classList.toggle('active', open);
+        menuOverlay.classList.toggle('active', open);
+        menuToggle.setAttribute('aria-expanded', String(open));
+        nav.inert = !open;
+        document.body.style.overflow = open ? 'hidden' : '';
+
+        if (open) {
+            const first = focusableIn(nav)[0];
+            if (first) first.focus();
+        } else if (restoreFocus) {
+            menuToggle.focus();
+        }
     }
 
-    menuToggle.addEventListener('click', toggleMenu);
-    menuOverlay.addEventListener('click', toggleMenu);
+    menuToggle.setAttribute('aria-expanded', 'false');
+    nav.inert = true;
 
-    // Close menu when clicking a link
-    navLinks.forEach(link => {
-        link.addEventListener('click', () => {
-            if (nav.classList.contains('active')) {
-                toggleMenu();
-            }
-        });
+    menuToggle.addEventListener('click', () => setMenuOpen(!isOpen()));
+    menuOverlay.addEventListener('click', () => setMenuOpen(false));
+
+    // Close menu when clicking a link - focus follows the link instead
+    nav.addEventListener('click', (e) => {
+        if (e.target.closest('a') && isOpen()) setMenuOpen(false, false);
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (!isOpen()) return;
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            setMenuOpen(false);
+            return;
+        }
+        if (e.key !== 'Tab') return;
+
+        const items = [menuToggle, ...focusableIn(nav)];
+        const first = items[0];
+        const last = items[items.length - 1];
+        const index = items.indexOf(document.activeElement);
+
+        if (index === -1) {
+            e.preventDefault();
+            first.focus();
+        } else if (e.shiftKey && index === 0) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && index === items.length - 1) {
+            e.preventDefault();
+            first.focus();
+        }
     });
 }
 
+/**
+ * Elements inside a container that Tab can reach, in document order
+ */
+function focusableIn(container) {
+    const selector = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), ' +
+        'textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+    return [...container.querySelectorAll(selector)].filter(element => !element.closest('[hidden]'));
+}
+
+/**
+ * Move keyboard and screen-reader focus to an element that is not focusable
+ * by itself (a section, a heading) without scrolling it again
+ */
+function focusElement(element) {
+    if (!element.matches('a[href], button, input, select, textarea, [tabindex]')) {
+        element.setAttribute('tabindex', '-1');
+    }
+    element.focus({ preventScroll: true });
+}
+
+// Skip link - first stop for Tab, jumps past the header to the page's content
+function initSkipLink() {
+    const headerHost = document.querySelector('amria-header');
+    if (!headerHost) return;
+
+    let content = document.querySelector('main');
+    if (!content) {
+        content = headerHost.nextElementSibling;
+        while (content && (content.tagName === 'SCRIPT' || content.tagName.startsWith('AMRIA-'))) {
+            content = content.nextElementSibling;
+        }
+    }
+    if (!content) return;
+    if (!content.id) content.id = 'main-content';
+
+    const link = document.createElement('a');
+    link.className = 'skip-link';
+    link.href = `#${content.id}`;
+    link.textContent = AmriaI18n.t('nav.skip');
+    document.body.prepend(link);
+}
+
 // Mouse Follower Effect
+// Moves with a transform (no layout) and only animates while it is catching up
 function initMouseFollower() {
     const follower = document.querySelector('.mouse-follower');
-    if (!follower) return;
+    if (!follower) return null;
+
+    // Closer than this (px) to the pointer counts as settled
+    const SETTLED_DISTANCE = 0.5;
 
     let mouseX = 0, mouseY = 0;
     let followerX = 0, followerY = 0;
+    let stop = null;
 
-    document.addEventListener('mousemove', (e) => {
-        mouseX = e.clientX;
-        mouseY = e.clientY;
-    });
-
-    function animate() {
+    function settle() {
         // Smooth follow effect
         followerX += (mouseX - followerX) * 0.1;
         followerY += (mouseY - followerY) * 0.1;
 
-        follower.style.left = followerX + 'px';
-        follower.style.top = followerY + 'px';
+        const settled = Math.hypot(mouseX - followerX, mouseY - followerY) < SETTLED_DISTANCE;
+        if (settled) {
+            followerX = mouseX;
+            followerY = mouseY;
+            stop = null;
+        }
 
-        requestAnimationFrame(animate);
+        follower.style.transform = `translate3d(${followerX}px, ${followerY}px, 0) translate(-50%, -50%)`;
+        return !settled;
     }
-    animate();
+
+    const onMouseMove = (e) => {
+        mouseX = e.clientX;
+        mouseY = e.clientY;
+        if (!stop) stop = AmriaEffects.loop(settle);
+    };
+    document.addEventListener('mousemove', onMouseMove, { passive: true });
+
+    return () => {
+        if (stop) stop();
+        document.removeEventListener('mousemove', onMouseMove);
+    };
 }
 
-// Create Floating Particles
+// Create Floating Particles (fewer on small and low-end devices)
 function initParticles() {
     const particlesContainer = document.querySelector('.particles');
-    if (!particlesContainer) return;
+    if (!particlesContainer) return null;
 
-    const particleCount = 30;
+    const particleCount = AmriaEffects.scaledCount(30);
 
     for (let i = 0; i < particleCount; i++) {
         createParticle(particlesContainer, i);
     }
+
+    return () => particlesContainer.replaceChildren();
 }
 
 function createParticle(container, index) {
@@ -599,95 +1551,130 @@ function initHeaderScroll() {
     const header = document.querySelector('header');
     if (!header) return;
 
-    let lastScroll = 0;
-
-    window.addEventListener('scroll', () => {
-        const currentScroll = window.pageYOffset;
-
-        if (currentScroll > 100) {
-            header.classList.add('scrolled');
-        } else {
-            header.classList.remove('scrolled');
-        }
-
-        lastScroll = currentScroll;
-    });
+    const update = () => header.classList.toggle('scrolled', window.pageYOffset > 100);
+    window.addEventListener('scroll', AmriaFrames.throttle(update), { passive: true });
+    update();
 }
 
 // Smooth Scroll for Navigation Links
+// Focus moves with the jump, so the next Tab continues from the target
 function initSmoothScroll() {
     document.querySelectorAll('a[href^="#"]').forEach(anchor => {
         anchor.addEventListener('click', function (e) {
+            const id = this.getAttribute('href').slice(1);
+            const target = id && document.getElementById(id);
+            if (!target) return;
+
             e.preventDefault();
-            const target = document.querySelector(this.getAttribute('href'));
-            if (target) {
-                target.scrollIntoView({
-                    behavior: 'smooth',
-                    block: 'start'
-                });
-            }
+            target.scrollIntoView({
+                behavior: AmriaEffects.isEnabled() ? 'smooth' : 'auto',
+                block: 'start'
+            });
+            focusElement(target);
         });
     });
 }
 
+/**
+ * Add listeners to every element matching a selector
+ * @returns {Function} Removes them again
+ */
+function listenAll(selector, listeners) {
+    const elements = [...document.querySelectorAll(selector)];
+    elements.forEach(element => {
+        Object.entries(listeners).forEach(([type, listener]) => element.addEventListener(type, listener));
+    });
+    return () => elements.forEach(element => {
+        Object.entries(listeners).forEach(([type, listener]) => element.removeEventListener(type, listener));
+        element.style.transform = '';
+    });
+}
+
 // 3D Card Hover Effects
+// Delegated from the document, so cards rendered later (the stores grid after
+// every search or filter) tilt too. Clearing the inline transform hands the card
+// back to the CSS :hover / :focus-visible lift.
 function initCardHoverEffects() {
-    const cards = document.querySelectorAll('.store-card, .team-card, .about-card');
+    const CARDS = '.store-card, .team-card, .about-card';
+    let current = null;
 
-    cards.forEach(card => {
-        card.addEventListener('mousemove', (e) => {
-            const rect = card.getBoundingClientRect();
-            const x = e.clientX - rect.left;
-            const y = e.clientY - rect.top;
+    function release() {
+        if (current) current.style.transform = '';
+        current = null;
+    }
 
-            const centerX = rect.width / 2;
-            const centerY = rect.height / 2;
+    function onMove(e) {
+        if (e.pointerType !== 'mouse') return;
 
-            const rotateX = (y - centerY) / 10;
-            const rotateY = (centerX - x) / 10;
+        const card = e.target instanceof Element ? e.target.closest(CARDS) : null;
+        if (card !== current) release();
+        if (!card) return;
+        current = card;
 
-            card.style.transform = `perspective(1000px) rotateX(${rotateX}deg) rotateY(${rotateY}deg) translateY(-10px)`;
-        });
+        const rect = card.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
 
-        card.addEventListener('mouseleave', () => {
-            card.style.transform = 'perspective(1000px) rotateX(0) rotateY(0) translateY(0)';
-        });
-    });
+        const centerX = rect.width / 2;
+        const centerY = rect.height / 2;
+
+        const rotateX = (y - centerY) / 10;
+        const rotateY = (centerX - x) / 10;
+
+        card.style.transform = `perspective(1000px) rotateX(${rotateX}deg) rotateY(${rotateY}deg) translateY(-10px)`;
+    }
+
+    // Pointer left the window
+    function onOut(e) {
+        if (!e.relatedTarget) release();
+    }
+
+    document.addEventListener('pointermove', onMove, { passive: true });
+    document.addEventListener('pointerout', onOut);
+    return () => {
+        document.removeEventListener('pointermove', onMove);
+        document.removeEventListener('pointerout', onOut);
+        release();
+    };
 }
 
 // Parallax Effect for Hero Section
 function initParallax() {
-    const hero = document.querySelector('.hero');
-    if (!hero) return;
+    const heroContent = document.querySelector('.hero .hero-content');
+    if (!heroContent) return null;
 
-    window.addEventListener('scroll', () => {
+    const onScroll = AmriaFrames.throttle(() => {
         const scrolled = window.pageYOffset;
-        const heroContent = hero.querySelector('.hero-content');
 
-        if (heroContent && scrolled < window.innerHeight) {
+        if (scrolled < window.innerHeight) {
             heroContent.style.transform = `translateY(${scrolled * 0.3}px)`;
             heroContent.style.opacity = 1 - (scrolled / window.innerHeight);
         }
     });
-}
+    window.addEventListener('scroll', onScroll, { passive: true });
 
-// Initialize Parallax
-initParallax();
+    return () => {
+        window.removeEventListener('scroll', onScroll);
+        heroContent.style.transform = '';
+        heroContent.style.opacity = '';
+    };
+}
 
 // Magnetic Button Effect
-document.querySelectorAll('.hero-btn, .submit-btn').forEach(btn => {
-    btn.addEventListener('mousemove', (e) => {
-        const rect = btn.getBoundingClientRect();
-        const x = e.clientX - rect.left - rect.width / 2;
-        const y = e.clientY - rect.top - rect.height / 2;
-
-        btn.style.transform = `translate(${x * 0.2}px, ${y * 0.2}px)`;
-    });
-
-    btn.addEventListener('mouseleave', () => {
-        btn.style.transform = 'translate(0, 0)';
+function initMagneticButtons() {
+    return listenAll('.hero-btn, .submit-btn', {
+        mousemove(e) {
+            const rect = this.getBoundingClientRect();
+            const x = e.clientX - rect.left - rect.width / 2;
+            const y = e.clientY - rect.top - rect.height / 2;
+
+            this.style.transform = `translate(${x * 0.2}px, ${y * 0.2}px)`;
+        },
+        mouseleave() {
+            this.style.transform = 'translate(0, 0)';
+        }
     });
-});
+}
 
 // Typing Effect for Hero Title (Optional Enhancement)
 function typeWriter(element, text, speed = 100) {
@@ -705,7 +1692,18 @@ function typeWriter(element, text, speed = 100) {
 }
 
 // Wave Animation for Background
+// Drawn by js/wave-worker.js on an OffscreenCanvas - the page only sends the clock
+// from the shared frame loop. Left out where OffscreenCanvas is not supported.
 function createWaveAnimation() {
+    const background = document.querySelector('.animated-bg');
+    if (!background || typeof Worker === 'undefined' ||
+        typeof HTMLCanvasElement.prototype.transferControlToOffscreen !== 'function') {
+        return null;
+    }
+
+    // Wave phase per millisecond (the old loop advanced 0.02 per 60 Hz frame)
+    const WAVE_SPEED = 0.0012;
+
     const canvas = document.createElement('canvas');
     canvas.id = 'wave-canvas';
     canvas.style.cssText = `
@@ -718,58 +1716,43 @@ function createWaveAnimation() {
         z-index: 0;
         opacity: 0.3;
     `;
+    background.appendChild(canvas);
 
-    document.querySelector('.animated-bg')?.appendChild(canvas);
-
-    const ctx = canvas.getContext('2d');
-    let width = canvas.width = window.innerWidth;
-    let height = canvas.height = 200;
-
-    let time = 0;
-
-    function drawWave() {
-        ctx.clearRect(0, 0, width, height);
-
-        // Draw multiple waves
-        for (let wave = 0; wave < 3; wave++) {
-            ctx.beginPath();
-            ctx.moveTo(0, height);
-
-            for (let x = 0; x <= width; x += 10) {
-                const y = Math.sin((x * 0.01) + time + (wave * 0.5)) * 30 +
-                    Math.sin((x * 0.02) + time * 1.5) * 20 +
-                    height - 50 - (wave * 30);
-                ctx.lineTo(x, y);
-            }
-
-            ctx.lineTo(width, height);
-            ctx.closePath();
-
-            const gradient = ctx.createLinearGradient(0, 0, width, 0);
-            gradient.addColorStop(0, wave === 0 ? '#E86F25' : wave === 1 ? '#F9A825' : '#FFD54F');
-            gradient.addColorStop(1, wave === 0 ? '#F9A825' : wave === 1 ? '#FFD54F' : '#E86F25');
-
-            ctx.fillStyle = gradient;
-            ctx.globalAlpha = 0.3 - (wave * 0.1);
-            ctx.fill();
-        }
-
-        time += 0.02;
-        requestAnimationFrame(drawWave);
-    }
-
-    drawWave();
-
-    window.addEventListener('resize', () => {
-        width = canvas.width = window.innerWidth;
+    const size = () => ({
+        width: canvas.clientWidth,
+        height: canvas.clientHeight,
+        ratio: Math.min(window.devicePixelRatio || 1, 2)
     });
+
+    const worker = new Worker('js/wave-worker.js');
+    const offscreen = canvas.transferControlToOffscreen();
+    worker.postMessage({ type: 'init', canvas: offscreen, ...size() }, [offscreen]);
+
+    // Paused while the tab is hidden or the canvas is off screen
+    let phase = 0;
+    const stop = AmriaEffects.loop((time, delta) => {
+        phase += delta * WAVE_SPEED;
+        worker.postMessage({ type: 'draw', phase });
+    }, { target: canvas });
+
+    const onResize = AmriaFrames.throttle(() => worker.postMessage({ type: 'resize', ...size() }));
+    window.addEventListener('resize', onResize, { passive: true });
+
+    return () => {
+        stop();
+        window.removeEventListener('resize', onResize);
+        worker.terminate();
+        canvas.remove();
+    };
 }
 
-// Initialize wave animation
-createWaveAnimation();
+// Ripple effect on click
+function initClickRipple() {
+    document.addEventListener('click', addRipple);
+    return () => document.removeEventListener('click', addRipple);
+}
 
-// Add ripple effect on click
-document.addEventListener('click', (e) => {
+function addRipple(e) {
     const ripple = document.createElement('div');
     ripple.style.cssText = `
         position: fixed;
@@ -788,7 +1771,7 @@ document.addEventListener('click', (e) => {
     document.body.appendChild(ripple);
 
     setTimeout(() => ripple.remove(), 600);
-});
+}
 
 // Add ripple keyframes dynamically
 const style = document.createElement('style');
@@ -802,6 +1785,46 @@ style.textContent = `
 `;
 document.head.appendChild(style);
 
+// Frame rate and long-task overlay for checking animation work - add ?perf to the page URL
+function initPerfOverlay() {
+    if (!new URLSearchParams(location.search).has('perf')) return;
+
+    const panel = document.createElement('div');
+    panel.className = 'perf-overlay';
+    panel.setAttribute('aria-hidden', 'true');
+    document.body.appendChild(panel);
+
+    let frames = 0;
+    let since = performance.now();
+    let longTasks = 0;
+    let longest = 0;
+
+    // Keeps the shared loop running so the count is the real frame rate
+    AmriaFrames.add(() => { frames++; });
+
+    const observesLongTasks = typeof PerformanceObserver !== 'undefined' &&
+        (PerformanceObserver.supportedEntryTypes || []).includes('longtask');
+    if (observesLongTasks) {
+        new PerformanceObserver(list => {
+            list.getEntries().forEach(entry => {
+                longTasks++;
+                longest = Math.max(longest, entry.duration);
+            });
+        }).observe({ type: 'longtask', buffered: true });
+    }
+
+    setInterval(() => {
+        const now = performance.now();
+        const fps = Math.round(frames * 1000 / (now - since));
+        frames = 0;
+        since = now;
+
+        const tasks = observesLongTasks ? `${longTasks} (max ${Math.round(longest)} ms)` : 'n/a';
+        // The overlay's own frame task is not counted
+        panel.textContent = `${fps} fps · long tasks ${tasks} · frame tasks ${AmriaFrames.taskCount() - 1}`;
+    }, 1000);
+}
+
 // Console welcome message
 console.log('%c🏬 Amria Mall Website', 'font-size: 24px; color: #E86F25; font-weight: bold;');
 console.log('%cDeveloped by Amria Mall Programmers - مصطفى علاء', 'font-size: 14px; color: #F9A825;');
@@ -0,0 +1,168 @@
+/* =============================================
+   Amria Mall - Offers
+   Offers from data/offers.json: which are running
+   right now (start/end dates and daily time windows
+   in Baghdad time), discount labels and countdowns.
+   Requires js/hours.js for the time windows and
+   js/i18n.js for the labels, prices and the
+   offers' own text.
+   ============================================= */
+
+'use strict';
+
+const AmriaOffers = (function () {
+
+    const DATA_URL = 'data/offers.json';
+    const DEFAULT_TIME_ZONE = 'Asia/Baghdad';
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    let _dataPromise = null;
+
+    /**
+     * Load the offers once per page
+     * @returns {Promise<Object>}
+     */
+    function load() {
+        if (!_dataPromise) {
+            _dataPromise = fetch(DATA_URL, { credentials: 'same-origin' })
+                .then(response => {
+                    if (!response.ok) throw new Error(`Offers data failed to load (${response.status})`);
+                    return response.json();
+                })
+                .then(AmriaI18n.localize);
+            _dataPromise.catch(() => { _dataPromise = null; });
+        }
+        return _dataPromise;
+    }
+
+    // ===== Labels =====
+
+    /**
+     * 10000 → "10,000 د.ع." / "IQD 10,000"
+     */
+    function formatPrice(price, currency = 'IQD') {
+        return AmriaI18n.formatPrice(price, currency);
+    }
+
+    /**
+     * Tag text for a discount:
+     *   { type: 'percent', value: 50, upTo: true } → "خصم حتى 50%"
+     *   { type: 'bogo', buy: 1, get: 1 }           → "1 + 1 مجاناً"
+     *   { type: 'fixed', price: 10000 }            → "بسعر 10,000 د.ع."
+     */
+    function discountLabel(discount) {
+        const { t } = AmriaI18n;
+        switch (discount.type) {
+            case 'percent':
+                return t(discount.upTo ? 'offers.percentUpTo' : 'offers.percent', { value: discount.value });
+            case 'bogo':
+                return t(discount.buy === 1 ? 'offers.bogoOne' : 'offers.bogo', { buy: discount.buy, get: discount.get });
+            case 'fixed':
+                return t('offers.fixed', { price: formatPrice(discount.price, discount.currency) });
+            default:
+                throw new Error(`Unknown discount type "${discount.type}"`);
+        }
+    }
+
+    /**
+     * "يومياً 12:00 م - 5:00 م" or "الثلاثاء 1:00 م - 1:00 ص"
+     */
+    function windowLabel(offer) {
+        if (!offer.window) return '';
+        const time = AmriaHours.formatPeriods([{ open: offer.window.from, close: offer.window.to }]);
+        const days = offer.window.days;
+        if (!days || days.length === AmriaHours.DAY_KEYS.length) return AmriaI18n.t('offers.daily', { time });
+        const names = AmriaI18n.dayNames();
+        return `${AmriaI18n.list(days.map(day => names[AmriaHours.DAY_KEYS.indexOf(day)]))} ${time}`;
+    }
+
+    /**
+     * Time left: "3 أيام" from a day up, "05:12:09" below that
+     */
+    function formatCountdown(ms) {
+        if (ms >= DAY_MS) {
+            return AmriaI18n.t('units.day', { count: Math.floor(ms / DAY_MS) });
+        }
+
+        const seconds = Math.max(Math.ceil(ms / 1000), 0);
+        return [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60]
+            .map(part => String(part).padStart(2, '0'))
+            .join(':');
+    }
+
+    // ===== Schedule =====
+
+    /**
+     * A daily window as an opening-hours schedule, so AmriaHours does the
+     * Baghdad-time maths (including windows that run past midnight)
+     */
+    function windowSchedule(offer, timeZone) {
+        const days = offer.window.days || AmriaHours.DAY_KEYS;
+        const weekly = {};
+        days.forEach(day => {
+            weekly[day] = [{ open: offer.window.from, close: offer.window.to }];
+        });
+        return { timeZone, weekly };
+    }
+
+    /**
+     * Whether an offer is running at a moment
+     * @returns {{active: boolean, endsAt: Date|null}} endsAt is when it stops
+     *   showing: its end date or the end of today's window, whichever is first
+     */
+    function state(offer, { at = new Date(), timeZone = DEFAULT_TIME_ZONE } = {}) {
+        const starts = new Date(offer.starts);
+        const ends = offer.ends ? new Date(offer.ends) : null;
+
+        if (at < starts || (ends && at >= ends)) return { active: false, endsAt: null };
+
+        let endsAt = ends;
+        if (offer.window) {
+            const today = AmriaHours.status(windowSchedule(offer, timeZone), { at });
+            if (!today.open) return { active: false, endsAt: null };
+            if (!endsAt || today.closesAt < endsAt) endsAt = today.closesAt;
+        }
+
+        return { active: true, endsAt };
+    }
+
+    /**
+     * Offers running now, soonest to end first
+     * @param {Object} data - From load()
+     * @param {Object} options
+     * @param {Object} options.directory - From AmriaStores.load(), for store and category lookups
+     * @param {Date} options.at - Defaults to now
+     * @param {string} options.store - Only this store's offers
+     * @param {string} options.category - Only offers of stores in this category
+     * @returns {Array<{offer, store, endsAt}>}
+     */
+    function active(data, { directory, at = new Date(), store = '', category = '' } = {}) {
+        const timeZone = data.timeZone || DEFAULT_TIME_ZONE;
+
+        return data.offers
+            .map(offer => ({ offer, store: directory.getStore(offer.store), ...state(offer, { at, timeZone }) }))
+            .filter(entry => entry.active && entry.store)
+            .filter(entry => !store || entry.store.id === store)
+            .filter(entry => !category || entry.store.category === category)
+            // Open-ended offers (no end date, no window) go last
+            .sort((a, b) => (a.endsAt ? a.endsAt.getTime() : Number.MAX_SAFE_INTEGER) - (b.endsAt ? b.endsAt.getTime() : Number.MAX_SAFE_INTEGER))
+            .map(({ offer, store: offerStore, endsAt }) => ({ offer, store: offerStore, endsAt }));
+    }
+
+    return Object.freeze({
+        DATA_URL,
+        load,
+        formatPrice,
+        discountLabel,
+        windowLabel,
+        formatCountdown,
+        state,
+        active
+    });
+})();
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AmriaOffers;
+}
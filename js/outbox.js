@@ -0,0 +1,318 @@
+/* =============================================
+   Amria Mall - Offline Outbox
+   Form submissions that fail on a weak connection
+   are kept in IndexedDB (encrypted with
+   AmriaSecurityEnhanced.encrypt) and resent with
+   backoff once the connection returns.
+   Requires js/security-enhanced.js.
+   ============================================= */
+
+'use strict';
+
+const AmriaOutbox = (function () {
+
+    const DB_NAME = 'amria-outbox';
+    const DB_VERSION = 1;
+    const MESSAGES = 'messages';
+    const KEYS = 'keys';
+
+    // Tag shared with sw.js (Background Sync)
+    const SYNC_TAG = 'amria-outbox';
+
+    const RETRY = Object.freeze({
+        baseDelayMs: 5000,
+        maxDelayMs: 30 * 60 * 1000,
+        maxAttempts: 20,
+        maxAgeMs: 7 * 24 * 60 * 60 * 1000
+    });
+
+    let _dbPromise = null;
+    let _keyPromise = null;
+    let _handlers = null;
+    let _flushing = null;
+    let _timer = null;
+
+    // ===== IndexedDB =====
+
+    function openDB() {
+        if (!_dbPromise) {
+            _dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(MESSAGES, { keyPath: 'id' });
+                    request.result.createObjectStore(KEYS);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            _dbPromise.catch(() => { _dbPromise = null; });
+        }
+        return _dbPromise;
+    }
+
+    /**
+     * Run one request against an object store and resolve with its result
+     */
+    async function withStore(storeName, mode, operation) {
+        const db = await openDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Outbox key: a non-extractable AES-GCM key kept in IndexedDB, so queued
+     * messages survive a closed tab but the raw key can never be read out.
+     */
+    function getKey() {
+        if (!_keyPromise) {
+            _keyPromise = (async () => {
+                const existing = await withStore(KEYS, 'readonly', store => store.get('outbox'));
+                if (existing) return existing;
+
+                const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+                await withStore(KEYS, 'readwrite', store => store.put(key, 'outbox'));
+                return key;
+            })();
+            _keyPromise.catch(() => { _keyPromise = null; });
+        }
+        return _keyPromise;
+    }
+
+    // ===== Queue =====
+
+    /**
+     * Queueing needs IndexedDB, Web Crypto and security-enhanced.js
+     */
+    function isSupported() {
+        return typeof indexedDB !== 'undefined' &&
+            typeof crypto !== 'undefined' && Boolean(crypto.subtle) &&
+            typeof AmriaSecurityEnhanced !== 'undefined';
+    }
+
+    /**
+     * Failures worth retrying later: no response at all, or a server-side error.
+     * Rejections (validation, CSRF, rate limits) are shown to the visitor instead.
+     */
+    function isTransientError(error) {
+        if (!error) return false;
+        if (!error.status) return true;
+        return error.status >= 500 || error.status === 408;
+    }
+
+    function retryDelay(attempts) {
+        const delay = Math.min(RETRY.baseDelayMs * Math.pow(2, attempts - 1), RETRY.maxDelayMs);
+        // Jitter so many phones coming back online don't retry in lockstep
+        return Math.round(delay * (0.5 + Math.random() / 2));
+    }
+
+    /**
+     * Store a submission for a later retry.
+     * @param {Object} submission
+     * @param {string} submission.endpoint - API path, e.g. '/contact'
+     * @param {Object} submission.data - Sanitized form data
+     * @param {string} submission.idempotencyKey - Sent with every attempt so the server stores it once
+     * @returns {Promise<boolean>} false when the outbox is unavailable
+     */
+    async function enqueue({ endpoint, data, idempotencyKey }) {
+        if (!isSupported()) return false;
+
+        try {
+            const payload = await AmriaSecurityEnhanced.encrypt(JSON.stringify(data), await getKey());
+            const now = Date.now();
+            await withStore(MESSAGES, 'readwrite', store => store.put({
+                id: idempotencyKey,
+                endpoint,
+                payload,
+                createdAt: now,
+                attempts: 0,
+                nextAttemptAt: now + RETRY.baseDelayMs
+            }));
+        } catch (error) {
+            console.error('Outbox: could not queue submission', error);
+            return false;
+        }
+
+        requestBackgroundSync();
+        scheduleFlush();
+        return true;
+    }
+
+    /**
+     * Number of submissions waiting to be sent
+     */
+    async function count() {
+        if (!isSupported()) return 0;
+        return withStore(MESSAGES, 'readonly', store => store.count());
+    }
+
+    function remove(id) {
+        return withStore(MESSAGES, 'readwrite', store => store.delete(id));
+    }
+
+    function notify(handler, ...args) {
+        if (_handlers && typeof _handlers[handler] === 'function') {
+            try {
+                _handlers[handler](...args);
+            } catch (error) {
+                console.error('Outbox handler failed:', error);
+            }
+        }
+    }
+
+    /**
+     * Try to send one entry.
+     * @returns {Promise<string>} 'sent' | 'dropped' | 'retry' | 'stop'
+     */
+    async function deliver(entry, now) {
+        let data;
+        try {
+            data = JSON.parse(await AmriaSecurityEnhanced.decrypt(entry.payload, await getKey()));
+        } catch (error) {
+            console.error('Outbox: unreadable entry dropped', error);
+            await remove(entry.id);
+            return 'dropped';
+        }
+
+        try {
+            await _handlers.send({ endpoint: entry.endpoint, data, idempotencyKey: entry.id });
+            await remove(entry.id);
+            notify('onSent', { endpoint: entry.endpoint, idempotencyKey: entry.id });
+            return 'sent';
+        } catch (error) {
+            const attempts = entry.attempts + 1;
+            const expired = attempts >= RETRY.maxAttempts || now - entry.createdAt > RETRY.maxAgeMs;
+
+            if (error.status === 429) {
+                // The server says when - keep the entry and wait that long
+                const waitMs = (error.retryAfter || 60) * 1000;
+                await withStore(MESSAGES, 'readwrite', store => store.put({ ...entry, attempts, nextAttemptAt: now + waitMs }));
+                return 'stop';
+            }
+
+            if (!isTransientError(error) || expired) {
+                await remove(entry.id);
+                notify('onFailed', { endpoint: entry.endpoint, idempotencyKey: entry.id, error });
+                return 'dropped';
+            }
+
+            await withStore(MESSAGES, 'readwrite', store => store.put({ ...entry, attempts, nextAttemptAt: now + retryDelay(attempts) }));
+
+            // Still no network - the remaining entries would fail the same way
+            return error.status ? 'retry' : 'stop';
+        }
+    }
+
+    async function runFlush(force) {
+        const entries = await withStore(MESSAGES, 'readonly', store => store.getAll());
+        const now = Date.now();
+        let sent = 0;
+
+        entries.sort((a, b) => a.createdAt - b.createdAt);
+
+        for (const entry of entries) {
+            if (!force && entry.nextAttemptAt > now) continue;
+            const outcome = await deliver(entry, now);
+            if (outcome === 'sent') sent++;
+            if (outcome === 'stop') break;
+        }
+
+        const remaining = await count();
+        scheduleFlush();
+        return { sent, remaining };
+    }
+
+    /**
+     * Send every due entry. Runs one flush at a time per page and, where
+     * Web Locks exist, one at a time across tabs.
+     * @param {Object} options
+     * @param {boolean} options.force - Ignore backoff (connection just came back)
+     * @returns {Promise<{sent: number, remaining: number}>}
+     */
+    function flush({ force = false } = {}) {
+        if (!_handlers || !isSupported()) return Promise.resolve({ sent: 0, remaining: 0 });
+        if (_flushing) return _flushing;
+
+        const run = () => runFlush(force);
+        _flushing = (navigator.locks ? navigator.locks.request(DB_NAME, run) : run())
+            .catch(error => {
+                console.error('Outbox flush failed:', error);
+                return { sent: 0, remaining: -1 };
+            })
+            .finally(() => { _flushing = null; });
+        return _flushing;
+    }
+
+    /**
+     * Wake up for the earliest pending retry
+     */
+    async function scheduleFlush() {
+        clearTimeout(_timer);
+        if (!_handlers || !navigator.onLine) return;
+
+        const entries = await withStore(MESSAGES, 'readonly', store => store.getAll()).catch(() => []);
+        if (entries.length === 0) return;
+
+        const next = Math.min(...entries.map(entry => entry.nextAttemptAt));
+        _timer = setTimeout(() => flush(), Math.max(next - Date.now(), 0));
+    }
+
+    /**
+     * Ask the service worker to wake us when connectivity returns,
+     * even if the visitor has switched tabs in the meantime.
+     */
+    async function requestBackgroundSync() {
+        if (!('serviceWorker' in navigator)) return;
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (registration.sync) await registration.sync.register(SYNC_TAG);
+        } catch (error) {
+            // No Background Sync - the 'online' listener below covers it
+        }
+    }
+
+    /**
+     * Start delivering queued submissions.
+     * @param {Object} handlers
+     * @param {Function} handlers.send - ({endpoint, data, idempotencyKey}) => Promise, rejects with error.status like submitToServer()
+     * @param {Function} handlers.onSent - Called after a queued submission went through
+     * @param {Function} handlers.onFailed - Called when a queued submission was given up
+     */
+    function start(handlers) {
+        if (_handlers || !isSupported()) return;
+        _handlers = handlers;
+
+        window.addEventListener('online', () => flush({ force: true }));
+
+        // sw.js forwards Background Sync events here and waits for the reply
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (!event.data || event.data.type !== 'outbox-flush') return;
+                flush({ force: true }).then(result => {
+                    if (event.ports[0]) event.ports[0].postMessage(result);
+                });
+            });
+        }
+
+        flush();
+    }
+
+    return Object.freeze({
+        SYNC_TAG,
+        isSupported,
+        isTransientError,
+        enqueue,
+        count,
+        flush,
+        start
+    });
+})();
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AmriaOutbox;
+}
@@ -0,0 +1,348 @@
+/* =============================================
+   Amria Mall - Visit Planner
+   Timed itineraries from data/planner.json: stops
+   picked for the party, kids, budget and preferences,
+   never the same venue twice, only venues open for
+   the whole stop, ordered by floor to save walking,
+   and short codes to share a plan in a link.
+   Requires js/hours.js for the opening checks and
+   js/i18n.js for the titles and step text.
+   ============================================= */
+
+'use strict';
+
+const AmriaPlanner = (function () {
+
+    const DATA_URL = 'data/planner.json';
+
+    const MINUTE_MS = 60 * 1000;
+
+    // Plans start on a round clock time
+    const START_ROUNDING_MINUTES = 5;
+
+    // An avoided venue is only used when nothing else fits the step
+    const AVOIDED = 'avoided';
+
+    // Shared plans travel as plan-visit.html?plan=<code>
+    const SHARE_PARAM = 'plan';
+    const SHARE_VERSION = 1;
+
+    let _dataPromise = null;
+
+    /**
+     * Load the planner data once per page
+     * @returns {Promise<Object>}
+     */
+    function load() {
+        if (!_dataPromise) {
+            _dataPromise = fetch(DATA_URL, { credentials: 'same-origin' })
+                .then(response => {
+                    if (!response.ok) throw new Error(`Planner data failed to load (${response.status})`);
+                    return response.json();
+                })
+                .then(AmriaI18n.localize);
+            _dataPromise.catch(() => { _dataPromise = null; });
+        }
+        return _dataPromise;
+    }
+
+    // ===== Randomness =====
+
+    /**
+     * Seeded generator (mulberry32), so a seed always gives the same plan
+     * @returns {function(): number} Numbers in [0, 1)
+     */
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return function () {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Weighted shuffle: heavier items tend to come first
+     */
+    function weightedOrder(items, random) {
+        return items
+            .map(item => ({ item, key: Math.pow(random(), 1 / item.weight) }))
+            .sort((a, b) => b.key - a.key)
+            .map(entry => entry.item);
+    }
+
+    // ===== Venues =====
+
+    function venueInfo(planner, store) {
+        const venue = planner.venues[store.id] || {};
+        return {
+            price: venue.price || 1,
+            tags: venue.tags || [],
+            minutes: venue.minutes || null
+        };
+    }
+
+    /**
+     * Venues that can fill a step, best suited first.
+     * Hard rules: step category, budget, required preferences (e.g. vegetarian
+     * food) and kid-friendly entertainment when kids come along.
+     */
+    function candidates(data, step, options, used, random) {
+        const { planner, directory } = data;
+        const stepType = planner.steps[step.type];
+        const maxPrice = (planner.budgets.find(budget => budget.id === options.budget) || { maxPrice: Infinity }).maxPrice;
+        const required = planner.preferences
+            .filter(preference => options.preferences.includes(preference.id) && (preference.required || []).includes(step.type))
+            .map(preference => preference.id);
+
+        const fitting = directory.stores
+            .filter(store => stepType.categories.includes(store.category) && !used.has(store.id))
+            .map(store => {
+                const venue = venueInfo(planner, store);
+                const liked = venue.tags.filter(tag => options.preferences.includes(tag) || (step.prefer || []).includes(tag));
+                return {
+                    store,
+                    venue,
+                    minutes: venue.minutes || stepType.minutes,
+                    weight: 1 + 2 * liked.length + (options.kids > 0 && venue.tags.includes('kids') ? 1 : 0)
+                };
+            })
+            .filter(entry => entry.venue.price <= maxPrice)
+            .filter(entry => required.every(tag => entry.venue.tags.includes(tag)))
+            .filter(entry => !(options.kids > 0 && step.type === 'entertainment' && !entry.venue.tags.includes('kids')));
+
+        const fresh = fitting.filter(entry => !options.avoid.includes(entry.store.id));
+        const avoided = fitting.filter(entry => options.avoid.includes(entry.store.id))
+            .map(entry => ({ ...entry, [AVOIDED]: true }));
+
+        return [...weightedOrder(fresh, random), ...weightedOrder(avoided, random)];
+    }
+
+    // ===== Schedule =====
+
+    /**
+     * Clock times for a set of stops, walked floor by floor from the ground up
+     */
+    function schedule(stops, start, walk) {
+        const ordered = [...stops].sort((a, b) => a.store.floor - b.store.floor ||
+            a.store.unit.localeCompare(b.store.unit));
+
+        let time = start.getTime();
+        let previous = null;
+
+        const timed = ordered.map(stop => {
+            const walkMinutes = !previous ? 0
+                : previous.store.floor === stop.store.floor ? walk.sameFloor
+                    : walk.perFloor * Math.abs(stop.store.floor - previous.store.floor);
+            const arrive = new Date(time + walkMinutes * MINUTE_MS);
+            const leave = new Date(arrive.getTime() + stop.minutes * MINUTE_MS);
+            time = leave.getTime();
+            previous = stop;
+            return { ...stop, walk: walkMinutes, start: arrive, end: leave };
+        });
+
+        return { stops: timed, end: new Date(time) };
+    }
+
+    /**
+     * The venue is open from arrival until the stop ends
+     */
+    function openThroughout(hours, stop) {
+        const current = AmriaHours.status(hours, { at: stop.start, store: stop.store.id });
+        return current.open && current.closesAt >= stop.end;
+    }
+
+    /**
+     * First round clock time at or after a moment when the mall is open
+     * @returns {Date|null} null when no opening is scheduled
+     */
+    function startTime(hours, from) {
+        const step = START_ROUNDING_MINUTES * MINUTE_MS;
+        const rounded = new Date(Math.ceil(from.getTime() / step) * step);
+        const mall = AmriaHours.status(hours, { at: rounded });
+        if (mall.open) return rounded;
+        return mall.opensAt;
+    }
+
+    // ===== Plan =====
+
+    /**
+     * Build an itinerary. Steps are tried in the party's order of importance;
+     * a step is skipped when no venue fits the time left or is open then.
+     * @param {Object} data
+     * @param {Object} data.planner - From load()
+     * @param {Object} data.directory - From AmriaStores.load()
+     * @param {Object} data.hours - From AmriaHours.load()
+     * @param {Object} options
+     * @param {string} options.party - Key of planner.parties
+     * @param {number} options.kids - Children coming along
+     * @param {string} options.budget - Id of planner.budgets
+     * @param {number} options.duration - Minutes available
+     * @param {Array<string>} options.preferences - Ids of planner.preferences
+     * @param {Date} options.start - Earliest start, defaults to now
+     * @param {number} options.seed - Same seed, same plan
+     * @param {Array<string>} options.avoid - Store ids to leave out if possible (the previous plan)
+     * @returns {{party, title, start: Date|null, end: Date|null, stops: Array, skipped: Array, seed: number|null}}
+     */
+    function plan(data, {
+        party,
+        kids = 0,
+        budget = 'medium',
+        duration = 180,
+        preferences = [],
+        start = new Date(),
+        seed = Date.now(),
+        avoid = []
+    } = {}) {
+        const profile = data.planner.parties[party];
+        if (!profile) throw new Error(`Unknown party "${party}"`);
+
+        const options = { kids, budget, preferences, avoid };
+        const random = createRandom(seed);
+        const result = { party, title: profile.title, start: null, end: null, stops: [], skipped: [], seed };
+
+        const begin = startTime(data.hours, start);
+        if (!begin) {
+            result.skipped = profile.steps;
+            return result;
+        }
+
+        const limit = begin.getTime() + duration * MINUTE_MS;
+        const used = new Set();
+        let chosen = [];
+        let timed = schedule([], begin, data.planner.walk);
+
+        profile.steps.forEach((step, stepIndex) => {
+            const fit = candidates(data, step, options, used, random).find(candidate => {
+                const attempt = schedule([...chosen, { step, stepIndex, ...candidate }], begin, data.planner.walk);
+                if (attempt.end.getTime() > limit) return false;
+                if (!attempt.stops.every(stop => openThroughout(data.hours, stop))) return false;
+                timed = attempt;
+                return true;
+            });
+
+            if (!fit) {
+                result.skipped.push(step);
+                return;
+            }
+            chosen = [...chosen, { step, stepIndex, ...fit }];
+            used.add(fit.store.id);
+        });
+
+        result.stops = timed.stops.map(stop => ({
+            step: stop.step,
+            stepIndex: stop.stepIndex,
+            store: stop.store,
+            walk: stop.walk,
+            start: stop.start,
+            end: stop.end,
+            repeated: Boolean(stop[AVOIDED])
+        }));
+        if (result.stops.length > 0) {
+            result.start = begin;
+            result.end = timed.end;
+        }
+        return result;
+    }
+
+    // ===== Sharing =====
+
+    /**
+     * A plan as a short URL-safe code, dot-separated:
+     *   version . party . start . stop . stop ...
+     * with each stop as store~step~offset~minutes. Start is in minutes since
+     * 1970 and offsets in minutes from the start, all in base 36, e.g.
+     *   1.family.hseva.miniso~3~0~u.burger-king~0~1v~14
+     * Stores are stored by id, so the code keeps the exact itinerary.
+     */
+    function encode(result) {
+        if (!result.start || result.stops.length === 0) return '';
+        const start = result.start.getTime();
+        const minutes = (ms) => Math.round(ms / MINUTE_MS).toString(36);
+
+        return [
+            SHARE_VERSION,
+            result.party,
+            minutes(start),
+            ...result.stops.map(stop => [
+                stop.store.id,
+                stop.stepIndex,
+                minutes(stop.start - start),
+                minutes(stop.end - stop.start)
+            ].join('~'))
+        ].join('.');
+    }
+
+    /**
+     * Plan back from encode(), against the current data
+     * @returns {Object|null} Same shape as plan() (seed null), or null when
+     *   the code is malformed or names a party, step or store that no longer exists
+     */
+    function decode(code, data) {
+        const parts = String(code || '').split('.');
+        if (parts.length < 4 || parts[0] !== String(SHARE_VERSION)) return null;
+
+        const [, party, startPart, ...stopParts] = parts;
+        const profile = Object.prototype.hasOwnProperty.call(data.planner.parties, party) ? data.planner.parties[party] : null;
+        const base36 = (value) => (/^[0-9a-z]{1,9}$/.test(value || '') ? parseInt(value, 36) : NaN);
+        const start = base36(startPart) * MINUTE_MS;
+        if (!profile || !Number.isFinite(start)) return null;
+
+        let previousEnd = start;
+        const stops = [];
+        for (const part of stopParts) {
+            const [storeId, stepPart, offsetPart, minutesPart, extra] = part.split('~');
+            const store = directoryStore(data.directory, storeId);
+            const step = /^\d{1,2}$/.test(stepPart || '') ? profile.steps[Number(stepPart)] : null;
+            const offset = base36(offsetPart);
+            const minutes = base36(minutesPart);
+            if (extra !== undefined || !store || !step || !Number.isFinite(offset) || !Number.isFinite(minutes)) return null;
+
+            const stopStart = start + offset * MINUTE_MS;
+            if (stopStart < previousEnd) return null;
+            const stopEnd = stopStart + minutes * MINUTE_MS;
+
+            stops.push({
+                step,
+                stepIndex: Number(stepPart),
+                store,
+                walk: stops.length === 0 ? 0 : Math.round((stopStart - previousEnd) / MINUTE_MS),
+                start: new Date(stopStart),
+                end: new Date(stopEnd),
+                repeated: false
+            });
+            previousEnd = stopEnd;
+        }
+
+        return {
+            party,
+            title: profile.title,
+            start: new Date(start),
+            end: new Date(previousEnd),
+            stops,
+            skipped: [],
+            seed: null
+        };
+    }
+
+    function directoryStore(directory, id) {
+        return /^[a-z0-9-]+$/.test(id || '') ? directory.getStore(id) : null;
+    }
+
+    return Object.freeze({
+        DATA_URL,
+        SHARE_PARAM,
+        load,
+        createRandom,
+        plan,
+        encode,
+        decode
+    });
+})();
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AmriaPlanner;
+}
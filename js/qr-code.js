@@ -0,0 +1,426 @@
+/* =============================================
+   Amria Mall - QR Codes
+   Small QR Code encoder (ISO/IEC 18004, byte mode,
+   versions 1-10) drawn as SVG - enough for the
+   RSVP confirmation codes on events.html.
+   ============================================= */
+
+'use strict';
+
+const AmriaQR = (function () {
+
+    const MAX_VERSION = 10;
+
+    // Error correction levels: share of the code that can be damaged and still read
+    const LEVELS = Object.freeze({
+        L: Object.freeze({ ordinal: 0, formatBits: 1 }), // ~7%
+        M: Object.freeze({ ordinal: 1, formatBits: 0 }), // ~15%
+        Q: Object.freeze({ ordinal: 2, formatBits: 3 }), // ~25%
+        H: Object.freeze({ ordinal: 3, formatBits: 2 })  // ~30%
+    });
+
+    // Per level (L, M, Q, H), indexed by version (index 0 unused)
+    const ECC_CODEWORDS_PER_BLOCK = [
+        [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18],
+        [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26],
+        [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24],
+        [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28]
+    ];
+
+    const ECC_BLOCKS = [
+        [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4],
+        [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5],
+        [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8],
+        [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8]
+    ];
+
+    const MASKS = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x, y) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+        (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+    ];
+
+    // ===== Reed-Solomon over GF(256) =====
+
+    function gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    function rsDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = gfMultiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = gfMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    function rsRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= gfMultiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    // ===== Sizes =====
+
+    function rawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignments = Math.floor(version / 7) + 2;
+            result -= (25 * alignments - 10) * alignments - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    function dataCodewords(version, level) {
+        return Math.floor(rawDataModules(version) / 8) -
+            ECC_CODEWORDS_PER_BLOCK[level.ordinal][version] * ECC_BLOCKS[level.ordinal][version];
+    }
+
+    function alignmentPositions(version, size) {
+        if (version === 1) return [];
+        const count = Math.floor(version / 7) + 2;
+        const step = Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+        const result = [6];
+        for (let position = size - 7; result.length < count; position -= step) {
+            result.splice(1, 0, position);
+        }
+        return result;
+    }
+
+    // ===== Data =====
+
+    /**
+     * Mode indicator, length and UTF-8 bytes, padded to the version's capacity
+     */
+    function dataBytes(bytes, version, level) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        append(0b0100, 4);
+        append(bytes.length, version <= 9 ? 8 : 16);
+        bytes.forEach(byte => append(byte, 8));
+
+        const capacity = dataCodewords(version, level) * 8;
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) append(pad, 8);
+
+        const result = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            result.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        return result;
+    }
+
+    /**
+     * Split into blocks, add error correction and interleave
+     */
+    function withErrorCorrection(data, version, level) {
+        const blockCount = ECC_BLOCKS[level.ordinal][version];
+        const eccLength = ECC_CODEWORDS_PER_BLOCK[level.ordinal][version];
+        const rawCodewords = Math.floor(rawDataModules(version) / 8);
+        const shortBlocks = blockCount - rawCodewords % blockCount;
+        const shortBlockLength = Math.floor(rawCodewords / blockCount);
+        const divisor = rsDivisor(eccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < blockCount; i++) {
+            const length = shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1);
+            const block = data.slice(offset, offset + length);
+            offset += length;
+            const ecc = rsRemainder(block, divisor);
+            if (i < shortBlocks) block.push(0); // placeholder so all blocks line up
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLength - eccLength || j >= shortBlocks) result.push(block[i]);
+            });
+        }
+        return result;
+    }
+
+    // ===== Matrix =====
+
+    function createMatrix(version, level) {
+        const size = version * 4 + 17;
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+
+        const set = (x, y, dark) => {
+            modules[y][x] = dark;
+            reserved[y][x] = true;
+        };
+
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            set(6, i, i % 2 === 0);
+            set(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with their separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        });
+
+        // Alignment patterns, except where they would cover a finder
+        const positions = alignmentPositions(version, size);
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => {
+            positions.forEach((cy, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Version information (version 7 and up)
+        if (version >= 7) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            const bits = (version << 12) | remainder;
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) === 1;
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                set(a, b, dark);
+                set(b, a, dark);
+            }
+        }
+
+        const matrix = { size, modules, reserved, set };
+
+        // Reserve the format areas now; the real bits go in once the mask is known
+        drawFormat(matrix, level, 0);
+        return matrix;
+    }
+
+    /**
+     * Level and mask, written twice around the finders (plus the dark module)
+     */
+    function drawFormat(matrix, level, mask) {
+        const { size, set } = matrix;
+        const data = (level.formatBits << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) === 1;
+
+        for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+        set(8, 7, bit(6));
+        set(8, 8, bit(7));
+        set(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+        set(8, size - 8, true);
+    }
+
+    /**
+     * Codewords in the zigzag order, two columns at a time from the bottom right
+     */
+    function drawCodewords(matrix, codewords) {
+        const { size, modules, reserved } = matrix;
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    if (!reserved[y][x] && i < codewords.length * 8) {
+                        modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    function applyMask(matrix, mask) {
+        const { size, modules, reserved } = matrix;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!reserved[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+            }
+        }
+    }
+
+    // ===== Mask choice (penalty rules of section 7.8.3) =====
+
+    const FINDER_LIKE = [
+        [true, false, true, true, true, false, true, false, false, false, false],
+        [false, false, false, false, true, false, true, true, true, false, true]
+    ];
+
+    function penalty(modules) {
+        const size = modules.length;
+        let score = 0;
+        let dark = 0;
+
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+
+        lines.forEach(line => {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) score += run - 2;
+                    run = 1;
+                }
+            }
+            for (let i = 0; i + 11 <= size; i++) {
+                if (FINDER_LIKE.some(pattern => pattern.every((value, k) => line[i + k] === value))) score += 40;
+            }
+        });
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1 &&
+                    modules[y][x] === modules[y][x + 1] &&
+                    modules[y][x] === modules[y + 1][x] &&
+                    modules[y][x] === modules[y + 1][x + 1]) score += 3;
+            }
+        }
+
+        score += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+        return score;
+    }
+
+    // ===== Public API =====
+
+    /**
+     * Encode text as a QR code
+     * @param {string} text - Encoded as UTF-8
+     * @param {Object} options
+     * @param {string} options.level - Error correction: L, M, Q or H
+     * @returns {{version: number, size: number, modules: boolean[][]}} modules[y][x], true = dark
+     */
+    function encode(text, { level = 'M' } = {}) {
+        const ecl = LEVELS[level];
+        if (!ecl) throw new Error(`Unknown error correction level "${level}"`);
+
+        const bytes = Array.from(new TextEncoder().encode(String(text)));
+        let version = 1;
+        while (version <= MAX_VERSION &&
+            4 + (version <= 9 ? 8 : 16) + bytes.length * 8 > dataCodewords(version, ecl) * 8) {
+            version++;
+        }
+        if (version > MAX_VERSION) throw new Error('Text too long for a QR code');
+
+        const codewords = withErrorCorrection(dataBytes(bytes, version, ecl), version, ecl);
+
+        let best = null;
+        MASKS.forEach((maskFn, mask) => {
+            const matrix = createMatrix(version, ecl);
+            drawCodewords(matrix, codewords);
+            applyMask(matrix, mask);
+            drawFormat(matrix, ecl, mask);
+            const score = penalty(matrix.modules);
+            if (!best || score < best.score) best = { score, modules: matrix.modules };
+        });
+
+        return { version, size: best.modules.length, modules: best.modules };
+    }
+
+    /**
+     * SVG path data for the dark modules, one unit per module
+     */
+    function toPath(qr, margin = 4) {
+        const parts = [];
+        qr.modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) parts.push(`M${x + margin} ${y + margin}h1v1h-1z`);
+            });
+        });
+        return parts.join('');
+    }
+
+    /**
+     * <svg> element for a QR code (black on white, with the quiet zone)
+     * @param {string} text
+     * @param {Object} options
+     * @param {string} options.label - Accessible name
+     * @param {number} options.margin - Quiet zone in modules (4 per the standard)
+     */
+    function toSVG(text, { label = '', margin = 4, level = 'M' } = {}) {
+        const SVG_NS = 'http://www.w3.org/2000/svg';
+        const qr = encode(text, { level });
+        const extent = qr.size + margin * 2;
+
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${extent} ${extent}`);
+        svg.setAttribute('shape-rendering', 'crispEdges');
+        svg.setAttribute('role', 'img');
+        if (label) svg.setAttribute('aria-label', label);
+
+        const background = document.createElementNS(SVG_NS, 'rect');
+        background.setAttribute('width', extent);
+        background.setAttribute('height', extent);
+        background.setAttribute('fill', '#fff');
+
+        const path = document.createElementNS(SVG_NS, 'path');
+        path.setAttribute('d', toPath(qr, margin));
+        path.setAttribute('fill', '#000');
+
+        svg.append(background, path);
+        return svg;
+    }
+
+    return Object.freeze({
+        LEVELS: Object.freeze(Object.keys(LEVELS)),
+        encode,
+        toPath,
+        toSVG
+    });
+})();
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AmriaQR;
+}
@@ -0,0 +1,278 @@
+/* =============================================
+   Amria Mall - Rate Limiter
+   Sliding-window and token-bucket strategies with
+   per-form policies and escalating blocks.
+   Shared by the browser (AmriaSecurity) and the
+   Node server (server/lib/rate-limiter.js).
+   ============================================= */
+
+'use strict';
+
+const AmriaRateLimiter = (function () {
+
+    /**
+     * Built-in policies. A <form data-rate-policy="newsletter"> picks one by name.
+     *
+     * strategy 'sliding-window': at most maxAttempts in any windowMs period
+     * strategy 'token-bucket':   bursts up to capacity, refilling refillPerMinute tokens
+     *
+     * Every denial counts as an offense. Blocks grow as
+     * blockDurationMs * escalationFactor^(offenses - 1), capped at maxBlockMs;
+     * the offense count resets after offenseResetMs without a new offense.
+     */
+    const POLICIES = {
+        default: Object.freeze({
+            strategy: 'sliding-window',
+            maxAttempts: 3,
+            windowMs: 60000,
+            blockDurationMs: 300000, // 5 minutes block
+            escalationFactor: 2,
+            maxBlockMs: 24 * 60 * 60 * 1000,
+            offenseResetMs: 24 * 60 * 60 * 1000
+        }),
+        contact: Object.freeze({
+            strategy: 'sliding-window',
+            maxAttempts: 3,
+            windowMs: 60000,
+            blockDurationMs: 300000,
+            escalationFactor: 2,
+            maxBlockMs: 24 * 60 * 60 * 1000,
+            offenseResetMs: 24 * 60 * 60 * 1000
+        }),
+        newsletter: Object.freeze({
+            strategy: 'token-bucket',
+            capacity: 5,
+            refillPerMinute: 2,
+            blockDurationMs: 60000,
+            escalationFactor: 2,
+            maxBlockMs: 60 * 60 * 1000,
+            offenseResetMs: 60 * 60 * 1000
+        }),
+        login: Object.freeze({
+            strategy: 'sliding-window',
+            maxAttempts: 5,
+            windowMs: 5 * 60000,
+            blockDurationMs: 300000,
+            escalationFactor: 2,
+            maxBlockMs: 24 * 60 * 60 * 1000,
+            offenseResetMs: 24 * 60 * 60 * 1000
+        }),
+        // A family may register for a few events in one visit
+        rsvp: Object.freeze({
+            strategy: 'sliding-window',
+            maxAttempts: 5,
+            windowMs: 10 * 60000,
+            blockDurationMs: 300000,
+            escalationFactor: 2,
+            maxBlockMs: 24 * 60 * 60 * 1000,
+            offenseResetMs: 24 * 60 * 60 * 1000
+        }),
+        // Server only: access-token refreshes. A staff tab refreshes about once per
+        // access token (15 minutes); guessing refresh tokens takes far more
+        refresh: Object.freeze({
+            strategy: 'sliding-window',
+            maxAttempts: 20,
+            windowMs: 5 * 60000,
+            blockDurationMs: 300000,
+            escalationFactor: 2,
+            maxBlockMs: 24 * 60 * 60 * 1000,
+            offenseResetMs: 24 * 60 * 60 * 1000
+        }),
+        // Server only: CSP reports from one visitor. A page load can send a burst
+        // (one per blocked resource), a steady stream means someone is flooding
+        cspReport: Object.freeze({
+            strategy: 'token-bucket',
+            capacity: 30,
+            refillPerMinute: 10,
+            blockDurationMs: 300000,
+            escalationFactor: 2,
+            maxBlockMs: 24 * 60 * 60 * 1000,
+            offenseResetMs: 24 * 60 * 60 * 1000
+        })
+    };
+
+    const STRATEGIES = ['sliding-window', 'token-bucket'];
+
+    /**
+     * Register or replace a named policy
+     */
+    function definePolicy(name, policy) {
+        if (!STRATEGIES.includes(policy.strategy)) {
+            throw new Error(`Unknown rate limit strategy "${policy.strategy}"`);
+        }
+        POLICIES[name] = Object.freeze({ ...POLICIES.default, ...policy });
+    }
+
+    function getPolicy(name) {
+        return POLICIES[name] || POLICIES.default;
+    }
+
+    function emptyState(policy, now) {
+        return {
+            attempts: [],
+            tokens: policy.strategy === 'token-bucket' ? policy.capacity : null,
+            lastRefill: now,
+            blockedUntil: 0,
+            offenses: 0,
+            lastOffense: 0
+        };
+    }
+
+    function refill(state, policy, now) {
+        const perMs = policy.refillPerMinute / 60000;
+        state.tokens = Math.min(policy.capacity, state.tokens + (now - state.lastRefill) * perMs);
+        state.lastRefill = now;
+    }
+
+    function blockDuration(state, policy) {
+        const escalated = policy.blockDurationMs * Math.pow(policy.escalationFactor, state.offenses - 1);
+        return Math.min(escalated, policy.maxBlockMs);
+    }
+
+    /**
+     * Record one attempt against a state object (mutated in place).
+     * Pure apart from the state argument, so callers decide where state lives.
+     *
+     * @param {Object|null} state - Previous state for the key (null for a new key)
+     * @param {Object} policy - Policy object (see POLICIES)
+     * @param {number} now - Current time in ms
+     * @returns {{state: Object, result: Object}} result matches AmriaSecurity.checkRateLimit():
+     *   { allowed: true, remaining } or { allowed: false, blocked: true, remainingSeconds, offenses }
+     */
+    function attempt(state, policy, now) {
+        state = state || emptyState(policy, now);
+
+        // Still blocked
+        if (state.blockedUntil > now) {
+            return {
+                state,
+                result: {
+                    allowed: false,
+                    blocked: true,
+                    remainingSeconds: Math.ceil((state.blockedUntil - now) / 1000),
+                    offenses: state.offenses
+                }
+            };
+        }
+
+        // Forget old offenses
+        if (state.offenses > 0 && now - state.lastOffense > policy.offenseResetMs) {
+            state.offenses = 0;
+        }
+
+        let allowed;
+        let remaining;
+
+        if (policy.strategy === 'token-bucket') {
+            refill(state, policy, now);
+            allowed = state.tokens >= 1;
+            if (allowed) state.tokens -= 1;
+            remaining = Math.floor(state.tokens);
+        } else {
+            state.attempts = state.attempts.filter(time => now - time < policy.windowMs);
+            allowed = state.attempts.length < policy.maxAttempts;
+            if (allowed) state.attempts.push(now);
+            remaining = policy.maxAttempts - state.attempts.length;
+        }
+
+        if (allowed) {
+            return { state, result: { allowed: true, remaining } };
+        }
+
+        state.offenses++;
+        state.lastOffense = now;
+        state.blockedUntil = now + blockDuration(state, policy);
+
+        return {
+            state,
+            result: {
+                allowed: false,
+                blocked: true,
+                remainingSeconds: Math.ceil((state.blockedUntil - now) / 1000),
+                offenses: state.offenses
+            }
+        };
+    }
+
+    /**
+     * Human/debug view of a state object
+     */
+    function describe(state, policy, now) {
+        if (!state) {
+            return { strategy: policy.strategy, blocked: false, remaining: policy.strategy === 'token-bucket' ? policy.capacity : policy.maxAttempts, offenses: 0 };
+        }
+
+        const blocked = state.blockedUntil > now;
+        let remaining;
+
+        if (policy.strategy === 'token-bucket') {
+            const perMs = policy.refillPerMinute / 60000;
+            remaining = Math.floor(Math.min(policy.capacity, state.tokens + (now - state.lastRefill) * perMs));
+        } else {
+            remaining = policy.maxAttempts - state.attempts.filter(time => now - time < policy.windowMs).length;
+        }
+
+        return {
+            strategy: policy.strategy,
+            blocked,
+            remainingSeconds: blocked ? Math.ceil((state.blockedUntil - now) / 1000) : 0,
+            remaining,
+            offenses: state.offenses,
+            lastOffense: state.lastOffense || null
+        };
+    }
+
+    /**
+     * True when a state carries no information any more and can be dropped
+     */
+    function isIdle(state, policy, now) {
+        if (state.blockedUntil > now) return false;
+        if (state.offenses > 0 && now - state.lastOffense <= policy.offenseResetMs) return false;
+        if (policy.strategy === 'token-bucket') {
+            return describe(state, policy, now).remaining >= policy.capacity;
+        }
+        return state.attempts.every(time => now - time >= policy.windowMs);
+    }
+
+    /**
+     * In-memory limiter (used in the browser)
+     */
+    function createLimiter() {
+        const _states = new Map();
+
+        function stateKey(key, policyName) {
+            return `${policyName}:${key}`;
+        }
+
+        return Object.freeze({
+            check(key, policyName = 'default') {
+                const policy = getPolicy(policyName);
+                const id = stateKey(key, policyName);
+                const { state, result } = attempt(_states.get(id), policy, Date.now());
+                _states.set(id, state);
+                return result;
+            },
+            inspect(key, policyName = 'default') {
+                return describe(_states.get(stateKey(key, policyName)), getPolicy(policyName), Date.now());
+            },
+            reset(key, policyName = 'default') {
+                _states.delete(stateKey(key, policyName));
+            }
+        });
+    }
+
+    return Object.freeze({
+        POLICIES,
+        definePolicy,
+        getPolicy,
+        attempt,
+        describe,
+        isIdle,
+        createLimiter
+    });
+})();
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AmriaRateLimiter;
+}
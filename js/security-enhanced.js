@@ -391,12 +391,18 @@ const AmriaSecurityEnhanced = (function () {
             // Handle 429 - rate limited
             if (response.status === 429) {
                 const retryAfter = response.headers.get('Retry-After');
-                throw new Error(`Rate limited. Retry after ${retryAfter} seconds.`);
+                const error = new Error(`Rate limited. Retry after ${retryAfter} seconds.`);
+                error.status = 429;
+                error.retryAfter = parseInt(retryAfter, 10) || null;
+                throw error;
             }
 
             return response;
 
         } catch (error) {
+            // The server is already holding us back - not a client fault
+            if (error.status === 429) throw error;
+
             errorCount++;
 
             if (errorCount >= config.maxConsecutiveErrors) {
@@ -443,32 +449,80 @@ const AmriaSecurityEnhanced = (function () {
     // SECURE STORAGE
     // =====================================================
 
+    // Key database: one non-extractable AES-GCM key, shared by every tab and
+    // kept across restarts (same approach as js/outbox.js)
+    const KEY_DB_NAME = 'amria-secure-storage';
+    const KEY_STORE = 'keys';
+    const STORAGE_KEY_ID = 'storage';
+
     let storageKey = null;
+    // Key of the old per-tab scheme (sessionStorage._sk) - still opens data saved with it
+    let legacyKey = null;
+    let _storagePromise = null;
 
     /**
-     * Initialize secure storage with encryption
+     * Initialize secure storage with encryption. Safe to call from page
+     * code before secureRetrieve(): every call shares the first setup.
      */
-    async function initSecureStorage() {
-        if (!isSecureContext()) {
+    function initSecureStorage() {
+        if (!_storagePromise) _storagePromise = setupSecureStorage();
+        return _storagePromise;
+    }
+
+    /**
+     * Run one request against the key store and resolve with its result
+     */
+    function withKeyStore(mode, operation) {
+        return new Promise((resolve, reject) => {
+            const open = indexedDB.open(KEY_DB_NAME, 1);
+            open.onupgradeneeded = () => open.result.createObjectStore(KEY_STORE);
+            open.onerror = () => reject(open.error);
+            open.onsuccess = () => {
+                const db = open.result;
+                const transaction = db.transaction(KEY_STORE, mode);
+                const request = operation(transaction.objectStore(KEY_STORE));
+                transaction.oncomplete = () => {
+                    db.close();
+                    resolve(request.result);
+                };
+                transaction.onerror = transaction.onabort = () => {
+                    db.close();
+                    reject(transaction.error);
+                };
+            };
+        });
+    }
+
+    async function loadStorageKey() {
+        const existing = await withKeyStore('readonly', store => store.get(STORAGE_KEY_ID));
+        if (existing) return existing;
+
+        const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+        // add() fails if another tab stored its key first - use that one
+        try {
+            await withKeyStore('readwrite', store => store.add(key, STORAGE_KEY_ID));
+            return key;
+        } catch (error) {
+            return withKeyStore('readonly', store => store.get(STORAGE_KEY_ID));
+        }
+    }
+
+    async function setupSecureStorage() {
+        if (!isSecureContext() || typeof indexedDB === 'undefined') {
             console.warn('⚠️ Not in secure context - encryption disabled');
             return false;
         }
 
         try {
-            // Check for existing key
-            const existingKey = sessionStorage.getItem('_sk');
-
-            if (existingKey) {
-                storageKey = await importKey(existingKey);
-            } else {
-                storageKey = await generateKey();
-                const exported = await exportKey(storageKey);
-                sessionStorage.setItem('_sk', exported);
-            }
+            storageKey = await loadStorageKey();
+
+            const sessionKey = sessionStorage.getItem('_sk');
+            if (sessionKey) legacyKey = await importKey(sessionKey);
 
             return true;
         } catch (error) {
             console.error('Failed to initialize secure storage:', error);
+            storageKey = null;
             return false;
         }
     }
@@ -494,6 +548,9 @@ const AmriaSecurityEnhanced = (function () {
 
     /**
      * Retrieve and decrypt data
+     * @returns {Promise<*>} null when nothing is stored
+     * @throws {Error} When data is stored but cannot be decrypted - callers
+     *   must not overwrite it then, or it is lost for good
      */
     async function secureRetrieve(key) {
         if (!storageKey) {
@@ -501,15 +558,22 @@ const AmriaSecurityEnhanced = (function () {
             return value ? JSON.parse(value) : null;
         }
 
+        const encrypted = localStorage.getItem(`_enc_${key}`);
+        if (!encrypted) return null;
+
         try {
-            const encrypted = localStorage.getItem(`_enc_${key}`);
-            if (!encrypted) return null;
+            return JSON.parse(await decrypt(encrypted, storageKey));
+        } catch (error) {
+            if (!legacyKey) throw new Error(`Stored "${key}" could not be decrypted`);
+        }
 
-            const decrypted = await decrypt(encrypted, storageKey);
-            return JSON.parse(decrypted);
+        // Saved before the key moved to IndexedDB: read it once, store it under the new key
+        try {
+            const value = JSON.parse(await decrypt(encrypted, legacyKey));
+            await secureStore(key, value);
+            return value;
         } catch (error) {
-            console.error('Decryption failed:', error);
-            return null;
+            throw new Error(`Stored "${key}" could not be decrypted`);
         }
     }
 
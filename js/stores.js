@@ -0,0 +1,174 @@
+/* =============================================
+   Amria Mall - Store Directory
+   Loads data/stores.json (the single list of stores,
+   categories and floors) and searches it with
+   Arabic/Latin normalization.
+   Requires js/i18n.js for the names and descriptions.
+   ============================================= */
+
+'use strict';
+
+const AmriaStores = (function () {
+
+    const DATA_URL = 'data/stores.json';
+
+    let _dataPromise = null;
+
+    /**
+     * Fold text for matching:
+     * - Latin: lowercase, accents removed (café → cafe)
+     * - Arabic: diacritics and tatweel removed, hamza/alef forms → ا,
+     *   ة → ه, ى → ي, Persian letters (گ چ پ ڤ) → their Arabic neighbours
+     * - Arabic-Indic digits → 0-9, punctuation → spaces
+     */
+    function normalize(text) {
+        return String(text == null ? '' : text)
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036F]/g, '')
+            .replace(/[\u064B-\u065F\u0670\u0640]/g, '')
+            .replace(/\u0671/g, 'ا')
+            .replace(/\u0629/g, 'ه')
+            .replace(/[\u0649\u06CC]/g, 'ي')
+            .replace(/[\u06A9\u06AF]/g, 'ك')
+            .replace(/\u0686/g, 'ج')
+            .replace(/\u067E/g, 'ب')
+            .replace(/\u06A4/g, 'ف')
+            .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+            .replace(/[\u06F0-\u06F9]/g, digit => String(digit.charCodeAt(0) - 0x06F0))
+            .toLowerCase()
+            .replace(/['\u2019`]/g, '')
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    /**
+     * Load the dataset once per page
+     * @returns {Promise<{floors: Array, categories: Array, stores: Array}>}
+     */
+    function load() {
+        if (!_dataPromise) {
+            _dataPromise = fetch(DATA_URL, { credentials: 'same-origin' })
+                .then(response => {
+                    if (!response.ok) throw new Error(`Stores data failed to load (${response.status})`);
+                    return response.json();
+                })
+                .then(index);
+            _dataPromise.catch(() => { _dataPromise = null; });
+        }
+        return _dataPromise;
+    }
+
+    // Every wording of a data text ({ ar, en, ckb } or a plain string)
+    function wordings(text) {
+        return text && typeof text === 'object' ? Object.values(text) : [text];
+    }
+
+    /**
+     * Attach the search text and lookup maps to a raw dataset, in the
+     * page's language. Search still matches a category in any language.
+     */
+    function index(raw) {
+        const data = AmriaI18n.localize(raw);
+        const categoryNames = new Map(raw.categories.map(category => [category.id, wordings(category.name)]));
+        const categories = new Map(data.categories.map(category => [category.id, category]));
+        const floors = new Map(data.floors.map(floor => [floor.id, floor]));
+
+        const stores = data.stores.map((store, order) => Object.freeze({
+            ...store,
+            order,
+            // Arabic pages show the Arabic spelling; other languages the Latin one
+            displayName: AmriaI18n.getLanguage() === 'ar' ? store.nameAr : store.name,
+            searchName: normalize(`${store.name} ${store.nameAr}`),
+            searchText: normalize([
+                store.name,
+                store.nameAr,
+                store.unit,
+                ...(categoryNames.get(store.category) || []),
+                ...(store.keywords || [])
+            ].join(' '))
+        }));
+
+        return Object.freeze({
+            ...data,
+            stores,
+            getStore: id => stores.find(store => store.id === id) || null,
+            getCategory: id => categories.get(id) || null,
+            getFloor: id => floors.get(Number(id)) || null
+        });
+    }
+
+    /**
+     * Lower is better: name starts with the query, a word of the name
+     * starts with it, or it only appears somewhere in the store's text
+     */
+    function rank(store, query) {
+        if (store.searchName.startsWith(query)) return 0;
+        if (store.searchName.includes(` ${query}`)) return 1;
+        return 2;
+    }
+
+    /**
+     * Stores matching a query and filters, best matches first
+     * @param {Array} stores - data.stores from load()
+     * @param {Object} criteria
+     * @param {string} criteria.q - Free text (every word must match)
+     * @param {string} criteria.category - Category id
+     * @param {number|string} criteria.floor - Floor id
+     */
+    function filter(stores, { q = '', category = '', floor = '' } = {}) {
+        const query = normalize(q);
+        const words = query ? query.split(' ') : [];
+
+        return stores
+            .filter(store => !category || store.category === category)
+            .filter(store => floor === '' || floor === null || store.floor === Number(floor))
+            .filter(store => words.every(word => store.searchText.includes(word)))
+            .map(store => ({ store, score: query ? rank(store, query) : 0 }))
+            .sort((a, b) => a.score - b.score || a.store.order - b.store.order)
+            .map(entry => entry.store);
+    }
+
+    /**
+     * Directory state from a query string (?q=&category=&floor=&store=)
+     */
+    function parseQuery(search) {
+        const params = new URLSearchParams(search);
+        return {
+            q: params.get('q') || '',
+            category: params.get('category') || '',
+            floor: params.has('floor') && /^\d+$/.test(params.get('floor')) ? params.get('floor') : '',
+            store: params.get('store') || ''
+        };
+    }
+
+    /**
+     * Query string for a directory state, leaving out empty values.
+     * q keeps its spaces so a half-typed "caribou " survives the round
+     * trip through the address bar - filter() trims it when matching.
+     */
+    function toQuery(state) {
+        const params = new URLSearchParams();
+        ['q', 'category', 'floor', 'store'].forEach(key => {
+            if (state[key] === undefined || state[key] === null) return;
+            const value = String(state[key]);
+            if (value.trim() !== '') params.set(key, key === 'q' ? value : value.trim());
+        });
+        const query = params.toString();
+        return query ? `?${query}` : '';
+    }
+
+    return Object.freeze({
+        DATA_URL,
+        normalize,
+        load,
+        index,
+        filter,
+        parseQuery,
+        toQuery
+    });
+})();
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AmriaStores;
+}
@@ -0,0 +1,81 @@
+/* =============================================
+   Amria Mall - Background wave (Web Worker)
+   Draws the wave along the bottom of the page
+   on an OffscreenCanvas handed over by js/main.js,
+   which sends the size and the phase each frame.
+   ============================================= */
+
+'use strict';
+
+// Gradient [start, end] of each wave, back to front
+const WAVE_COLORS = Object.freeze([
+    ['#E86F25', '#F9A825'],
+    ['#F9A825', '#FFD54F'],
+    ['#FFD54F', '#E86F25']
+]);
+
+// Horizontal distance (CSS px) between the points of a wave
+const POINT_SPACING = 10;
+
+let _canvas = null;
+let _ctx = null;
+let _width = 0;
+let _height = 0;
+let _gradients = [];
+
+/**
+ * Match the canvas to its on-page size; gradients only change with the width
+ */
+function resize({ width, height, ratio }) {
+    _width = width;
+    _height = height;
+    _canvas.width = Math.round(width * ratio);
+    _canvas.height = Math.round(height * ratio);
+    _ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+    _gradients = WAVE_COLORS.map(([from, to]) => {
+        const gradient = _ctx.createLinearGradient(0, 0, width, 0);
+        gradient.addColorStop(0, from);
+        gradient.addColorStop(1, to);
+        return gradient;
+    });
+}
+
+function draw(phase) {
+    _ctx.clearRect(0, 0, _width, _height);
+
+    _gradients.forEach((gradient, wave) => {
+        _ctx.beginPath();
+        _ctx.moveTo(0, _height);
+
+        for (let x = 0; x <= _width; x += POINT_SPACING) {
+            const y = Math.sin((x * 0.01) + phase + (wave * 0.5)) * 30 +
+                Math.sin((x * 0.02) + phase * 1.5) * 20 +
+                _height - 50 - (wave * 30);
+            _ctx.lineTo(x, y);
+        }
+
+        _ctx.lineTo(_width, _height);
+        _ctx.closePath();
+
+        _ctx.fillStyle = gradient;
+        _ctx.globalAlpha = 0.3 - (wave * 0.1);
+        _ctx.fill();
+    });
+}
+
+self.addEventListener('message', ({ data }) => {
+    switch (data.type) {
+        case 'init':
+            _canvas = data.canvas;
+            _ctx = _canvas.getContext('2d');
+            resize(data);
+            break;
+        case 'resize':
+            if (_ctx) resize(data);
+            break;
+        case 'draw':
+            if (_ctx) draw(data.phase);
+            break;
+    }
+});
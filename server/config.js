@@ -0,0 +1,83 @@
+/* =============================================
+   Amria Mall - Server Configuration
+   Values can be overridden with environment variables
+   ============================================= */
+
+'use strict';
+
+const path = require('path');
+const AmriaFormSchema = require('../js/form-schema');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+module.exports = Object.freeze({
+    host: process.env.HOST || '127.0.0.1',
+    port: Number(process.env.PORT) || 8080,
+
+    // Static site root (the HTML pages live at the repository root)
+    publicDir: ROOT_DIR,
+
+    // Private server data - never served to the browser
+    storageDir: process.env.AMRIA_STORAGE_DIR || path.join(__dirname, 'storage'),
+
+    logging: Object.freeze({
+        dir: process.env.AMRIA_LOG_DIR || path.join(ROOT_DIR, 'logs'),
+        level: process.env.LOG_LEVEL || 'info',
+        maxSizeBytes: Number(process.env.LOG_MAX_SIZE_BYTES) || 5 * 1024 * 1024, // 5 MB
+        maxFiles: Number(process.env.LOG_MAX_FILES) || 5,
+        console: process.env.NODE_ENV !== 'production'
+    }),
+
+    // Largest JSON body accepted by any API route
+    maxBodyBytes: 16 * 1024,
+
+    csrf: Object.freeze({
+        cookieName: 'amria_sid',
+        headerName: 'x-csrf-token',
+        ttlMs: 2 * 60 * 60 * 1000 // 2 hours
+    }),
+
+    // POST route -> policy name from AmriaRateLimiter.POLICIES (js/rate-limiter.js),
+    // enforced per client IP. Forms use the same names in data-rate-policy.
+    rateLimit: Object.freeze({
+        routes: Object.freeze({
+            '/api/contact': 'contact',
+            '/api/auth/login': 'login',
+            '/api/auth/refresh': 'refresh',
+            '/api/events/rsvp': 'rsvp',
+            '/api/csp-report': 'cspReport'
+        })
+    }),
+
+    auth: Object.freeze({
+        // HMAC key for access tokens; generated into storageDir when not set
+        secret: process.env.AMRIA_AUTH_SECRET || null,
+        accessTokenTtlMs: 15 * 60 * 1000, // 15 minutes
+        refreshTokenTtlMs: 7 * 24 * 60 * 60 * 1000 // 7 days
+    }),
+
+    // Sent as a header on every static response. Pages also carry a <meta> policy
+    // for file:// use; this one is stricter (frame-ancestors, object-src, base-uri)
+    // so start in report-only mode and switch to enforce once reports are clean.
+    csp: Object.freeze({
+        mode: process.env.CSP_MODE || 'report-only',
+        reportUri: '/api/csp-report',
+        directives: Object.freeze({
+            'default-src': ["'self'"],
+            'script-src': ["'self'", "'unsafe-inline'"],
+            'style-src': ["'self'", "'unsafe-inline'", 'https://fonts.googleapis.com'],
+            'font-src': ['https://fonts.gstatic.com'],
+            'img-src': ["'self'", 'data:', 'https:'],
+            'connect-src': ["'self'"],
+            'object-src': ["'none'"],
+            'base-uri': ["'self'"],
+            'form-action': ["'self'"],
+            'frame-ancestors': ["'self'"]
+        }),
+        // Distinct violations kept in the aggregate before the stalest are dropped
+        maxUniqueViolations: 500
+    }),
+
+    // Field length limits, shared with the browser (js/form-schema.js)
+    limits: AmriaFormSchema.LIMITS
+});
@@ -0,0 +1,249 @@
+/* =============================================
+   Amria Mall - Staff Authentication Service
+   Users, access tokens and rotating refresh tokens
+   ============================================= */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { HttpError } = require('./http');
+const { createStore } = require('./store');
+const { hashPassword, verifyPassword, getDummyHash } = require('./passwords');
+const { signAccessToken, verifyAccessToken, randomToken, hashToken } = require('./tokens');
+
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 10;
+const ROLES = Object.freeze(['staff', 'admin']);
+
+/**
+ * Signing secret: AMRIA_AUTH_SECRET if set, otherwise a random key
+ * generated once and kept in the storage directory so restarts do not
+ * log everybody out.
+ */
+function loadSecret(config) {
+    if (config.auth.secret) return config.auth.secret;
+
+    const keyPath = path.join(config.storageDir, 'auth-secret.key');
+    try {
+        return fs.readFileSync(keyPath, 'utf8').trim();
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    const secret = crypto.randomBytes(48).toString('base64');
+    fs.mkdirSync(config.storageDir, { recursive: true });
+    fs.writeFileSync(keyPath, secret, { mode: 0o600 });
+    return secret;
+}
+
+function publicUser(user) {
+    return { id: user.id, username: user.username, displayName: user.displayName, role: user.role };
+}
+
+/**
+ * Create the authentication service.
+ *
+ * Refresh tokens are stored hashed and grouped into families (one family per
+ * login). Each refresh marks the presented token as used and issues a new one
+ * in the same family. Presenting a used or revoked token means it was copied,
+ * so the whole family is revoked and a security event is logged.
+ */
+function createAuthService({ config, logger }) {
+    const secret = loadSecret(config);
+    const users = createStore(config.storageDir, 'users', { users: [] });
+    const refreshTokens = createStore(config.storageDir, 'refresh-tokens', { tokens: {} });
+
+    function findUser(username) {
+        return users.get().users.find(user => user.username === username) || null;
+    }
+
+    function issueTokens(user, familyId, doc) {
+        const refreshToken = randomToken();
+        const now = Date.now();
+
+        doc.tokens[hashToken(refreshToken)] = {
+            userId: user.id,
+            familyId,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + config.auth.refreshTokenTtlMs).toISOString(),
+            usedAt: null,
+            revokedAt: null
+        };
+
+        return {
+            accessToken: signAccessToken(
+                { sub: user.id, username: user.username, role: user.role },
+                secret,
+                config.auth.accessTokenTtlMs
+            ),
+            refreshToken,
+            expiresIn: Math.floor(config.auth.accessTokenTtlMs / 1000),
+            user: publicUser(user)
+        };
+    }
+
+    function purgeExpired(doc) {
+        const now = Date.now();
+        Object.entries(doc.tokens).forEach(([hash, record]) => {
+            if (Date.parse(record.expiresAt) <= now) delete doc.tokens[hash];
+        });
+    }
+
+    function revokeFamily(doc, familyId) {
+        const now = new Date().toISOString();
+        Object.values(doc.tokens).forEach(record => {
+            if (record.familyId === familyId && !record.revokedAt) record.revokedAt = now;
+        });
+    }
+
+    /**
+     * Create a staff account (used by server/manage-users.js)
+     */
+    async function createUser({ username, password, displayName, role = 'staff' }) {
+        if (!USERNAME_PATTERN.test(username || '')) {
+            throw new Error('Username must be 3-32 characters: a-z, 0-9, dot, dash or underscore');
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+        if (!ROLES.includes(role)) {
+            throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+        }
+        if (findUser(username)) {
+            throw new Error(`User "${username}" already exists`);
+        }
+
+        const user = {
+            id: crypto.randomUUID(),
+            username,
+            displayName: displayName || username,
+            role,
+            passwordHash: await hashPassword(password),
+            createdAt: new Date().toISOString()
+        };
+
+        await users.update(doc => {
+            doc.users.push(user);
+        });
+
+        return publicUser(user);
+    }
+
+    /**
+     * Check credentials and start a new refresh-token family
+     */
+    async function login(username, password, { ip } = {}) {
+        const user = typeof username === 'string' ? findUser(username.trim().toLowerCase()) : null;
+        const valid = typeof password === 'string' &&
+            await verifyPassword(password, user ? user.passwordHash : await getDummyHash());
+
+        if (!user || !valid) {
+            logger.security('login_failed', { ip, username: String(username || '').slice(0, 64) });
+            throw new HttpError(401, 'server.invalidCredentials');
+        }
+
+        const result = await refreshTokens.update(doc => {
+            purgeExpired(doc);
+            return issueTokens(user, crypto.randomUUID(), doc);
+        });
+
+        logger.info('Staff login', { userId: user.id, username: user.username, ip });
+        return result;
+    }
+
+    /**
+     * Exchange a refresh token for a new access/refresh pair
+     */
+    async function refresh(refreshToken, { ip } = {}) {
+        if (typeof refreshToken !== 'string' || !refreshToken) {
+            throw new HttpError(401, 'server.sessionEnded');
+        }
+
+        const tokenHash = hashToken(refreshToken);
+
+        const result = await refreshTokens.update(doc => {
+            const record = doc.tokens[tokenHash];
+            if (!record || Date.parse(record.expiresAt) <= Date.now()) return { error: 'invalid' };
+
+            if (record.usedAt || record.revokedAt) {
+                revokeFamily(doc, record.familyId);
+                return { error: 'reuse', record };
+            }
+
+            const user = users.get().users.find(u => u.id === record.userId);
+            if (!user) {
+                revokeFamily(doc, record.familyId);
+                return { error: 'invalid' };
+            }
+
+            record.usedAt = new Date().toISOString();
+            return issueTokens(user, record.familyId, doc);
+        });
+
+        if (result.error === 'reuse') {
+            logger.security('refresh_token_reuse', {
+                ip,
+                userId: result.record.userId,
+                familyId: result.record.familyId
+            });
+        }
+
+        if (result.error) {
+            throw new HttpError(401, 'server.sessionEnded');
+        }
+
+        return result;
+    }
+
+    /**
+     * Revoke the refresh-token family the given token belongs to
+     */
+    async function logout(refreshToken) {
+        if (typeof refreshToken !== 'string' || !refreshToken) return;
+
+        await refreshTokens.update(doc => {
+            const record = doc.tokens[hashToken(refreshToken)];
+            if (record) revokeFamily(doc, record.familyId);
+        });
+    }
+
+    /**
+     * Resolve the Bearer token on a request.
+     * @returns {Object} Public user fields
+     * @throws {HttpError} 401 when missing or invalid, 403 when the role is not allowed
+     */
+    function requireAuth(req, roles = ROLES) {
+        const header = req.headers.authorization || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+        const payload = verifyAccessToken(token, secret);
+
+        if (!payload) {
+            throw new HttpError(401, 'server.loginRequired');
+        }
+
+        const user = users.get().users.find(u => u.id === payload.sub);
+        if (!user) {
+            throw new HttpError(401, 'server.loginRequired');
+        }
+
+        if (!roles.includes(user.role)) {
+            throw new HttpError(403, 'server.forbidden');
+        }
+
+        return publicUser(user);
+    }
+
+    return Object.freeze({
+        createUser,
+        login,
+        refresh,
+        logout,
+        requireAuth,
+        listUsers: () => users.get().users.map(publicUser),
+        flush: () => Promise.all([users.flush(), refreshTokens.flush()])
+    });
+}
+
+module.exports = { createAuthService, ROLES };
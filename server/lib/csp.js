@@ -0,0 +1,147 @@
+/* =============================================
+   Amria Mall - Content Security Policy
+   Header builder and violation report normalization
+   ============================================= */
+
+'use strict';
+
+const MODES = Object.freeze(['report-only', 'enforce']);
+const REPORT_GROUP = 'csp-endpoint';
+
+/**
+ * Build the CSP response headers for the configured mode.
+ * Reports are sent both the legacy way (report-uri) and through the
+ * Reporting API (report-to + Reporting-Endpoints).
+ *
+ * @param {Object} options
+ * @param {string} options.mode - "report-only" or "enforce"
+ * @param {Object} options.directives - { 'script-src': ["'self'"], ... }
+ * @param {string} options.reportUri - Collector path, e.g. /api/csp-report
+ * @returns {Object} Headers to merge into the response
+ */
+function buildCspHeaders({ mode, directives, reportUri }) {
+    if (!MODES.includes(mode)) {
+        throw new Error(`Unknown CSP mode "${mode}". Use one of: ${MODES.join(', ')}`);
+    }
+
+    const policy = Object.entries(directives)
+        .map(([name, values]) => [name, ...values].join(' '))
+        .concat(`report-uri ${reportUri}`, `report-to ${REPORT_GROUP}`)
+        .join('; ');
+
+    const headerName = mode === 'enforce'
+        ? 'Content-Security-Policy'
+        : 'Content-Security-Policy-Report-Only';
+
+    return {
+        [headerName]: policy,
+        'Reporting-Endpoints': `${REPORT_GROUP}="${reportUri}"`
+    };
+}
+
+/**
+ * Reduce a blocked URI to something worth grouping on: keywords such as
+ * "inline"/"eval" stay as-is, URLs lose their query string and fragment.
+ */
+function normalizeBlockedURI(value) {
+    if (!value || typeof value !== 'string') return 'unknown';
+    try {
+        const url = new URL(value);
+        if (url.protocol === 'http:' || url.protocol === 'https:') {
+            return url.origin + url.pathname;
+        }
+        return url.protocol.replace(':', '');
+    } catch (error) {
+        return value.slice(0, 200);
+    }
+}
+
+/**
+ * Keep only the path of the page that triggered the report
+ */
+function normalizeDocumentURI(value) {
+    if (!value || typeof value !== 'string') return 'unknown';
+    try {
+        return new URL(value).pathname;
+    } catch (error) {
+        return value.slice(0, 200);
+    }
+}
+
+/**
+ * "script-src-elem 'self'" -> "script-src-elem"
+ */
+function directiveName(value) {
+    if (!value || typeof value !== 'string') return 'unknown';
+    return value.trim().split(/\s+/)[0].slice(0, 60);
+}
+
+function toReport(fields) {
+    return {
+        directive: directiveName(fields.directive),
+        blockedURI: normalizeBlockedURI(fields.blockedURI),
+        documentURI: normalizeDocumentURI(fields.documentURI),
+        sourceFile: fields.sourceFile ? normalizeBlockedURI(fields.sourceFile) : null,
+        lineNumber: Number.isInteger(fields.lineNumber) ? fields.lineNumber : null,
+        disposition: fields.disposition === 'enforce' ? 'enforce' : fields.disposition === 'report' ? 'report' : null
+    };
+}
+
+/**
+ * Parse any supported report body into a list of normalized reports.
+ *
+ * Supported formats:
+ *  - application/json        { blockedURI, violatedDirective, documentURI } from
+ *                            AmriaSecurityEnhanced.setupCSPViolationHandler()
+ *  - application/csp-report  { "csp-report": { "blocked-uri", "violated-directive", ... } }
+ *  - application/reports+json [{ type: "csp-violation", body: { blockedURL, effectiveDirective, ... } }]
+ *
+ * @returns {Array<Object>} Empty when nothing usable was found
+ */
+function parseReports(contentType, data) {
+    if (contentType.startsWith('application/reports+json')) {
+        if (!Array.isArray(data)) return [];
+        return data
+            .filter(item => item && item.type === 'csp-violation' && item.body)
+            .map(({ body }) => toReport({
+                directive: body.effectiveDirective || body.violatedDirective,
+                blockedURI: body.blockedURL,
+                documentURI: body.documentURL,
+                sourceFile: body.sourceFile,
+                lineNumber: body.lineNumber,
+                disposition: body.disposition
+            }));
+    }
+
+    if (!data || typeof data !== 'object') return [];
+
+    if (data['csp-report']) {
+        const report = data['csp-report'];
+        return [toReport({
+            directive: report['effective-directive'] || report['violated-directive'],
+            blockedURI: report['blocked-uri'],
+            documentURI: report['document-uri'],
+            sourceFile: report['source-file'],
+            lineNumber: report['line-number'],
+            disposition: report.disposition
+        })];
+    }
+
+    if (data.violatedDirective || data.blockedURI) {
+        return [toReport({
+            directive: data.violatedDirective,
+            blockedURI: data.blockedURI,
+            documentURI: data.documentURI,
+            disposition: null
+        })];
+    }
+
+    return [];
+}
+
+module.exports = {
+    MODES,
+    buildCspHeaders,
+    parseReports,
+    normalizeBlockedURI
+};
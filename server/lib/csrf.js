@@ -0,0 +1,78 @@
+/* =============================================
+   Amria Mall - CSRF Protection
+   Tokens are bound to an HttpOnly session cookie
+   ============================================= */
+
+'use strict';
+
+const crypto = require('crypto');
+const { HttpError, parseCookies, serializeCookie, getClientIP } = require('./http');
+
+/**
+ * Create the CSRF token service.
+ * Each browser gets a random session id cookie; the token issued for that
+ * session must come back in the X-CSRF-Token header on state-changing requests.
+ */
+function createCsrfService({ cookieName, headerName, ttlMs }, logger) {
+    // sessionId -> { token, expires }
+    const _sessions = new Map();
+
+    function randomToken() {
+        return crypto.randomBytes(32).toString('hex');
+    }
+
+    function purgeExpired(now) {
+        for (const [sid, record] of _sessions) {
+            if (record.expires <= now) _sessions.delete(sid);
+        }
+    }
+
+    /**
+     * Token for the request's session - the current one while it is valid, so
+     * every tab of a browser shares it (a new token would break the other tabs).
+     * @returns {{token: string, cookie: string|null}} cookie is set when a new session was created
+     */
+    function issue(req) {
+        const now = Date.now();
+        purgeExpired(now);
+
+        const sid = parseCookies(req)[cookieName];
+        const current = sid && _sessions.get(sid);
+        if (current) return { token: current.token, cookie: null };
+
+        const newSid = randomToken();
+        const token = randomToken();
+        _sessions.set(newSid, { token, expires: now + ttlMs });
+
+        return { token, cookie: serializeCookie(cookieName, newSid, { maxAgeMs: ttlMs }) };
+    }
+
+    /**
+     * Check the request's header token against the one issued to its session
+     */
+    function verify(req) {
+        const sid = parseCookies(req)[cookieName];
+        const supplied = req.headers[headerName];
+        if (!sid || typeof supplied !== 'string') return false;
+
+        const record = _sessions.get(sid);
+        if (!record || record.expires <= Date.now()) return false;
+
+        const expected = Buffer.from(record.token);
+        const actual = Buffer.from(supplied);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * Throw a 403 (and log a security event) when the request fails verify()
+     */
+    function requireValid(req, route) {
+        if (verify(req)) return;
+        logger.security('csrf_failed', { route, ip: getClientIP(req) });
+        throw new HttpError(403, 'server.csrfExpired');
+    }
+
+    return Object.freeze({ issue, verify, requireValid });
+}
+
+module.exports = { createCsrfService };
@@ -0,0 +1,154 @@
+/* =============================================
+   Amria Mall - HTTP Helpers
+   JSON responses, body parsing and cookies
+   ============================================= */
+
+'use strict';
+
+const AmriaI18n = require('../../js/i18n');
+
+/**
+ * Error carrying an HTTP status and a user-facing message.
+ * Route handlers throw it; the server turns it into a JSON response
+ * (see errorBody) that the browser words in the visitor's language.
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} code - Catalog key of the message (js/locales, "server.*")
+     * @param {Object} [details] - Extra fields merged into the response body;
+     *   details.params fills the message's {placeholders}
+     * @param {Object} [headers] - Extra response headers (Allow, Retry-After...)
+     */
+    constructor(status, code, details = {}, headers = {}) {
+        super(AmriaI18n.t(code, details.params));
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+        this.headers = headers;
+    }
+}
+
+/**
+ * JSON body for an error message: `code` for the browser to translate,
+ * `error` with the default (Arabic) wording for anything that can't
+ */
+function errorBody(code, details = {}) {
+    return { error: AmriaI18n.t(code, details.params), code, ...details };
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJSON(res, status, body, headers = {}) {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload),
+        'Cache-Control': 'no-store',
+        ...headers
+    });
+    res.end(payload);
+}
+
+/**
+ * Read the raw request body, refusing anything larger than maxBytes.
+ * The rest of an oversized body is drained, not read, so the 413 response
+ * can still be written; it closes the connection afterwards.
+ */
+function readBody(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        function onData(chunk) {
+            size += chunk.length;
+            if (size > maxBytes) {
+                req.removeListener('data', onData);
+                req.resume();
+                reject(new HttpError(413, 'server.payloadTooLarge', {}, { Connection: 'close' }));
+                return;
+            }
+            chunks.push(chunk);
+        }
+
+        req.on('data', onData);
+
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+async function readJSON(req, maxBytes) {
+    const contentType = req.headers['content-type'] || '';
+    if (!contentType.startsWith('application/json')) {
+        throw new HttpError(415, 'server.unsupportedType');
+    }
+
+    const raw = await readBody(req, maxBytes);
+    try {
+        const data = JSON.parse(raw);
+        if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Not an object');
+        return data;
+    } catch (error) {
+        throw new HttpError(400, 'server.badRequest');
+    }
+}
+
+/**
+ * Parse the Cookie header into a plain object
+ */
+function parseCookies(req) {
+    const cookies = {};
+    const header = req.headers.cookie;
+    if (!header) return cookies;
+
+    header.split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index < 0) return;
+        const name = part.slice(0, index).trim();
+        const value = part.slice(index + 1).trim();
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (error) {
+            cookies[name] = value;
+        }
+    });
+
+    return cookies;
+}
+
+/**
+ * Build a Set-Cookie header value with safe defaults
+ */
+function serializeCookie(name, value, options = {}) {
+    const parts = [`${name}=${encodeURIComponent(value)}`];
+    parts.push(`Path=${options.path || '/'}`);
+    if (options.maxAgeMs !== undefined) parts.push(`Max-Age=${Math.floor(options.maxAgeMs / 1000)}`);
+    if (options.httpOnly !== false) parts.push('HttpOnly');
+    parts.push(`SameSite=${options.sameSite || 'Strict'}`);
+    if (options.secure) parts.push('Secure');
+    return parts.join('; ');
+}
+
+/**
+ * Client IP address (proxy headers are not trusted)
+ */
+function getClientIP(req) {
+    return req.socket.remoteAddress || 'unknown';
+}
+
+module.exports = {
+    HttpError,
+    errorBody,
+    sendJSON,
+    readBody,
+    readJSON,
+    parseCookies,
+    serializeCookie,
+    getClientIP
+};
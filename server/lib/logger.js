@@ -0,0 +1,225 @@
+/* =============================================
+   Amria Mall - Structured Logger
+   JSON lines into logs/*.log with size-based rotation
+   ============================================= */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Lower number = more severe
+const LEVELS = Object.freeze({
+    error: 0,
+    warn: 1,
+    info: 2,
+    http: 3,
+    debug: 4
+});
+
+/**
+ * Append-only log file that rotates when it grows past maxSizeBytes:
+ * combined.log -> combined.log.1 -> combined.log.2 ... (oldest dropped)
+ * Writes are synchronous so nothing is lost when the process crashes.
+ */
+function createLogFile(filePath, { maxSizeBytes, maxFiles }) {
+    let fd = null;
+    let size = 0;
+
+    function open() {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fd = fs.openSync(filePath, 'a');
+        size = fs.fstatSync(fd).size;
+    }
+
+    function rotate() {
+        fs.closeSync(fd);
+        fd = null;
+
+        for (let i = maxFiles - 1; i >= 1; i--) {
+            const from = i === 1 ? filePath : `${filePath}.${i - 1}`;
+            const to = `${filePath}.${i}`;
+            try {
+                fs.renameSync(from, to);
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+
+        // maxFiles of 1 means "keep only the live file"
+        if (maxFiles <= 1) fs.truncateSync(filePath, 0);
+
+        open();
+    }
+
+    function write(line) {
+        if (fd === null) open();
+        const buffer = Buffer.from(line + '\n');
+        if (size > 0 && size + buffer.length > maxSizeBytes) rotate();
+        fs.writeSync(fd, buffer);
+        size += buffer.length;
+    }
+
+    function close() {
+        if (fd !== null) fs.closeSync(fd);
+        fd = null;
+    }
+
+    return Object.freeze({ write, close });
+}
+
+/**
+ * Serialize Error objects (including nested ones) for JSON output
+ */
+function serializeMeta(meta) {
+    return JSON.parse(JSON.stringify(meta, (key, value) => {
+        if (value instanceof Error) {
+            return { name: value.name, message: value.message, stack: value.stack, ...value };
+        }
+        return value;
+    }));
+}
+
+/**
+ * Create the server logger.
+ *
+ * Files written (one JSON object per line):
+ *   combined.log   - every entry at or above the configured level
+ *   error.log      - level "error" only
+ *   exceptions.log - uncaught exceptions
+ *   rejections.log - unhandled promise rejections
+ *   security.log   - CSRF failures, honeypot hits, rate-limit blocks, CSP reports...
+ *
+ * @param {Object} options
+ * @param {string} options.dir - Log directory
+ * @param {string} options.level - Minimum level for combined.log and console
+ * @param {number} options.maxSizeBytes - Rotate a file once it reaches this size
+ * @param {number} options.maxFiles - Rotated copies to keep (including the live file)
+ * @param {boolean} options.console - Echo entries to stdout/stderr
+ */
+function createLogger({ dir, level = 'info', maxSizeBytes, maxFiles, console: toConsole = true }) {
+    if (!(level in LEVELS)) {
+        throw new Error(`Unknown log level "${level}". Use one of: ${Object.keys(LEVELS).join(', ')}`);
+    }
+
+    const rotation = { maxSizeBytes, maxFiles };
+    const files = {
+        combined: createLogFile(path.join(dir, 'combined.log'), rotation),
+        error: createLogFile(path.join(dir, 'error.log'), rotation),
+        exceptions: createLogFile(path.join(dir, 'exceptions.log'), rotation),
+        rejections: createLogFile(path.join(dir, 'rejections.log'), rotation),
+        security: createLogFile(path.join(dir, 'security.log'), rotation)
+    };
+
+    function enabled(entryLevel) {
+        return LEVELS[entryLevel] <= LEVELS[level];
+    }
+
+    function entry(entryLevel, message, meta) {
+        return {
+            timestamp: new Date().toISOString(),
+            level: entryLevel,
+            message,
+            ...serializeMeta(meta)
+        };
+    }
+
+    function echo(record) {
+        if (!toConsole) return;
+        const line = `[${record.timestamp}] ${record.level.toUpperCase()} ${record.message}`;
+        if (LEVELS[record.level] <= LEVELS.warn) {
+            process.stderr.write(line + '\n');
+        } else {
+            process.stdout.write(line + '\n');
+        }
+    }
+
+    /**
+     * Write an entry. Extra targets (exceptions, rejections, security) always
+     * receive their entries regardless of the configured level.
+     */
+    function log(entryLevel, message, meta = {}, extraTarget = null) {
+        const record = entry(entryLevel, message, meta);
+        const line = JSON.stringify(record);
+
+        try {
+            if (extraTarget) files[extraTarget].write(line);
+            if (entryLevel === 'error') files.error.write(line);
+            if (enabled(entryLevel)) {
+                files.combined.write(line);
+                echo(record);
+            }
+        } catch (error) {
+            // Logging must never take the server down
+            process.stderr.write(`Logger write failed: ${error.message}\n${line}\n`);
+        }
+    }
+
+    /**
+     * Express-style access log: call at the start of a request
+     */
+    function logRequest(req, res) {
+        const started = process.hrtime.bigint();
+
+        res.on('finish', () => {
+            const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+            const status = res.statusCode;
+            const entryLevel = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'http';
+
+            log(entryLevel, `${req.method} ${req.url} ${status}`, {
+                type: 'access',
+                method: req.method,
+                url: req.url,
+                status,
+                durationMs: Math.round(durationMs * 100) / 100,
+                bytes: Number(res.getHeader('Content-Length')) || undefined,
+                ip: req.socket.remoteAddress,
+                userAgent: req.headers['user-agent']
+            });
+        });
+    }
+
+    /**
+     * Security event - always written to security.log
+     * @param {string} event - Short event name, e.g. "csrf_failed", "honeypot_hit"
+     * @param {Object} details - Context (ip, route, ...)
+     */
+    function security(event, details = {}) {
+        log('warn', `Security event: ${event}`, { type: 'security', event, ...details }, 'security');
+    }
+
+    /**
+     * Install process-level handlers for uncaught exceptions and unhandled rejections
+     */
+    function handleProcessErrors() {
+        process.on('uncaughtException', (error) => {
+            log('error', `Uncaught exception: ${error.message}`, { type: 'exception', error }, 'exceptions');
+            close();
+            process.exit(1);
+        });
+
+        process.on('unhandledRejection', (reason) => {
+            const error = reason instanceof Error ? reason : new Error(String(reason));
+            log('error', `Unhandled rejection: ${error.message}`, { type: 'rejection', error }, 'rejections');
+        });
+    }
+
+    function close() {
+        Object.values(files).forEach(file => file.close());
+    }
+
+    return Object.freeze({
+        error: (message, meta) => log('error', message, meta),
+        warn: (message, meta) => log('warn', message, meta),
+        info: (message, meta) => log('info', message, meta),
+        http: (message, meta) => log('http', message, meta),
+        debug: (message, meta) => log('debug', message, meta),
+        security,
+        logRequest,
+        handleProcessErrors,
+        close,
+        level
+    });
+}
+
+module.exports = { createLogger, LEVELS };
@@ -0,0 +1,55 @@
+/* =============================================
+   Amria Mall - Password Hashing
+   scrypt with a per-user random salt
+   ============================================= */
+
+'use strict';
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// N=2^15 costs ~100ms and 32 MB per hash - slow enough to hurt brute force
+const PARAMS = Object.freeze({ N: 32768, r: 8, p: 1, keyLength: 64 });
+const MAX_MEM = 64 * 1024 * 1024;
+
+/**
+ * Hash a password.
+ * @returns {Promise<string>} "scrypt$N$r$p$salt$hash" (salt and hash in base64)
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const { N, r, p, keyLength } = PARAMS;
+    const hash = await scrypt(password.normalize('NFKC'), salt, keyLength, { N, r, p, maxmem: MAX_MEM });
+    return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ */
+async function verifyPassword(password, stored) {
+    const parts = typeof stored === 'string' ? stored.split('$') : [];
+    if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+
+    const [, N, r, p, saltBase64, hashBase64] = parts;
+    const expected = Buffer.from(hashBase64, 'base64');
+    const actual = await scrypt(password.normalize('NFKC'), Buffer.from(saltBase64, 'base64'), expected.length, {
+        N: Number(N),
+        r: Number(r),
+        p: Number(p),
+        maxmem: MAX_MEM
+    });
+
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Verified against when the username does not exist, so unknown users
+// take as long to reject as a wrong password
+let _dummyHash = null;
+async function getDummyHash() {
+    if (!_dummyHash) _dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+    return _dummyHash;
+}
+
+module.exports = { hashPassword, verifyPassword, getDummyHash };
@@ -0,0 +1,89 @@
+/* =============================================
+   Amria Mall - Server Rate Limiter
+   Same policies as the browser (js/rate-limiter.js),
+   keyed by IP + route and persisted across restarts
+   ============================================= */
+
+'use strict';
+
+const AmriaRateLimiter = require('../../js/rate-limiter');
+const { createStore } = require('./store');
+
+/**
+ * Create a persistent rate limiter.
+ *
+ * @param {Object} options
+ * @param {string} options.storageDir - Where rate-limits.json lives
+ * @param {Object} options.logger - Server logger (security events)
+ */
+function createRateLimiter({ storageDir, logger }) {
+    const store = createStore(storageDir, 'rate-limits', { records: {} });
+
+    function purgeIdle(doc, now) {
+        Object.entries(doc.records).forEach(([key, record]) => {
+            // Records without a state predate per-policy limiting - drop them
+            if (!record.state || AmriaRateLimiter.isIdle(record.state, AmriaRateLimiter.getPolicy(record.policy), now)) {
+                delete doc.records[key];
+            }
+        });
+    }
+
+    /**
+     * Record an attempt for key under the named policy.
+     * @returns {Promise<{allowed: boolean, blocked?: boolean, remaining?: number, retryAfterSeconds?: number}>}
+     */
+    function consume(key, policyName, context = {}) {
+        return store.update(doc => {
+            const now = Date.now();
+            purgeIdle(doc, now);
+
+            const policy = AmriaRateLimiter.getPolicy(policyName);
+            const previous = doc.records[key];
+            const wasBlocked = previous && previous.state.blockedUntil > now;
+            const { state, result } = AmriaRateLimiter.attempt(previous ? previous.state : null, policy, now);
+
+            doc.records[key] = { policy: policyName, state };
+
+            // Log when a block starts, not for every request during it
+            if (!result.allowed && !wasBlocked) {
+                logger.security('rate_limit_blocked', {
+                    key,
+                    ...context,
+                    policy: policyName,
+                    offenses: result.offenses,
+                    blockSeconds: result.remainingSeconds
+                });
+            }
+
+            return result.allowed
+                ? result
+                : { ...result, retryAfterSeconds: result.remainingSeconds };
+        });
+    }
+
+    /**
+     * Current state for a key (staff diagnostics)
+     */
+    function inspect(key) {
+        const record = store.get().records[key];
+        if (!record) return null;
+        return {
+            key,
+            policyName: record.policy,
+            ...AmriaRateLimiter.describe(record.state, AmriaRateLimiter.getPolicy(record.policy), Date.now())
+        };
+    }
+
+    /**
+     * Keys that are currently blocked
+     */
+    function listBlocked() {
+        return Object.keys(store.get().records)
+            .map(inspect)
+            .filter(entry => entry.blocked);
+    }
+
+    return Object.freeze({ consume, inspect, listBlocked, flush: store.flush });
+}
+
+module.exports = { createRateLimiter };
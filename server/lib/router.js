@@ -0,0 +1,46 @@
+/* =============================================
+   Amria Mall - Minimal API Router
+   Exact-path matching on method + pathname
+   ============================================= */
+
+'use strict';
+
+/**
+ * Create a router. Handlers receive (req, res, ctx) where
+ * ctx holds the parsed URL and the matched route.
+ */
+function createRouter() {
+    const routes = new Map();
+
+    function add(method, pathname, handler) {
+        routes.set(`${method} ${pathname}`, handler);
+    }
+
+    /**
+     * Find the handler for a request
+     * @returns {{handler: Function}|{methodNotAllowed: true, allow: string[]}|null}
+     */
+    function match(method, pathname) {
+        const handler = routes.get(`${method} ${pathname}`);
+        if (handler) return { handler };
+
+        // Known path, wrong method
+        const allow = [];
+        for (const key of routes.keys()) {
+            const [routeMethod, routePath] = key.split(' ');
+            if (routePath === pathname) allow.push(routeMethod);
+        }
+        if (allow.length > 0) return { methodNotAllowed: true, allow };
+
+        return null;
+    }
+
+    return Object.freeze({
+        get: (pathname, handler) => add('GET', pathname, handler),
+        post: (pathname, handler) => add('POST', pathname, handler),
+        delete: (pathname, handler) => add('DELETE', pathname, handler),
+        match
+    });
+}
+
+module.exports = { createRouter };
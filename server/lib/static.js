@@ -0,0 +1,88 @@
+/* =============================================
+   Amria Mall - Static File Serving
+   Serves the site pages and assets from the repo root
+   ============================================= */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const MIME_TYPES = Object.freeze({
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.woff2': 'font/woff2'
+});
+
+// Top-level directories that must never be reachable from the browser
+const PRIVATE_DIRS = Object.freeze(['server', 'logs', 'node_modules']);
+
+/**
+ * Resolve a URL pathname to a file inside publicDir, or null when it is
+ * outside the root, hidden, private or not a servable file type.
+ */
+function resolvePublicPath(publicDir, pathname) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch (error) {
+        return null;
+    }
+
+    if (decoded.includes('\0')) return null;
+    if (decoded.endsWith('/')) decoded += 'index.html';
+
+    const filePath = path.resolve(publicDir, '.' + path.posix.normalize(decoded));
+    const relative = path.relative(publicDir, filePath);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return null;
+
+    const segments = relative.split(path.sep);
+    if (segments.some(segment => segment.startsWith('.'))) return null;
+    if (PRIVATE_DIRS.includes(segments[0])) return null;
+    if (!MIME_TYPES[path.extname(filePath).toLowerCase()]) return null;
+
+    return filePath;
+}
+
+/**
+ * Serve a static file. Resolves to false when nothing was found so the
+ * caller can send its own 404.
+ */
+function serveStatic(req, res, publicDir, pathname, headers = {}) {
+    return new Promise((resolve) => {
+        const filePath = resolvePublicPath(publicDir, pathname);
+        if (!filePath) return resolve(false);
+
+        fs.stat(filePath, (error, stats) => {
+            if (error || !stats.isFile()) return resolve(false);
+
+            res.writeHead(200, {
+                'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()],
+                'Content-Length': stats.size,
+                'Last-Modified': stats.mtime.toUTCString(),
+                ...headers
+            });
+
+            if (req.method === 'HEAD') {
+                res.end();
+                return resolve(true);
+            }
+
+            fs.createReadStream(filePath)
+                .on('error', () => res.destroy())
+                .pipe(res);
+            resolve(true);
+        });
+    });
+}
+
+module.exports = { serveStatic, resolvePublicPath, MIME_TYPES };
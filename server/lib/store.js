@@ -0,0 +1,102 @@
+/* =============================================
+   Amria Mall - JSON File Store
+   Small persistent collections under server/storage
+   ============================================= */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a store backed by a single JSON file.
+ * The whole document is kept in memory; every update is written to a
+ * temporary file and renamed into place so a crash never leaves half a file.
+ * Updates are applied one at a time in the order they were requested.
+ *
+ * @param {string} dir - Storage directory
+ * @param {string} name - File name without extension
+ * @param {*} initialValue - Value used when the file does not exist yet
+ * @param {Object} [options]
+ * @param {number} [options.writeDelayMs] - Batch writes: update() resolves once the
+ *   change is made in memory and the file is written at most once per this many ms
+ *   (for noisy, non-critical data such as CSP reports)
+ */
+function createStore(dir, name, initialValue, { writeDelayMs = 0 } = {}) {
+    const filePath = path.join(dir, `${name}.json`);
+    let data = load();
+    let queue = Promise.resolve();
+    let writeTimer = null;
+
+    function load() {
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                // Keep the damaged file for inspection instead of overwriting it
+                const backup = `${filePath}.corrupt-${Date.now()}`;
+                try { fs.renameSync(filePath, backup); } catch (e) { /* ignore */ }
+                console.error(`Store "${name}" could not be read, moved to ${backup}:`, error.message);
+            }
+            return structuredClone(initialValue);
+        }
+    }
+
+    async function persist() {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2));
+        await fs.promises.rename(tmpPath, filePath);
+    }
+
+    /**
+     * Queue a write of the document (after writeDelayMs, for every update until then)
+     */
+    function persistLater() {
+        if (writeTimer) return;
+        writeTimer = setTimeout(writeNow, writeDelayMs);
+    }
+
+    function writeNow() {
+        clearTimeout(writeTimer);
+        writeTimer = null;
+        queue = queue.then(persist).catch(error => {
+            console.error(`Store "${name}" could not be written:`, error.message);
+        });
+    }
+
+    /**
+     * Read the current document (treat as read-only)
+     */
+    function get() {
+        return data;
+    }
+
+    /**
+     * Apply a mutation and persist it.
+     * @param {Function} mutator - Receives the document and mutates it in place
+     * @returns {Promise<*>} Resolves with the mutator's return value
+     */
+    function update(mutator) {
+        const run = queue.then(async () => {
+            const result = mutator(data);
+            if (writeDelayMs > 0) persistLater();
+            else await persist();
+            return result;
+        });
+        queue = run.catch(() => { });
+        return run;
+    }
+
+    /**
+     * Wait for pending writes (a batched write is started right away)
+     */
+    function flush() {
+        if (writeTimer) writeNow();
+        return queue;
+    }
+
+    return Object.freeze({ get, update, flush, filePath });
+}
+
+module.exports = { createStore };
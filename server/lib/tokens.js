@@ -0,0 +1,76 @@
+/* =============================================
+   Amria Mall - Signed Access Tokens
+   Compact JWTs (HS256) using only node:crypto
+   ============================================= */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const HEADER = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+
+function sign(data, secret) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Create a signed access token
+ * @param {Object} claims - Payload (sub, role, ...)
+ * @param {string} secret - HMAC secret
+ * @param {number} ttlMs - Lifetime in milliseconds
+ */
+function signAccessToken(claims, secret, ttlMs) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = {
+        ...claims,
+        iat: now,
+        exp: now + Math.floor(ttlMs / 1000),
+        jti: crypto.randomUUID()
+    };
+
+    const body = `${HEADER}.${Buffer.from(JSON.stringify(payload)).toString('base64url')}`;
+    return `${body}.${sign(body, secret)}`;
+}
+
+/**
+ * Verify signature and expiry.
+ * @returns {Object|null} The payload, or null when the token is invalid or expired
+ */
+function verifyAccessToken(token, secret) {
+    if (typeof token !== 'string') return null;
+
+    const parts = token.split('.');
+    if (parts.length !== 3 || parts[0] !== HEADER) return null;
+
+    const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`, secret));
+    const actual = Buffer.from(parts[2]);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+
+    if (!payload || typeof payload.exp !== 'number' || payload.exp <= Date.now() / 1000) return null;
+    return payload;
+}
+
+/**
+ * Opaque random token (refresh tokens) and its storage hash
+ */
+function randomToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+module.exports = {
+    signAccessToken,
+    verifyAccessToken,
+    randomToken,
+    hashToken
+};
@@ -0,0 +1,71 @@
+/* =============================================
+   Amria Mall - Server-side Validation
+   Field rules come from the shared js/form-schema.js
+   ============================================= */
+
+'use strict';
+
+const AmriaFormSchema = require('../../js/form-schema');
+
+/**
+ * Undo the HTML entity encoding applied by AmriaSecurity.sanitize()
+ * so values are validated and stored as the visitor typed them.
+ */
+function decodeEntities(value) {
+    if (typeof value !== 'string') return '';
+    return value
+        .replace(/&#x27;/g, "'")
+        .replace(/&quot;/g, '"')
+        .replace(/&#x60;/g, '`')
+        .replace(/&#40;/g, '(')
+        .replace(/&#41;/g, ')')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Validate a request body against a schema from js/form-schema.js,
+ * the same rules the browser checked before sending.
+ * @param {Object|string} schema - Compiled schema or registered schema name
+ * @returns {{valid: boolean, value: Object, errors: Object}} errors is keyed by field name
+ */
+function validateBody(schema, body) {
+    const compiled = typeof schema === 'string' ? AmriaFormSchema.getSchema(schema) : schema;
+    if (!compiled) {
+        throw new Error(`Unknown form schema "${schema}"`);
+    }
+
+    const values = {};
+    Object.keys(compiled).forEach(field => {
+        values[field] = decodeEntities(body[field]);
+    });
+    return AmriaFormSchema.validate(compiled, values);
+}
+
+/**
+ * Validate a contact form submission.
+ * @returns {{valid: boolean, value: Object, errors: Object}} errors is keyed by field name
+ */
+function validateContact(body) {
+    return validateBody('contact', body);
+}
+
+/**
+ * Validate an event registration (name, phone, party size).
+ * @returns {{valid: boolean, value: Object, errors: Object}} errors is keyed by field name
+ */
+function validateRsvp(body) {
+    return validateBody('rsvp', body);
+}
+
+module.exports = {
+    decodeEntities,
+    isValidEmail: AmriaFormSchema.isValidEmail,
+    isValidPhone: AmriaFormSchema.isValidPhone,
+    isValidName: AmriaFormSchema.isValidName,
+    validateBody,
+    validateContact,
+    validateRsvp
+};
@@ -0,0 +1,85 @@
+/* =============================================
+   Amria Mall - Staff Account Management (CLI)
+
+   Usage:
+     node server/manage-users.js add <username> [--role=staff|admin] [--name="Display Name"]
+     node server/manage-users.js list
+
+   The password is read from the terminal (not echoed) or, when stdin is
+   not a TTY, from the first line of stdin. Restart the server afterwards.
+   ============================================= */
+
+'use strict';
+
+const readline = require('readline');
+const config = require('./config');
+const { createLogger } = require('./lib/logger');
+const { createAuthService } = require('./lib/auth');
+
+function parseArgs(argv) {
+    const positional = [];
+    const options = {};
+    argv.forEach(arg => {
+        const match = /^--([a-z]+)=(.*)$/.exec(arg);
+        if (match) options[match[1]] = match[2];
+        else positional.push(arg);
+    });
+    return { positional, options };
+}
+
+function readPassword(prompt) {
+    return new Promise((resolve) => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+
+        if (process.stdin.isTTY) {
+            process.stdout.write(prompt);
+            // Mute echo while the password is typed
+            rl._writeToOutput = () => { };
+        }
+
+        rl.once('line', (line) => {
+            rl.close();
+            if (process.stdin.isTTY) process.stdout.write('\n');
+            resolve(line);
+        });
+    });
+}
+
+async function main() {
+    const { positional, options } = parseArgs(process.argv.slice(2));
+    const [command, username] = positional;
+
+    const logger = createLogger({ ...config.logging, console: false });
+    const auth = createAuthService({ config, logger });
+
+    if (command === 'list') {
+        auth.listUsers().forEach(user => console.log(`${user.username}\t${user.role}\t${user.displayName}`));
+        return;
+    }
+
+    if (command === 'add' && username) {
+        const password = await readPassword(`Password for ${username}: `);
+        if (process.stdin.isTTY) {
+            const confirm = await readPassword('Repeat password: ');
+            if (confirm !== password) throw new Error('Passwords do not match');
+        }
+
+        const user = await auth.createUser({
+            username,
+            password,
+            displayName: options.name,
+            role: options.role
+        });
+        await auth.flush();
+        console.log(`✅ Created ${user.role} account "${user.username}". Restart the server to use it.`);
+        return;
+    }
+
+    console.log('Usage:\n  node server/manage-users.js add <username> [--role=staff|admin] [--name="Display Name"]\n  node server/manage-users.js list');
+    process.exitCode = 1;
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+});
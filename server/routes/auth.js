@@ -0,0 +1,39 @@
+/* =============================================
+   Amria Mall - Staff Authentication Routes
+   POST /api/auth/login | refresh | logout
+   GET  /api/auth/me
+   ============================================= */
+
+'use strict';
+
+const { sendJSON, readJSON, getClientIP } = require('../lib/http');
+
+function registerAuthRoutes(router, { csrf, config, auth }) {
+    router.post('/api/auth/login', async (req, res) => {
+        csrf.requireValid(req, '/api/auth/login');
+        const body = await readJSON(req, config.maxBodyBytes);
+        const result = await auth.login(body.username, body.password, { ip: getClientIP(req) });
+        sendJSON(res, 200, result);
+    });
+
+    // No CSRF check: refreshAuthToken() calls this with a plain fetch and the
+    // refresh token in the body is itself the proof of possession
+    router.post('/api/auth/refresh', async (req, res) => {
+        const body = await readJSON(req, config.maxBodyBytes);
+        const result = await auth.refresh(body.refreshToken, { ip: getClientIP(req) });
+        sendJSON(res, 200, result);
+    });
+
+    router.post('/api/auth/logout', async (req, res) => {
+        csrf.requireValid(req, '/api/auth/logout');
+        const body = await readJSON(req, config.maxBodyBytes);
+        await auth.logout(body.refreshToken);
+        sendJSON(res, 200, { ok: true });
+    });
+
+    router.get('/api/auth/me', (req, res) => {
+        sendJSON(res, 200, { user: auth.requireAuth(req) });
+    });
+}
+
+module.exports = { registerAuthRoutes };
@@ -0,0 +1,74 @@
+/* =============================================
+   Amria Mall - Contact Form Route
+   POST /api/contact
+   ============================================= */
+
+'use strict';
+
+const crypto = require('crypto');
+const { HttpError, sendJSON, readJSON, getClientIP } = require('../lib/http');
+const { createStore } = require('../lib/store');
+const { validateContact } = require('../lib/validation');
+const { HONEYPOT_FIELDS } = require('../../js/form-schema');
+
+// Idempotency-Key sent by the browser (UUID or hex) so a resent message is stored once
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9-]{16,64}$/;
+
+function registerContactRoutes(router, { csrf, config, logger }) {
+    const messages = createStore(config.storageDir, 'contact-messages', { messages: [] });
+
+    router.post('/api/contact', async (req, res) => {
+        csrf.requireValid(req, '/api/contact');
+
+        const idempotencyKey = req.headers['idempotency-key'] || null;
+        if (idempotencyKey && !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+            throw new HttpError(400, 'server.badIdempotencyKey');
+        }
+
+        const body = await readJSON(req, config.maxBodyBytes);
+
+        // Bots fill hidden fields - pretend success and drop the message
+        if (HONEYPOT_FIELDS.some(field => body[field])) {
+            logger.security('honeypot_hit', {
+                route: '/api/contact',
+                ip: getClientIP(req),
+                userAgent: req.headers['user-agent']
+            });
+            sendJSON(res, 200, { ok: true });
+            return;
+        }
+
+        const { valid, value, errors, codes } = validateContact(body);
+        if (!valid) {
+            throw new HttpError(422, 'server.invalidFields', { errors, errorCodes: codes });
+        }
+
+        const record = {
+            id: crypto.randomUUID(),
+            ...value,
+            receivedAt: new Date().toISOString(),
+            ip: getClientIP(req),
+            userAgent: String(req.headers['user-agent'] || '').slice(0, 300),
+            fingerprint: typeof body._fingerprint === 'string' ? body._fingerprint.slice(0, 32) : null,
+            idempotencyKey
+        };
+
+        // Checked inside the update so two copies arriving together can't both be stored
+        const existing = await messages.update(doc => {
+            const stored = idempotencyKey && doc.messages.find(message => message.idempotencyKey === idempotencyKey);
+            if (!stored) doc.messages.push(record);
+            return stored || null;
+        });
+
+        if (existing) {
+            logger.info('Contact message already stored', { id: existing.id });
+            sendJSON(res, 201, { ok: true, id: existing.id }, { 'Idempotent-Replayed': 'true' });
+            return;
+        }
+
+        logger.info('Contact message stored', { id: record.id });
+        sendJSON(res, 201, { ok: true, id: record.id });
+    });
+}
+
+module.exports = { registerContactRoutes };
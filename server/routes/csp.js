@@ -0,0 +1,120 @@
+/* =============================================
+   Amria Mall - CSP Violation Reports
+   POST /api/csp-report          (collector)
+   GET  /api/csp-report/summary  (aggregated view, staff only)
+   ============================================= */
+
+'use strict';
+
+const { HttpError, sendJSON, readBody, getClientIP } = require('../lib/http');
+const { createStore } = require('../lib/store');
+const { parseReports } = require('../lib/csp');
+
+const ACCEPTED_TYPES = ['application/json', 'application/csp-report', 'application/reports+json'];
+
+// Re-log an already known violation to security.log at most once per hour
+const RELOG_INTERVAL_MS = 60 * 60 * 1000;
+
+// Reports arrive in bursts (one per blocked resource) - write the aggregate at most this often
+const WRITE_DELAY_MS = 10 * 1000;
+
+function violationKey(report) {
+    return [report.directive, report.blockedURI, report.documentURI].join('|');
+}
+
+/**
+ * Count occurrences per field value and return the most frequent ones
+ */
+function topBy(violations, field, limit) {
+    const totals = new Map();
+    violations.forEach(violation => {
+        totals.set(violation[field], (totals.get(violation[field]) || 0) + violation.count);
+    });
+
+    return [...totals.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([value, count]) => ({ [field]: value, count }));
+}
+
+function registerCspRoutes(router, { config, logger, auth }) {
+    const store = createStore(config.storageDir, 'csp-reports', { totalReports: 0, violations: {} }, {
+        writeDelayMs: WRITE_DELAY_MS
+    });
+
+    router.post(config.csp.reportUri, async (req, res) => {
+        const contentType = req.headers['content-type'] || '';
+        if (!ACCEPTED_TYPES.some(type => contentType.startsWith(type))) {
+            throw new HttpError(415, 'server.unsupportedType');
+        }
+
+        const raw = await readBody(req, config.maxBodyBytes);
+        let data;
+        try {
+            data = JSON.parse(raw);
+        } catch (error) {
+            throw new HttpError(400, 'server.badRequest');
+        }
+
+        const reports = parseReports(contentType, data);
+        if (reports.length === 0) {
+            throw new HttpError(400, 'server.noCspReport');
+        }
+
+        const now = new Date().toISOString();
+        const ip = getClientIP(req);
+
+        await store.update(doc => {
+            reports.forEach(report => {
+                const key = violationKey(report);
+                const existing = doc.violations[key];
+                doc.totalReports++;
+
+                if (existing) {
+                    existing.count++;
+                    existing.lastSeen = now;
+                    if (Date.parse(now) - Date.parse(existing.lastLogged) < RELOG_INTERVAL_MS) return;
+                    existing.lastLogged = now;
+                } else {
+                    doc.violations[key] = { ...report, count: 1, firstSeen: now, lastSeen: now, lastLogged: now };
+                }
+
+                logger.security('csp_violation', { ip, ...report, occurrences: doc.violations[key].count });
+            });
+
+            // Drop the stalest entries once the aggregate grows too large
+            const keys = Object.keys(doc.violations);
+            if (keys.length > config.csp.maxUniqueViolations) {
+                keys
+                    .sort((a, b) => doc.violations[a].lastSeen.localeCompare(doc.violations[b].lastSeen))
+                    .slice(0, keys.length - config.csp.maxUniqueViolations)
+                    .forEach(key => delete doc.violations[key]);
+            }
+        });
+
+        res.writeHead(204);
+        res.end();
+    });
+
+    // Staff only - reveals which pages and resources are misbehaving
+    router.get(`${config.csp.reportUri}/summary`, (req, res, { url }) => {
+        auth.requireAuth(req);
+        const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || 10, 1), 100);
+        const doc = store.get();
+        const violations = Object.values(doc.violations);
+
+        sendJSON(res, 200, {
+            mode: config.csp.mode,
+            totalReports: doc.totalReports,
+            uniqueViolations: violations.length,
+            topDirectives: topBy(violations, 'directive', limit),
+            topBlockedURIs: topBy(violations, 'blockedURI', limit),
+            recent: violations
+                .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen))
+                .slice(0, limit)
+                .map(({ lastLogged, ...violation }) => violation)
+        });
+    });
+}
+
+module.exports = { registerCspRoutes };
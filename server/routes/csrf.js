@@ -0,0 +1,17 @@
+/* =============================================
+   Amria Mall - CSRF Token Route
+   GET /api/csrf-token (used by AmriaSecurityEnhanced.fetchCSRFToken)
+   ============================================= */
+
+'use strict';
+
+const { sendJSON } = require('../lib/http');
+
+function registerCsrfRoutes(router, { csrf }) {
+    router.get('/api/csrf-token', (req, res) => {
+        const { token, cookie } = csrf.issue(req);
+        sendJSON(res, 200, { token }, cookie ? { 'Set-Cookie': cookie } : {});
+    });
+}
+
+module.exports = { registerCsrfRoutes };
@@ -0,0 +1,347 @@
+/* =============================================
+   Amria Mall - Events Calendar Feed and RSVPs
+   GET  /api/events.ics                 (?lang=, upcoming events, for calendar app subscriptions)
+   POST /api/events/rsvp                (registration: confirmed or waitlisted)
+   GET  /api/events/rsvp/availability   (places left for upcoming dates)
+   GET  /api/events/rsvp/summary        (registrations per date, staff only)
+   GET  /api/events/rsvp.csv            (?event=&occurrence=, staff only)
+   ============================================= */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { HttpError, sendJSON, readJSON, getClientIP } = require('../lib/http');
+const { createStore } = require('../lib/store');
+const { validateRsvp, decodeEntities } = require('../lib/validation');
+const { HONEYPOT_FIELDS } = require('../../js/form-schema');
+const AmriaEvents = require('../../js/events');
+const AmriaI18n = require('../../js/i18n');
+
+// Calendar apps poll subscriptions; let them and proxies reuse a copy for a while
+const FEED_MAX_AGE_SECONDS = 15 * 60;
+
+// Same header format as POST /api/contact
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9-]{16,64}$/;
+
+// Confirmation codes skip look-alike characters (0/O, 1/I) so they can be read out at the door
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+// Upcoming dates per event reported by the availability endpoint
+const AVAILABILITY_DATES = 8;
+
+// Export columns: registration field → heading (catalog key, server's default language)
+const CSV_COLUMNS = Object.freeze([
+    ['code', 'rsvpExport.code'],
+    ['status', 'rsvpExport.status'],
+    ['eventTitle', 'rsvpExport.event'],
+    ['occurrence', 'rsvpExport.occurrence'],
+    ['name', 'rsvpExport.name'],
+    ['phone', 'rsvpExport.phone'],
+    ['party', 'rsvpExport.party'],
+    ['registeredAt', 'rsvpExport.registeredAt']
+]);
+
+/**
+ * 07XX XXX XXXX, +964 7XX... and 00964 7XX... are the same number
+ */
+function normalizePhone(phone) {
+    const digits = String(phone).replace(/\D/g, '');
+    return `0${digits.slice(-10)}`;
+}
+
+function createCode(taken) {
+    let code;
+    do {
+        code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+    } while (taken.has(code));
+    return code;
+}
+
+/**
+ * The date of a series starting exactly at an ISO timestamp, or null
+ */
+function findOccurrence(event, iso) {
+    const start = new Date(iso);
+    if (Number.isNaN(start.getTime())) return null;
+    const [occurrence] = AmriaEvents.occurrences(event, { from: start, limit: 1 });
+    return occurrence && occurrence.start.getTime() === start.getTime() ? occurrence : null;
+}
+
+/**
+ * People confirmed and waiting for one date
+ */
+function tally(registrations, eventId, occurrence) {
+    const totals = { confirmed: 0, waitlisted: 0 };
+    registrations.forEach(registration => {
+        if (registration.event === eventId && registration.occurrence === occurrence) {
+            totals[registration.status] += registration.party;
+        }
+    });
+    return totals;
+}
+
+/**
+ * Quote a CSV field; a leading = + - @ is neutralised so spreadsheets
+ * don't run it as a formula
+ */
+function csvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * "2026-10-23 17:00" in the mall's time zone, for people reading the export
+ */
+function localTime(iso, timeZone = 'Asia/Baghdad') {
+    return new Date(iso).toLocaleString('sv-SE', { timeZone }).slice(0, 16);
+}
+
+function registerEventRoutes(router, { csrf, auth, config, logger }) {
+    const dataFile = path.join(config.publicDir, AmriaEvents.DATA_URL);
+    const rsvps = createStore(config.storageDir, 'event-rsvps', { registrations: [] });
+
+    /**
+     * The events with their text in `language` (unknown languages get the default)
+     */
+    async function readEvents(language = AmriaI18n.DEFAULT_LANGUAGE) {
+        try {
+            // Read on every request so edits to the data file show up without a restart
+            return AmriaI18n.localize(JSON.parse(await fs.promises.readFile(dataFile, 'utf8')), language);
+        } catch (error) {
+            logger.error(`Events data could not be read: ${error.message}`, { file: dataFile });
+            throw new HttpError(503, 'server.eventsUnavailable');
+        }
+    }
+
+    // ===== Calendar feed =====
+
+    router.get(AmriaEvents.FEED_URL, async (req, res, { url }) => {
+        const data = await readEvents(url.searchParams.get('lang') || undefined);
+        const body = AmriaEvents.toICS(AmriaEvents.upcomingEvents(data), {
+            baseUrl: `http://${req.headers.host || `${config.host}:${config.port}`}/`
+        });
+
+        res.writeHead(200, {
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Length': Buffer.byteLength(body),
+            'Content-Disposition': 'inline; filename="amria-mall-events.ics"',
+            'Cache-Control': `public, max-age=${FEED_MAX_AGE_SECONDS}`
+        });
+        res.end(body);
+    });
+
+    // ===== Registration =====
+
+    router.post('/api/events/rsvp', async (req, res) => {
+        csrf.requireValid(req, '/api/events/rsvp');
+
+        const idempotencyKey = req.headers['idempotency-key'] || null;
+        if (idempotencyKey && !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+            throw new HttpError(400, 'server.badIdempotencyKey');
+        }
+
+        const body = await readJSON(req, config.maxBodyBytes);
+
+        // Bots fill hidden fields - pretend success and drop the registration
+        if (HONEYPOT_FIELDS.some(field => body[field])) {
+            logger.security('honeypot_hit', {
+                route: '/api/events/rsvp',
+                ip: getClientIP(req),
+                userAgent: req.headers['user-agent']
+            });
+            sendJSON(res, 200, { ok: true });
+            return;
+        }
+
+        const { valid, value, errors, codes } = validateRsvp(body);
+        if (!valid) {
+            throw new HttpError(422, 'server.invalidFields', { errors, errorCodes: codes });
+        }
+
+        const data = await readEvents();
+        const event = data.events.find(candidate => candidate.id === decodeEntities(body.event));
+        if (!event || !event.rsvp) {
+            throw new HttpError(404, 'server.eventNotFound');
+        }
+
+        const occurrence = findOccurrence(event, decodeEntities(body.occurrence));
+        if (!occurrence) {
+            throw new HttpError(404, 'server.occurrenceNotFound');
+        }
+        if (occurrence.start <= new Date()) {
+            throw new HttpError(409, 'server.registrationClosed');
+        }
+
+        const party = Number(value.party);
+        if (party > event.rsvp.maxPartySize) {
+            const tooLarge = { code: 'server.partyTooLarge', params: { count: event.rsvp.maxPartySize } };
+            throw new HttpError(422, 'server.invalidFields', {
+                errors: { party: AmriaI18n.t(tooLarge.code, tooLarge.params) },
+                errorCodes: { party: tooLarge }
+            });
+        }
+
+        const occurrenceKey = occurrence.start.toISOString();
+        const phone = normalizePhone(value.phone);
+
+        // Capacity is checked inside the update so two last-place requests can't both get in
+        const outcome = await rsvps.update(doc => {
+            const replayed = idempotencyKey && doc.registrations.find(r => r.idempotencyKey === idempotencyKey);
+            if (replayed) return { registration: replayed, replayed: true };
+
+            const duplicate = doc.registrations.some(r =>
+                r.event === event.id && r.occurrence === occurrenceKey && r.phone === phone);
+            if (duplicate) return { duplicate: true };
+
+            const totals = tally(doc.registrations, event.id, occurrenceKey);
+            let status;
+            if (totals.confirmed + party <= event.rsvp.capacity) status = 'confirmed';
+            else if (totals.waitlisted + party <= (event.rsvp.waitlist || 0)) status = 'waitlisted';
+            else return { full: true };
+
+            const registration = {
+                id: crypto.randomUUID(),
+                code: createCode(new Set(doc.registrations.map(r => r.code))),
+                event: event.id,
+                occurrence: occurrenceKey,
+                name: value.name,
+                phone,
+                party,
+                status,
+                registeredAt: new Date().toISOString(),
+                ip: getClientIP(req),
+                idempotencyKey
+            };
+            doc.registrations.push(registration);
+            return { registration };
+        });
+
+        if (outcome.duplicate) {
+            throw new HttpError(409, 'server.alreadyRegistered');
+        }
+        if (outcome.full) {
+            throw new HttpError(409, 'server.eventFull');
+        }
+
+        const { registration } = outcome;
+        const position = registration.status === 'waitlisted'
+            ? rsvps.get().registrations.filter(r =>
+                r.event === registration.event && r.occurrence === registration.occurrence &&
+                r.status === 'waitlisted' && r.registeredAt <= registration.registeredAt).length
+            : null;
+
+        if (!outcome.replayed) {
+            logger.info('Event registration stored', { id: registration.id, event: event.id, status: registration.status });
+        }
+
+        // Worded by the browser from messageCode; message is the default (Arabic) text
+        const messageCode = registration.status === 'confirmed' ? 'server.rsvpConfirmed' : 'server.rsvpWaitlisted';
+        sendJSON(res, outcome.replayed ? 200 : 201, {
+            ok: true,
+            code: registration.code,
+            status: registration.status,
+            event: registration.event,
+            occurrence: registration.occurrence,
+            party: registration.party,
+            position,
+            messageCode,
+            message: AmriaI18n.t(messageCode, { position })
+        }, outcome.replayed ? { 'Idempotent-Replayed': 'true' } : {});
+    });
+
+    router.get('/api/events/rsvp/availability', async (req, res) => {
+        const data = await readEvents();
+        const now = new Date();
+        const { registrations } = rsvps.get();
+
+        const availability = data.events
+            .filter(event => event.rsvp)
+            .flatMap(event => AmriaEvents.occurrences(event, { from: now, limit: AVAILABILITY_DATES })
+                .filter(occurrence => occurrence.start > now)
+                .map(occurrence => {
+                    const occurrenceKey = occurrence.start.toISOString();
+                    const totals = tally(registrations, event.id, occurrenceKey);
+                    return {
+                        event: event.id,
+                        occurrence: occurrenceKey,
+                        capacity: event.rsvp.capacity,
+                        remaining: Math.max(event.rsvp.capacity - totals.confirmed, 0),
+                        waitlistRemaining: Math.max((event.rsvp.waitlist || 0) - totals.waitlisted, 0)
+                    };
+                }));
+
+        sendJSON(res, 200, { availability });
+    });
+
+    // ===== Staff =====
+
+    router.get('/api/events/rsvp/summary', async (req, res) => {
+        auth.requireAuth(req);
+
+        const data = await readEvents();
+        const groups = new Map();
+        rsvps.get().registrations.forEach(registration => {
+            const key = `${registration.event}|${registration.occurrence}`;
+            if (!groups.has(key)) {
+                const event = data.events.find(candidate => candidate.id === registration.event);
+                groups.set(key, {
+                    event: registration.event,
+                    title: event ? event.title : registration.event,
+                    occurrence: registration.occurrence,
+                    capacity: event && event.rsvp ? event.rsvp.capacity : null,
+                    registrations: 0,
+                    confirmed: 0,
+                    waitlisted: 0
+                });
+            }
+            const group = groups.get(key);
+            group.registrations++;
+            group[registration.status] += registration.party;
+        });
+
+        const dates = [...groups.values()].sort((a, b) => a.occurrence.localeCompare(b.occurrence));
+        sendJSON(res, 200, { dates });
+    });
+
+    router.get('/api/events/rsvp.csv', async (req, res, { url }) => {
+        const user = auth.requireAuth(req);
+        const eventId = url.searchParams.get('event');
+        const occurrence = url.searchParams.get('occurrence');
+
+        const data = await readEvents();
+        const titles = new Map(data.events.map(event => [event.id, event.title]));
+        const rows = rsvps.get().registrations
+            .filter(r => (!eventId || r.event === eventId) && (!occurrence || r.occurrence === occurrence))
+            .sort((a, b) => a.occurrence.localeCompare(b.occurrence) || a.registeredAt.localeCompare(b.registeredAt))
+            .map(r => ({
+                ...r,
+                eventTitle: titles.get(r.event) || r.event,
+                status: AmriaI18n.has(`rsvpExport.status.${r.status}`) ? AmriaI18n.t(`rsvpExport.status.${r.status}`) : r.status,
+                occurrence: localTime(r.occurrence, data.timeZone),
+                registeredAt: localTime(r.registeredAt, data.timeZone)
+            }));
+
+        // BOM so Excel opens the Arabic text as UTF-8
+        const lines = [
+            CSV_COLUMNS.map(([, heading]) => csvField(AmriaI18n.t(heading))).join(','),
+            ...rows.map(row => CSV_COLUMNS.map(([field]) => csvField(row[field])).join(','))
+        ];
+        const body = `\uFEFF${lines.join('\r\n')}\r\n`;
+
+        logger.info('Event registrations exported', { user: user.username, event: eventId, rows: rows.length });
+
+        res.writeHead(200, {
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Length': Buffer.byteLength(body),
+            'Content-Disposition': `attachment; filename="rsvp-${titles.has(eventId) ? eventId : 'all'}.csv"`,
+            'Cache-Control': 'no-store'
+        });
+        res.end(body);
+    });
+}
+
+module.exports = { registerEventRoutes };
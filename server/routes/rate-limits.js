@@ -0,0 +1,27 @@
+/* =============================================
+   Amria Mall - Rate Limit Inspection (staff only)
+   GET /api/rate-limits              (currently blocked keys)
+   GET /api/rate-limits?key=<ip|route>
+   ============================================= */
+
+'use strict';
+
+const { HttpError, sendJSON } = require('../lib/http');
+
+function registerRateLimitRoutes(router, { auth, rateLimiter }) {
+    router.get('/api/rate-limits', (req, res, { url }) => {
+        auth.requireAuth(req, ['admin']);
+
+        const key = url.searchParams.get('key');
+        if (!key) {
+            sendJSON(res, 200, { blocked: rateLimiter.listBlocked() });
+            return;
+        }
+
+        const state = rateLimiter.inspect(key);
+        if (!state) throw new HttpError(404, 'server.noRateLimitData');
+        sendJSON(res, 200, state);
+    });
+}
+
+module.exports = { registerRateLimitRoutes };
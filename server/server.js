@@ -0,0 +1,159 @@
+/* =============================================
+   Amria Mall - Local Web Server
+   Serves the static site and the /api endpoints
+   used by js/main.js and js/security-enhanced.js
+
+   Usage:  node server/server.js
+           node server/manage-users.js add <username> [--role=admin]  (staff accounts)
+   Env:    PORT, HOST, AMRIA_STORAGE_DIR, AMRIA_LOG_DIR, CSP_MODE (report-only|enforce),
+           AMRIA_AUTH_SECRET,
+           LOG_LEVEL (error|warn|info|http|debug), LOG_MAX_SIZE_BYTES, LOG_MAX_FILES
+   ============================================= */
+
+'use strict';
+
+const http = require('http');
+const config = require('./config');
+const { HttpError, errorBody, sendJSON, getClientIP } = require('./lib/http');
+const { createRouter } = require('./lib/router');
+const { createLogger } = require('./lib/logger');
+const { serveStatic } = require('./lib/static');
+const { createCsrfService } = require('./lib/csrf');
+const { createAuthService } = require('./lib/auth');
+const { createRateLimiter } = require('./lib/rate-limiter');
+const { buildCspHeaders } = require('./lib/csp');
+const AmriaI18n = require('../js/i18n');
+const { registerCsrfRoutes } = require('./routes/csrf');
+const { registerContactRoutes } = require('./routes/contact');
+const { registerCspRoutes } = require('./routes/csp');
+const { registerAuthRoutes } = require('./routes/auth');
+const { registerRateLimitRoutes } = require('./routes/rate-limits');
+const { registerEventRoutes } = require('./routes/events');
+
+// Headers sent with every response
+const SECURITY_HEADERS = Object.freeze({
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'SAMEORIGIN',
+    'Referrer-Policy': 'strict-origin-when-cross-origin'
+});
+
+/**
+ * Build the request handler and its services
+ */
+function createApp(options = config, logger = createLogger(options.logging)) {
+    const router = createRouter();
+    const csrf = createCsrfService(options.csrf, logger);
+    const auth = createAuthService({ config: options, logger });
+    const rateLimiter = createRateLimiter({ storageDir: options.storageDir, logger });
+    const cspHeaders = buildCspHeaders(options.csp);
+    const deps = { csrf, auth, rateLimiter, config: options, logger };
+
+    registerCsrfRoutes(router, deps);
+    registerContactRoutes(router, deps);
+    registerCspRoutes(router, deps);
+    registerAuthRoutes(router, deps);
+    registerRateLimitRoutes(router, deps);
+    registerEventRoutes(router, deps);
+
+    async function handleApi(req, res, url) {
+        const matched = router.match(req.method, url.pathname);
+
+        if (!matched) {
+            throw new HttpError(404, 'server.notFound');
+        }
+
+        if (matched.methodNotAllowed) {
+            throw new HttpError(405, 'server.methodNotAllowed', {}, { Allow: matched.allow.join(', ') });
+        }
+
+        const ratePolicy = req.method === 'POST' && options.rateLimit.routes[url.pathname];
+        if (ratePolicy) {
+            const ip = getClientIP(req);
+            const result = await rateLimiter.consume(`${ip}|${url.pathname}`, ratePolicy, { ip, route: url.pathname });
+            if (!result.allowed) {
+                throw new HttpError(
+                    429,
+                    'server.rateLimited',
+                    { retryAfter: result.retryAfterSeconds },
+                    { 'Retry-After': String(result.retryAfterSeconds) }
+                );
+            }
+        }
+
+        await matched.handler(req, res, { url });
+    }
+
+    async function handleStatic(req, res, url) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405, { Allow: 'GET, HEAD' });
+            res.end();
+            return;
+        }
+
+        const served = await serveStatic(req, res, options.publicDir, url.pathname, cspHeaders);
+        if (!served) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end(AmriaI18n.t('server.pageNotFound'));
+        }
+    }
+
+    return async function handleRequest(req, res) {
+        logger.logRequest(req, res);
+        Object.entries(SECURITY_HEADERS).forEach(([name, value]) => res.setHeader(name, value));
+
+        let url;
+        try {
+            url = new URL(req.url, 'http://localhost');
+        } catch (error) {
+            sendJSON(res, 400, errorBody('server.badAddress'));
+            return;
+        }
+
+        try {
+            if (url.pathname.startsWith('/api/')) {
+                await handleApi(req, res, url);
+            } else {
+                await handleStatic(req, res, url);
+            }
+        } catch (error) {
+            if (res.headersSent) {
+                res.destroy(error);
+                return;
+            }
+
+            if (error instanceof HttpError) {
+                sendJSON(res, error.status, errorBody(error.code, error.details), error.headers);
+                return;
+            }
+
+            logger.error(`Unhandled request error: ${error.message}`, {
+                method: req.method,
+                url: req.url,
+                error
+            });
+            sendJSON(res, 500, errorBody('server.internal'));
+        }
+    };
+}
+
+function start() {
+    const logger = createLogger(config.logging);
+    logger.handleProcessErrors();
+
+    const server = http.createServer(createApp(config, logger));
+
+    server.listen(config.port, config.host, () => {
+        logger.info(`🏬 Amria Mall server running at http://${config.host}:${config.port}/`, {
+            logLevel: logger.level,
+            cspMode: config.csp.mode
+        });
+    });
+
+    return server;
+}
+
+if (require.main === module) {
+    start();
+}
+
+module.exports = { createApp, start };
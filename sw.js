@@ -0,0 +1,214 @@
+/* =============================================
+   Amria Mall - Service Worker
+   - Precaches the pages, styles, scripts and store
+     logos so the site works with poor reception
+   - Stale-while-revalidate for everything else
+   - Offline fallback page for pages never visited
+   - Background Sync for the offline outbox (js/outbox.js)
+   ============================================= */
+
+'use strict';
+
+// Bump on every deploy that changes a precached file - old caches are
+// deleted when the new worker activates
+const CACHE_VERSION = 'v14';
+const CACHE_PREFIX = 'amria-';
+const PRECACHE = `${CACHE_PREFIX}precache-${CACHE_VERSION}`;
+const RUNTIME = `${CACHE_PREFIX}runtime-${CACHE_VERSION}`;
+
+// Runtime entries (gallery photos, visited pages...) kept before the oldest go
+const MAX_RUNTIME_ENTRIES = 80;
+
+const OFFLINE_URL = 'offline.html';
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'stores.html',
+    'offers.html',
+    'events.html',
+    'hours.html',
+    'gallery.html',
+    'plan-visit.html',
+    'map.html',
+    'contact.html',
+    OFFLINE_URL,
+    'manifest.webmanifest',
+    'css/style.css',
+    'js/i18n.js',
+    'js/locales/ar.js',
+    'js/locales/en.js',
+    'js/locales/ckb.js',
+    'js/layout.js',
+    'js/main.js',
+    'js/wave-worker.js',
+    'js/rate-limiter.js',
+    'js/form-schema.js',
+    'js/outbox.js',
+    'js/security-enhanced.js',
+    'js/stores.js',
+    'js/floor-map.js',
+    'js/hours.js',
+    'js/offers.js',
+    'js/events.js',
+    'js/qr-code.js',
+    'js/planner.js',
+    'js/gallery.js',
+    'data/stores.json',
+    'data/floor-plan.json',
+    'data/hours.json',
+    'data/offers.json',
+    'data/events.json',
+    'data/planner.json',
+    'data/gallery.json',
+    'assets/icons/icon.svg',
+    'assets/icons/icon-maskable.svg',
+    'assets/logos/amria-mall.jpg',
+    'assets/logos/chili-house.jpg',
+    'assets/logos/dhifaf-baghdad.png',
+    'assets/logos/english-home.jpg',
+    'assets/logos/ilahui.jpg',
+    'assets/logos/khatar-homestyle.jpg',
+    'assets/logos/kudo-kudo.jpg',
+    'assets/logos/lc-waikiki.jpg',
+    'assets/logos/miniso.jpg',
+    'assets/logos/oodi.jpg',
+    'assets/logos/shopping-shop.jpg',
+    'assets/logos/yoyoso.jpg'
+];
+
+// Same tag as AmriaOutbox.SYNC_TAG
+const OUTBOX_SYNC_TAG = 'amria-outbox';
+
+// How long a page gets to send the outbox before the sync counts as failed
+const FLUSH_TIMEOUT_MS = 60000;
+
+// ===== LIFECYCLE =====
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(PRECACHE)
+            // 'reload' skips the HTTP cache so a new version never precaches stale files
+            .then(cache => cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith(CACHE_PREFIX) && ![PRECACHE, RUNTIME].includes(name))
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// ===== FETCH =====
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // Fonts and other origins go straight to the network; the API must never be cached
+    if (url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(event, url));
+    } else {
+        event.respondWith(staleWhileRevalidate(event, request.url));
+    }
+});
+
+/**
+ * Pages: cached copy first (query strings share one entry, e.g.
+ * stores.html?q=...), offline page when there is no copy and no network.
+ */
+async function handleNavigation(event, url) {
+    try {
+        return await staleWhileRevalidate(event, url.origin + url.pathname);
+    } catch (error) {
+        return (await caches.match(OFFLINE_URL)) || Response.error();
+    }
+}
+
+/**
+ * Answer from the cache when possible and refresh the copy in the
+ * background; fall back to the network for anything not cached yet.
+ * @param {FetchEvent} event
+ * @param {string} cacheKey - URL the response is cached under
+ */
+async function staleWhileRevalidate(event, cacheKey) {
+    const cached = await caches.match(cacheKey);
+
+    const network = fetch(cacheKey, { cache: 'no-cache', credentials: 'same-origin' })
+        .then(async (response) => {
+            if (response.ok && response.type === 'basic') {
+                await updateCache(cacheKey, response.clone());
+            }
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => { }));
+        return cached;
+    }
+    return network;
+}
+
+/**
+ * Store a fresh response next to where its previous copy lived
+ */
+async function updateCache(cacheKey, response) {
+    const precache = await caches.open(PRECACHE);
+    if (await precache.match(cacheKey)) {
+        await precache.put(cacheKey, response);
+        return;
+    }
+
+    const runtime = await caches.open(RUNTIME);
+    await runtime.put(cacheKey, response);
+
+    const keys = await runtime.keys();
+    await Promise.all(keys.slice(0, Math.max(keys.length - MAX_RUNTIME_ENTRIES, 0)).map(key => runtime.delete(key)));
+}
+
+// ===== BACKGROUND SYNC =====
+// Queued messages are encrypted with a key only the page scripts use,
+// so the worker wakes an open page and lets it do the sending.
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === OUTBOX_SYNC_TAG) {
+        event.waitUntil(requestOutboxFlush());
+    }
+});
+
+/**
+ * Ask one open page to flush its outbox.
+ * Rejecting makes the browser retry the sync later with its own backoff.
+ */
+async function requestOutboxFlush() {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length === 0) {
+        throw new Error('No open page to send the outbox');
+    }
+
+    const replies = windows.map(client => new Promise((resolve, reject) => {
+        const channel = new MessageChannel();
+        channel.port1.onmessage = (event) => {
+            // Pages without the outbox never answer; an answer with
+            // remaining entries means they could not all be sent yet
+            if (event.data && event.data.remaining === 0) resolve(event.data);
+            else reject(new Error('Outbox still has pending messages'));
+        };
+        client.postMessage({ type: 'outbox-flush' }, [channel.port2]);
+    }));
+
+    const timeout = new Promise((resolve, reject) => {
+        setTimeout(() => reject(new Error('Outbox flush timed out')), FLUSH_TIMEOUT_MS);
+    });
+
+    return Promise.race([Promise.any(replies), timeout]);
+}